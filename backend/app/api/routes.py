@@ -1,5 +1,9 @@
+import requests
 from flask import Blueprint, jsonify, request
-from app.services.ea_service import get_stations, get_station_readings
+from app.services.ea_service import (
+    get_stations, get_station, get_station_readings, get_readings, get_flood_warnings,
+    get_flood_area_polygon
+)
 
 api_bp = Blueprint('api', __name__, url_prefix='/api')
 
@@ -14,9 +18,12 @@ def stations():
 @api_bp.route('/stations/<station_id>', methods=['GET'])
 def station(station_id):
     """Get a specific station"""
-    stations_data = get_stations({'stationReference': station_id})
-    if stations_data.get('items'):
-        return jsonify(stations_data['items'][0])
+    try:
+        station_data = get_station(station_id)
+    except requests.HTTPError:
+        station_data = None
+    if station_data:
+        return jsonify(station_data)
     return jsonify({'error': 'Station not found'}), 404
 
 @api_bp.route('/stations/<station_id>/readings', methods=['GET'])
@@ -25,4 +32,31 @@ def readings(station_id):
     # Forward query parameters and add station_id
     params = request.args.to_dict()
     readings_data = get_station_readings(station_id, params)
-    return jsonify(readings_data)
\ No newline at end of file
+    return jsonify(readings_data)
+
+@api_bp.route('/readings', methods=['GET'])
+def all_readings():
+    """Get recent readings across all stations"""
+    # Forward query parameters (e.g. since, parameter) to our service
+    params = request.args.to_dict()
+    readings_data = get_readings(params)
+    return jsonify(readings_data)
+
+@api_bp.route('/floods', methods=['GET'])
+def floods():
+    """Get current flood warnings and alerts"""
+    # Forward query parameters (e.g. min-severity, county) to our service
+    params = request.args.to_dict()
+    floods_data = get_flood_warnings(params)
+    return jsonify(floods_data)
+
+@api_bp.route('/floods/areas/<area_id>/polygon', methods=['GET'])
+def flood_area_polygon(area_id):
+    """Get the boundary of a flood warning area as GeoJSON"""
+    try:
+        polygon = get_flood_area_polygon(area_id)
+    except requests.RequestException:
+        polygon = None
+    if polygon:
+        return jsonify(polygon)
+    return jsonify({'error': 'Flood area not found'}), 404
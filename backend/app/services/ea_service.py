@@ -1,12 +1,13 @@
 import requests
+from concurrent.futures import ThreadPoolExecutor
 from flask import current_app
 import time
 
 # Simple in-memory cache with timeout
 cache = {}
 
-def get_with_cache(url, params=None, timeout=None):
-    """Get data from URL with caching"""
+def get_with_cache(url, params=None, timeout=None, request_timeout=None):
+    """Get data from URL with caching (`timeout` is the cache lifetime in seconds)"""
     if timeout is None:
         timeout = current_app.config['CACHE_TIMEOUT']
     
@@ -20,7 +21,7 @@ def get_with_cache(url, params=None, timeout=None):
             return cached_data
     
     # If not cached or cache expired, fetch new data
-    response = requests.get(url, params=params)
+    response = requests.get(url, params=params, timeout=request_timeout)
     response.raise_for_status()  # Raise exception for HTTP errors
     data = response.json()
     
@@ -35,6 +36,29 @@ def get_stations(params=None):
     url = f"{base_url}/id/stations"
     return get_with_cache(url, params)
 
+def get_station(station_id):
+    """Get full details for a single station, including its stage scale"""
+    base_url = current_app.config['API_BASE_URL']
+    url = f"{base_url}/id/stations/{station_id}"
+    data = get_with_cache(url)
+
+    station = data.get('items')
+    # A few stations come back as a list of records
+    if isinstance(station, list):
+        station = station[0] if station else None
+    if not station:
+        return None
+
+    # The stage scale is sometimes only a link; resolve it so the frontend has the thresholds
+    stage_scale = station.get('stageScale')
+    if isinstance(stage_scale, str):
+        try:
+            station['stageScale'] = get_with_cache(stage_scale).get('items')
+        except requests.RequestException:
+            pass
+
+    return station
+
 def get_station_readings(station_id, params=None):
     """Get readings for a specific station"""
     base_url = current_app.config['API_BASE_URL']
@@ -46,8 +70,8 @@ def get_station_readings(station_id, params=None):
     from datetime import datetime, timedelta
     yesterday = datetime.now() - timedelta(hours=24)
     
-    # Use the 'since' parameter instead of 'today'
-    if not params.get('since') and not params.get('today') and not params.get('date'):
+    # Use the 'since' parameter instead of 'today', unless the caller asked for a date range
+    if not any(params.get(name) for name in ('since', 'today', 'date', 'startdate')):
         params['since'] = yesterday.strftime("%Y-%m-%dT%H:%M:%SZ")
     
     # Ensure we get enough data points but not too many
@@ -58,4 +82,81 @@ def get_station_readings(station_id, params=None):
     params['_sorted'] = ''
     
     url = f"{base_url}/id/stations/{station_id}/readings"
-    return get_with_cache(url, params)
\ No newline at end of file
+    return get_with_cache(url, params)
+
+def get_readings(params=None):
+    """Get readings across all stations (e.g. the latest level readings)"""
+    base_url = current_app.config['API_BASE_URL']
+    url = f"{base_url}/data/readings"
+    return get_with_cache(url, params)
+
+def get_flood_area(area_id):
+    """Get a single flood area (used for its centre point and polygon link)"""
+    if not area_id:
+        return None
+
+    base_url = current_app.config['API_BASE_URL']
+    url = f"{base_url}/id/floodAreas/{area_id}"
+
+    try:
+        # Flood area boundaries rarely change, so cache them for much longer
+        data = get_with_cache(
+            url,
+            timeout=current_app.config['FLOOD_AREA_CACHE_TIMEOUT'],
+            request_timeout=current_app.config['FLOOD_AREA_REQUEST_TIMEOUT']
+        )
+    except requests.RequestException:
+        return None
+
+    items = data.get('items')
+    if isinstance(items, list):
+        return items[0] if items else None
+    return items
+
+def get_flood_area_polygon(area_id):
+    """Get the GeoJSON boundary of a flood area"""
+    area = get_flood_area(area_id)
+    polygon_url = area.get('polygon') if area else None
+    if not polygon_url:
+        return None
+    # Boundaries are large and static, so they share the long flood area cache timeout
+    return get_with_cache(
+        polygon_url,
+        timeout=current_app.config['FLOOD_AREA_CACHE_TIMEOUT'],
+        request_timeout=current_app.config['FLOOD_AREA_REQUEST_TIMEOUT']
+    )
+
+def get_flood_warnings(params=None):
+    """Get current flood warnings and alerts from the EA API"""
+    base_url = current_app.config['API_BASE_URL']
+    url = f"{base_url}/id/floods"
+    data = get_with_cache(url, params)
+    warnings = data.get('items', [])
+
+    # Attach the flood area centre so the frontend can place each warning on the map.
+    # The areas are fetched side by side, so a cold cache during a wide flood event doesn't
+    # wait on hundreds of requests in turn; an area that fails just leaves its warning unplaced.
+    app = current_app._get_current_object()
+
+    def fetch_area(area_id):
+        with app.app_context():
+            try:
+                return get_flood_area(area_id)
+            except Exception:
+                app.logger.exception('Failed to fetch flood area %s', area_id)
+                return None
+
+    area_ids = {warning.get('floodAreaID') for warning in warnings if warning.get('floodAreaID')}
+    if area_ids:
+        with ThreadPoolExecutor(max_workers=current_app.config['FLOOD_AREA_WORKERS']) as executor:
+            areas = dict(zip(area_ids, executor.map(fetch_area, area_ids)))
+    else:
+        areas = {}
+
+    for warning in warnings:
+        area = areas.get(warning.get('floodAreaID'))
+        if area:
+            warning['lat'] = area.get('lat')
+            warning['long'] = area.get('long')
+
+    return data
\ No newline at end of file
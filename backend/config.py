@@ -8,4 +8,8 @@ class Config:
     """Base configuration."""
     SECRET_KEY = os.environ.get('SECRET_KEY', 'dev-key-should-be-changed')
     API_BASE_URL = 'https://environment.data.gov.uk/flood-monitoring'
-    CACHE_TIMEOUT = 300  # 5 minutes cache timeout
\ No newline at end of file
+    CACHE_TIMEOUT = 300  # 5 minutes cache timeout
+    FLOOD_AREA_CACHE_TIMEOUT = 86400  # Flood areas are static, cache for a day
+    # Flood areas for the warnings are looked up in parallel, each given up on after this long
+    FLOOD_AREA_WORKERS = 8
+    FLOOD_AREA_REQUEST_TIMEOUT = 10  # seconds
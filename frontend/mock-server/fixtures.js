@@ -0,0 +1,81 @@
+// Fixture files for the mock server. Stations live in fixtures/stations.json; record mode
+// adds the stations it sees there, real readings under fixtures/readings/<station>.json,
+// and every other response under fixtures/recorded/ for exact replay.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = process.env.MOCK_FIXTURES_DIR || path.join(__dirname, 'fixtures');
+const STATIONS_FILE = path.join(FIXTURES_DIR, 'stations.json');
+const READINGS_DIR = path.join(FIXTURES_DIR, 'readings');
+const RECORDED_DIR = path.join(FIXTURES_DIR, 'recorded');
+
+const readJson = (file, fallback) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Ignoring unreadable fixture ${file}:`, err.message);
+    return fallback;
+  }
+};
+
+const writeJson = (file, data) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+};
+
+const loadStations = () => readJson(STATIONS_FILE, { items: [] }).items || [];
+
+// Adds or replaces stations by reference
+const saveStations = (stations) => {
+  const byReference = new Map(loadStations().map(station => [station.stationReference, station]));
+  stations
+    .filter(station => station && station.stationReference)
+    .forEach(station => byReference.set(station.stationReference, { ...byReference.get(station.stationReference), ...station }));
+  writeJson(STATIONS_FILE, { items: [...byReference.values()] });
+};
+
+// Station references are used as file names, so keep them to safe characters
+const safeName = (value) => String(value).replace(/[^A-Za-z0-9_-]/g, '_');
+
+const readingsFile = (stationId) => path.join(READINGS_DIR, `${safeName(stationId)}.json`);
+
+const loadReadings = (stationId) => readJson(readingsFile(stationId), { items: [] }).items || [];
+
+// Merged with any already saved, one reading per measure and time, oldest first
+const saveReadings = (stationId, readings) => {
+  const merged = new Map();
+  [...loadReadings(stationId), ...readings].forEach(reading => {
+    merged.set(`${reading.measure}|${reading.dateTime}`, reading);
+  });
+  const items = [...merged.values()].sort((a, b) => a.dateTime.localeCompare(b.dateTime));
+  writeJson(readingsFile(stationId), { items });
+};
+
+// File for a request: a readable slug of the path plus a hash of the path and sorted query
+const recordingFile = (pathname, query) => {
+  const normalized = `${pathname}?${Object.keys(query).sort().map(name => `${name}=${query[name]}`).join('&')}`;
+  const hash = crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 10);
+  const slug = pathname.replace(/^\/api\//, '').split('/').map(safeName).join('_');
+  return path.join(RECORDED_DIR, `${slug}-${hash}.json`);
+};
+
+const loadRecording = (pathname, query) => {
+  const recording = readJson(recordingFile(pathname, query), null);
+  return recording ? recording.body : null;
+};
+
+const saveRecording = (pathname, query, body) => {
+  writeJson(recordingFile(pathname, query), { request: { path: pathname, query }, body });
+};
+
+module.exports = {
+  FIXTURES_DIR,
+  loadStations,
+  saveStations,
+  loadReadings,
+  saveReadings,
+  loadRecording,
+  saveRecording
+};
@@ -0,0 +1,159 @@
+// Synthetic readings for the mock server. Each station gets a baseline with storm events
+// on random days; every event adds a flood hydrograph (a steep rise, then a long recession)
+// on top. Values depend only on the station and the time, so any range requested gives
+// the same reading for the same instant.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// EA gauges report every 15 minutes
+const READING_INTERVAL = 15 * MINUTE;
+
+// Chance of a storm starting on any given day, and the sizes it can reach
+const EVENT_CHANCE = 0.15;
+const MIN_TIME_TO_PEAK = 4 * HOUR;
+const MAX_TIME_TO_PEAK = 18 * HOUR;
+
+// Higher shapes give a sharper peak; 3 gives a rise over hours and a recession over a day or two
+const HYDROGRAPH_SHAPE = 3;
+
+// How long before a range an event can start and still be felt in it
+const EVENT_LOOKBACK = 4 * DAY;
+
+const EA_BASE = 'http://environment.data.gov.uk/flood-monitoring';
+
+// FNV-1a, then scrambled, as a number in [0, 1): the same key always gives the same number
+const random = (key) => {
+  let hash = 2166136261;
+  for (let index = 0; index < key.length; index += 1) {
+    hash ^= key.charCodeAt(index);
+    hash = Math.imul(hash, 16777619);
+  }
+  hash ^= hash >>> 15;
+  hash = Math.imul(hash, 2246822507);
+  hash ^= hash >>> 13;
+  return (hash >>> 0) / 4294967296;
+};
+
+const round = (value, places) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+// Storm events felt between `start` and `end` (ms), each { start, timeToPeak, size }
+// with size between 0 and 1
+const eventsBetween = (seed, start, end) => {
+  const events = [];
+  for (let day = Math.floor((start - EVENT_LOOKBACK) / DAY); day <= Math.floor(end / DAY); day += 1) {
+    if (random(`${seed}:event:${day}`) >= EVENT_CHANCE) continue;
+    events.push({
+      start: day * DAY + random(`${seed}:hour:${day}`) * DAY,
+      timeToPeak: MIN_TIME_TO_PEAK + random(`${seed}:peak:${day}`) * (MAX_TIME_TO_PEAK - MIN_TIME_TO_PEAK),
+      // Squared so most events are small and a few are large
+      size: 0.1 + 0.9 * random(`${seed}:size:${day}`) ** 2
+    });
+  }
+  return events;
+};
+
+// Gamma-shaped response to an event: 0 at the start, 1 at the peak, then receding
+const unitHydrograph = (elapsed, timeToPeak) => {
+  if (elapsed <= 0) return 0;
+  const ratio = elapsed / timeToPeak;
+  return ratio ** HYDROGRAPH_SHAPE * Math.exp(HYDROGRAPH_SHAPE * (1 - ratio));
+};
+
+// Combined response of all events at `time`, 0 when the river is at its baseline
+const stormResponse = (events, time) =>
+  events.reduce((total, event) => total + event.size * unitHydrograph(time - event.start, event.timeToPeak), 0);
+
+// Rain falls in the hours around the start of each event
+const rainfallAt = (seed, events, time) => events.reduce((total, event) => {
+  const elapsed = time - event.start;
+  if (elapsed < -2 * HOUR || elapsed > event.timeToPeak / 2) return total;
+  return total + event.size * 4 * random(`${seed}:rain:${time}`);
+}, 0);
+
+const firstValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+const toNumber = (value) => {
+  const number = Number(firstValue(value));
+  return value === null || value === undefined || Number.isNaN(number) ? null : number;
+};
+
+// Baseline and storm height for level readings, from the station's typical range where known
+const levelProfile = (station) => {
+  const stageScale = station.stageScale && typeof station.stageScale === 'object' ? station.stageScale : {};
+  const low = toNumber(stageScale.typicalRangeLow) ?? 0.2;
+  const high = toNumber(stageScale.typicalRangeHigh) ?? low + 1;
+  return { base: low + (high - low) * 0.25, range: high - low };
+};
+
+// Measure URLs for the station, or a stage level measure when it lists none
+const stationMeasures = (station) => {
+  const measures = station.measures ? [].concat(station.measures) : [];
+  const ids = measures
+    .map(measure => (measure && typeof measure === 'object' ? measure['@id'] : measure))
+    .filter(Boolean);
+  return ids.length > 0 ? ids : [`${EA_BASE}/id/measures/${station.stationReference}-level-stage-i-15_min-m`];
+};
+
+const measureParameter = (measureId) => {
+  const match = String(measureId).match(/-(level|flow|rainfall)-/);
+  return match ? match[1] : 'level';
+};
+
+// Value of one measure at `time`
+const valueAt = (station, measureId, events, time) => {
+  const seed = station.stationReference;
+  const noise = random(`${seed}:noise:${measureId}:${time}`) - 0.5;
+  const response = stormResponse(events, time);
+
+  switch (measureParameter(measureId)) {
+    case 'rainfall':
+      return round(rainfallAt(seed, events, time), 1);
+    case 'flow': {
+      // Flow climbs much faster than stage as the river fills
+      const baseFlow = 1 + random(`${seed}:baseflow`) * 9;
+      return round(baseFlow * (1 + 12 * response ** 1.5) + noise * 0.05 * baseFlow, 3);
+    }
+    default: {
+      const { base, range } = levelProfile(station);
+      return round(base + response * range * 1.6 + noise * 0.01, 3);
+    }
+  }
+};
+
+const formatDateTime = (time) => new Date(time).toISOString().replace('.000Z', 'Z');
+
+// Readings for every measure of `station` between `start` and `end` (Dates or ms), in
+// time order, shaped like the EA's readings
+const generateReadings = (station, start, end) => {
+  const from = Math.ceil(new Date(start).getTime() / READING_INTERVAL) * READING_INTERVAL;
+  const to = new Date(end).getTime();
+  const events = eventsBetween(station.stationReference, from, to);
+  const readings = [];
+
+  stationMeasures(station).forEach(measureId => {
+    for (let time = from; time <= to; time += READING_INTERVAL) {
+      const dateTime = formatDateTime(time);
+      readings.push({
+        '@id': `${EA_BASE}/data/readings/${measureId.split('/').pop()}-${dateTime}`,
+        dateTime,
+        measure: measureId,
+        value: valueAt(station, measureId, events, time)
+      });
+    }
+  });
+
+  return readings.sort((a, b) => a.dateTime.localeCompare(b.dateTime));
+};
+
+module.exports = {
+  READING_INTERVAL,
+  eventsBetween,
+  unitHydrograph,
+  stationMeasures,
+  generateReadings
+};
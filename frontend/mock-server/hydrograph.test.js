@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { READING_INTERVAL, eventsBetween, unitHydrograph, generateReadings } = require('./hydrograph');
+
+const HOUR = 60 * 60 * 1000;
+
+const station = {
+  stationReference: '690510',
+  stageScale: { typicalRangeLow: 0.16, typicalRangeHigh: 0.8 },
+  measures: [
+    { '@id': 'http://environment.data.gov.uk/flood-monitoring/id/measures/690510-level-stage-i-15_min-mASD' }
+  ]
+};
+
+test('unitHydrograph peaks at 1 at the time to peak and recedes after', () => {
+  assert.strictEqual(unitHydrograph(0, 6 * HOUR), 0);
+  assert.strictEqual(unitHydrograph(6 * HOUR, 6 * HOUR), 1);
+  assert.ok(unitHydrograph(3 * HOUR, 6 * HOUR) < 1);
+  assert.ok(unitHydrograph(12 * HOUR, 6 * HOUR) > unitHydrograph(24 * HOUR, 6 * HOUR));
+});
+
+test('generateReadings gives the same value for an instant whatever the range', () => {
+  const end = Date.UTC(2024, 0, 10);
+  const week = generateReadings(station, end - 7 * 24 * HOUR, end);
+  const day = generateReadings(station, end - 24 * HOUR, end);
+
+  assert.strictEqual(day.length, 24 * 4 + 1);
+  assert.deepStrictEqual(week.slice(-day.length), day);
+  assert.strictEqual(new Date(day[1].dateTime) - new Date(day[0].dateTime), READING_INTERVAL);
+  assert.match(day[0].dateTime, /^2024-01-09T00:00:00Z$/);
+});
+
+test('levels rise above the baseline during storm events', () => {
+  const start = Date.UTC(2024, 0, 1);
+  const end = Date.UTC(2024, 3, 1);
+  const events = eventsBetween(station.stationReference, start, end);
+  assert.ok(events.length > 0);
+
+  const readings = generateReadings(station, start, end);
+  const values = readings.map(reading => reading.value);
+  const lowest = Math.min(...values);
+  const highest = Math.max(...values);
+  assert.ok(lowest > 0.2 && lowest < 0.4, `baseline ${lowest}`);
+  assert.ok(highest > 0.4, `peak ${highest}`);
+});
+
+test('stations without measures get a stage level series', () => {
+  const readings = generateReadings({ stationReference: 'X1' }, Date.UTC(2024, 0, 1), Date.UTC(2024, 0, 1, 1));
+  assert.strictEqual(readings.length, 5);
+  assert.match(readings[0].measure, /X1-level-stage-/);
+});
@@ -0,0 +1,105 @@
+// The parts of the EA query parameters the mock server understands: station filters,
+// date ranges for readings, sorting and paging
+
+const DAY = 24 * 60 * 60 * 1000;
+const EARTH_RADIUS_KM = 6371;
+
+// The backend asks for the last 24 hours when no range is given
+const DEFAULT_READINGS_WINDOW = DAY;
+
+const firstValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+const distanceKm = (from, to) => {
+  const radians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = radians(to.lat - from.lat);
+  const dLong = radians(to.long - from.long);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLong / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+const measureList = (station) => (station.measures ? [].concat(station.measures) : []);
+
+const includesText = (value, text) =>
+  String(firstValue(value) || '').toLowerCase().includes(text.toLowerCase());
+
+// Filters supported by the EA /id/stations endpoint
+const STATION_FILTERS = {
+  parameter: (station, value) => measureList(station).some(measure => measure.parameter === value),
+  qualifier: (station, value) => measureList(station).some(measure => measure.qualifier === value),
+  catchmentName: (station, value) => station.catchmentName === value,
+  riverName: (station, value) => station.riverName === value,
+  town: (station, value) => station.town === value,
+  stationReference: (station, value) => station.stationReference === value,
+  label: (station, value) => firstValue(station.label) === value,
+  search: (station, value) => includesText(station.label, value)
+};
+
+const matchesDistance = (station, query) => {
+  if (query.lat === undefined || query.long === undefined || query.dist === undefined) return true;
+  const lat = Number(firstValue(station.lat));
+  const long = Number(firstValue(station.long));
+  if (Number.isNaN(lat) || Number.isNaN(long)) return false;
+  return distanceKm({ lat: Number(query.lat), long: Number(query.long) }, { lat, long }) <= Number(query.dist);
+};
+
+// `_offset` then `_limit`, as the EA applies them
+const paginate = (items, query) => {
+  const offset = Number(query._offset) || 0;
+  const limit = Number(query._limit) || items.length;
+  return items.slice(offset, offset + limit);
+};
+
+const filterStations = (stations, query) => paginate(
+  stations.filter(station =>
+    Object.entries(STATION_FILTERS).every(([name, matches]) => query[name] === undefined || matches(station, query[name])) &&
+    matchesDistance(station, query)),
+  query
+);
+
+const startOfDay = (value) => new Date(`${value}T00:00:00Z`).getTime();
+
+// { start, end } in ms for a readings query: since, startdate/enddate, date or today.
+// Nothing is generated after `now`.
+const readingsRange = (query, now = Date.now()) => {
+  if (query.startdate) {
+    const end = query.enddate ? startOfDay(query.enddate) + DAY - 1 : now;
+    return { start: startOfDay(query.startdate), end: Math.min(end, now) };
+  }
+  if (query.date) {
+    return { start: startOfDay(query.date), end: Math.min(startOfDay(query.date) + DAY - 1, now) };
+  }
+  if (query.today !== undefined) {
+    return { start: startOfDay(new Date(now).toISOString().slice(0, 10)), end: now };
+  }
+  if (query.since) {
+    return { start: new Date(query.since).getTime(), end: now };
+  }
+  return { start: now - DEFAULT_READINGS_WINDOW, end: now };
+};
+
+// `_sorted` puts the newest readings first, so `_limit` keeps the most recent
+const sortReadings = (readings, query) => (
+  query._sorted !== undefined ?
+    [...readings].sort((a, b) => b.dateTime.localeCompare(a.dateTime)) :
+    readings
+);
+
+// Only the newest reading of each measure, as for the EA `latest` parameter
+const latestReadings = (readings) => {
+  const byMeasure = new Map();
+  readings.forEach(reading => {
+    const current = byMeasure.get(reading.measure);
+    if (!current || reading.dateTime > current.dateTime) byMeasure.set(reading.measure, reading);
+  });
+  return [...byMeasure.values()];
+};
+
+module.exports = {
+  distanceKm,
+  paginate,
+  filterStations,
+  readingsRange,
+  sortReadings,
+  latestReadings
+};
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { filterStations, readingsRange, sortReadings, latestReadings } = require('./queries');
+
+const stations = [
+  { stationReference: '690510', label: 'Prestbury', riverName: 'River Bollin', lat: 53.2896, long: -2.1469,
+    measures: [{ parameter: 'level' }] },
+  { stationReference: '690515', label: 'Wilmslow', riverName: 'River Bollin', lat: 53.3296, long: -2.2272,
+    measures: [{ parameter: 'level' }] },
+  { stationReference: '2001', label: 'Bewdley', riverName: 'River Severn', lat: 52.3762, long: -2.3167,
+    measures: [{ parameter: 'level' }, { parameter: 'flow' }] }
+];
+
+const references = (items) => items.map(station => station.stationReference);
+
+test('filterStations applies EA filters, distance and paging', () => {
+  assert.deepStrictEqual(references(filterStations(stations, { riverName: 'River Bollin' })), ['690510', '690515']);
+  assert.deepStrictEqual(references(filterStations(stations, { parameter: 'flow' })), ['2001']);
+  assert.deepStrictEqual(references(filterStations(stations, { lat: '53.3', long: '-2.2', dist: '10' })), ['690510', '690515']);
+  assert.deepStrictEqual(references(filterStations(stations, { _limit: '1', _offset: '1' })), ['690515']);
+  assert.deepStrictEqual(references(filterStations(stations, { search: 'bew' })), ['2001']);
+});
+
+test('readingsRange reads the EA date parameters', () => {
+  const now = Date.UTC(2024, 5, 15, 12);
+
+  assert.deepStrictEqual(readingsRange({ startdate: '2024-06-01', enddate: '2024-06-02' }, now), {
+    start: Date.UTC(2024, 5, 1),
+    end: Date.UTC(2024, 5, 3) - 1
+  });
+  assert.deepStrictEqual(readingsRange({ since: '2024-06-15T00:00:00Z' }, now), { start: Date.UTC(2024, 5, 15), end: now });
+  assert.deepStrictEqual(readingsRange({ today: '' }, now), { start: Date.UTC(2024, 5, 15), end: now });
+  assert.deepStrictEqual(readingsRange({}, now), { start: now - 24 * 60 * 60 * 1000, end: now });
+});
+
+test('sorted readings come newest first, and latest keeps one per measure', () => {
+  const readings = [
+    { measure: 'a', dateTime: '2024-01-01T00:00:00Z' },
+    { measure: 'a', dateTime: '2024-01-01T00:15:00Z' },
+    { measure: 'b', dateTime: '2024-01-01T00:00:00Z' }
+  ];
+
+  assert.strictEqual(sortReadings(readings, { _sorted: '' })[0].dateTime, '2024-01-01T00:15:00Z');
+  assert.strictEqual(sortReadings(readings, {}), readings);
+  assert.deepStrictEqual(latestReadings(readings), [readings[1], readings[2]]);
+});
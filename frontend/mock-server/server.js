@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+// Stand-in for the Flask backend, for development and CI without network access.
+//
+//   node mock-server/server.js            serve fixtures and synthetic readings
+//   node mock-server/server.js --record   proxy to the real backend, saving what it returns
+//
+// Options: --port=5001 (or MOCK_PORT), --target=http://localhost:5000 (or RECORD_TARGET).
+// Point the frontend at it with the "Local mock" profile in config.json.
+
+const http = require('http');
+const { generateReadings } = require('./hydrograph');
+const { filterStations, readingsRange, sortReadings, latestReadings, paginate } = require('./queries');
+const fixtures = require('./fixtures');
+
+const option = (name, fallback) => {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : fallback;
+};
+
+const RECORD = process.argv.includes('--record');
+const PORT = Number(option('port', process.env.MOCK_PORT || 5001));
+const TARGET = option('target', process.env.RECORD_TARGET || 'http://localhost:5000').replace(/\/$/, '');
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    // The frontend dev server runs on another port
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': '*'
+  });
+  res.end(JSON.stringify(body));
+};
+
+const notFound = (message) => ({ status: 404, body: { error: message } });
+
+const findStation = (stationId) =>
+  fixtures.loadStations().find(station => station.stationReference === stationId) || null;
+
+// Recorded real readings in the range when there are any, synthetic ones otherwise
+const readingsFor = (station, { start, end }) => {
+  const from = new Date(start).toISOString();
+  const to = new Date(end).toISOString();
+  const recorded = fixtures.loadReadings(station.stationReference)
+    .filter(reading => reading.dateTime >= from && reading.dateTime <= to);
+  return recorded.length > 0 ? recorded : generateReadings(station, start, end);
+};
+
+const routes = [
+  {
+    pattern: /^\/api\/stations$/,
+    handle: (query) => ({ status: 200, body: { items: filterStations(fixtures.loadStations(), query) } })
+  },
+  {
+    pattern: /^\/api\/stations\/([^/]+)$/,
+    handle: (query, stationId) => {
+      const station = findStation(stationId);
+      return station ? { status: 200, body: station } : notFound('Station not found');
+    }
+  },
+  {
+    pattern: /^\/api\/stations\/([^/]+)\/readings$/,
+    handle: (query, stationId) => {
+      const station = findStation(stationId);
+      if (!station) return notFound('Station not found');
+      const readings = sortReadings(readingsFor(station, readingsRange(query)), query);
+      // Like the backend, return at most 1000 readings unless asked for more
+      return { status: 200, body: { items: paginate(readings, { _limit: 1000, ...query }) } };
+    }
+  },
+  {
+    // Readings across stations, as used for the map's marker status
+    pattern: /^\/api\/readings$/,
+    handle: (query) => {
+      const stations = filterStations(fixtures.loadStations(), { parameter: query.parameter });
+      // Without `since`, the last hour is enough to find each measure's latest reading
+      const range = readingsRange({ since: query.since || new Date(Date.now() - 60 * 60 * 1000).toISOString() });
+      let readings = stations.flatMap(station => readingsFor(station, range));
+      if (query.parameter) readings = readings.filter(reading => reading.measure.includes(`-${query.parameter}-`));
+      if (query.latest !== undefined || !query.since) readings = latestReadings(readings);
+      return { status: 200, body: { items: paginate(readings, query) } };
+    }
+  },
+  {
+    // Only recorded warnings are replayed; otherwise there are none in force
+    pattern: /^\/api\/floods$/,
+    handle: () => ({ status: 200, body: { items: [] } })
+  },
+  {
+    pattern: /^\/api\/floods\/areas\/([^/]+)\/polygon$/,
+    handle: () => notFound('Flood area not found')
+  }
+];
+
+const serveFixture = (pathname, query) => {
+  const recording = fixtures.loadRecording(pathname, query);
+  if (recording) return { status: 200, body: recording };
+
+  for (const route of routes) {
+    const match = pathname.match(route.pattern);
+    if (match) return route.handle(query, ...match.slice(1).map(decodeURIComponent));
+  }
+  return notFound('Not found');
+};
+
+// Passes the request to the real backend and keeps the response as fixtures
+const record = async (pathname, search, query) => {
+  const response = await fetch(`${TARGET}${pathname}${search}`);
+  const body = await response.json();
+  if (!response.ok) return { status: response.status, body };
+
+  const readingsMatch = pathname.match(/^\/api\/stations\/([^/]+)\/readings$/);
+  if (readingsMatch) {
+    // Time-relative queries never repeat exactly, so readings are kept per station instead
+    fixtures.saveReadings(decodeURIComponent(readingsMatch[1]), body.items || []);
+  } else {
+    fixtures.saveRecording(pathname, query, body);
+    if (pathname === '/api/stations') fixtures.saveStations(body.items || []);
+    if (/^\/api\/stations\/[^/]+$/.test(pathname)) fixtures.saveStations([body]);
+  }
+  return { status: response.status, body };
+};
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    send(res, 204, {});
+    return;
+  }
+  if (req.method !== 'GET') {
+    send(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const query = Object.fromEntries(url.searchParams);
+  try {
+    const { status, body } = RECORD ?
+      await record(url.pathname, url.search, query) :
+      serveFixture(url.pathname, query);
+    send(res, status, body);
+  } catch (err) {
+    console.error(`${req.method} ${req.url} failed:`, err);
+    send(res, 502, { error: err.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(RECORD ?
+    `Mock API recording ${TARGET} into ${fixtures.FIXTURES_DIR} on http://localhost:${PORT}/api` :
+    `Mock API serving ${fixtures.FIXTURES_DIR} on http://localhost:${PORT}/api`);
+});
@@ -1,38 +1,284 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import './App.css';
 import StationMap from './components/StationMap';
 import ReadingsChart from './components/ReadingsChart';
+import FloodWarningsPanel from './components/FloodWarningsPanel';
+import WatchPanel from './components/WatchPanel';
+import NearbyStationsPanel from './components/NearbyStationsPanel';
+import SettingsPanel from './components/SettingsPanel';
+import { getFloodWarnings, getStation } from './services/api';
+import { isNetworkError } from './services/readingsCache';
+import { sortBySeverity } from './utils/floodWarnings';
+import useStationWatches from './hooks/useStationWatches';
+import useOnlineStatus from './hooks/useOnlineStatus';
+import usePolling from './hooks/usePolling';
+import { getConfig } from './services/config';
+import { parseUrlState, buildUrlSearch, normalizeViewport, viewportsEqual } from './utils/urlState';
+import { defaultArchiveWindow } from './utils/archive';
+
+// Stations restored from the URL start out as stubs until their details are fetched
+const stationStub = (stationReference) => (stationReference ? { stationReference, stub: true } : null);
+
+// Starting map view from the runtime configuration
+const configuredViewport = () => {
+  const { mapCenter, mapZoom } = getConfig();
+  return { center: mapCenter, zoom: mapZoom };
+};
+
+const findOrStub = (stations, stationReference) =>
+  stations.find(station => station && station.stationReference === stationReference) ||
+  stationStub(stationReference);
 
 function App() {
-  const [selectedStation, setSelectedStation] = useState(null);
+  const [initialUrlState] = useState(() => parseUrlState(window.location.search, configuredViewport()));
+  const [selectedStation, setSelectedStation] = useState(() => stationStub(initialUrlState.station));
+  // Stations pinned for comparison stay on the chart while another station is selected
+  const [pinnedStations, setPinnedStations] = useState(() => initialUrlState.compare.map(stationStub));
+  const [selectedRange, setSelectedRange] = useState(initialUrlState.range);
+  const [customDateRange, setCustomDateRange] = useState(initialUrlState.customDateRange);
+  // Date window and comparison years for archive mode
+  const [archive, setArchive] = useState(initialUrlState.archive);
+  const [mapViewport, setMapViewport] = useState(initialUrlState.viewport);
+  const [warnings, setWarnings] = useState([]);
+  const [warningsLoading, setWarningsLoading] = useState(false);
+  const [warningsError, setWarningsError] = useState(null);
+  // Fetch time of the saved warnings shown while offline
+  const [warningsAsOf, setWarningsAsOf] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const online = useOnlineStatus();
+  const {
+    watches,
+    alerts,
+    notificationPermission,
+    requestNotificationPermission,
+    addWatch,
+    updateWatch,
+    removeWatch,
+    dismissAlert,
+    clearAlerts
+  } = useStationWatches({ interval: getConfig().watchPollInterval });
+
+  const fetchWarnings = useCallback(async () => {
+    try {
+      setWarningsLoading(true);
+      setWarningsError(null);
+      const data = await getFloodWarnings();
+      setWarnings(sortBySeverity(data.items || []));
+      setWarningsAsOf(data.offline ? data.fetchedAt : null);
+    } catch (err) {
+      setWarningsError(isNetworkError(err) ?
+        'Offline, no saved flood warnings available' : 'Failed to load flood warnings');
+      console.error(err);
+    } finally {
+      setWarningsLoading(false);
+    }
+  }, []);
+
+  // Also reloads when the connection comes back
+  useEffect(() => {
+    if (online) fetchWarnings();
+  }, [fetchWarnings, online]);
+
+  usePolling(fetchWarnings, { interval: getConfig().warningsRefreshInterval, enabled: online });
+
+  // Replace any stub stations with their full details
+  const stubReferences = [selectedStation, ...pinnedStations]
+    .filter(station => station && station.stub)
+    .map(station => station.stationReference);
+  const stubKey = [...new Set(stubReferences)].join(',');
+
+  useEffect(() => {
+    if (!stubKey) return;
+
+    stubKey.split(',').forEach(async (stationReference) => {
+      try {
+        const station = await getStation(stationReference);
+        const replaceStub = (current) =>
+          current && current.stub && current.stationReference === stationReference ? station : current;
+        setSelectedStation(replaceStub);
+        setPinnedStations(current => current.map(replaceStub));
+      } catch (err) {
+        console.error(err);
+      }
+    });
+  }, [stubKey]);
+
+  // Restore the view when the user navigates with back/forward
+  useEffect(() => {
+    const handlePopState = () => {
+      const urlState = parseUrlState(window.location.search, configuredViewport());
+      setSelectedStation(current => findOrStub([current], urlState.station));
+      setPinnedStations(current => urlState.compare.map(reference => findOrStub(current, reference)));
+      setSelectedRange(urlState.range);
+      setCustomDateRange(urlState.customDateRange);
+      setArchive(urlState.archive);
+      setMapViewport(urlState.viewport);
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // Mirror the view into the URL so it can be shared or bookmarked
+  useEffect(() => {
+    const viewState = {
+      station: selectedStation ? selectedStation.stationReference : null,
+      compare: pinnedStations.map(station => station.stationReference),
+      range: selectedRange,
+      customDateRange,
+      archive
+    };
+    const search = buildUrlSearch({ ...viewState, viewport: mapViewport }, configuredViewport());
+    if (search === window.location.search) return;
+
+    // Map movements replace the current history entry; anything else adds a new one
+    const currentViewState = { ...parseUrlState(window.location.search), viewport: null };
+    const mapOnlyChange = buildUrlSearch(viewState) === buildUrlSearch(currentViewState);
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (mapOnlyChange) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  }, [selectedStation, pinnedStations, selectedRange, customDateRange, archive, mapViewport]);
 
   const handleStationSelect = (station) => {
     setSelectedStation(station);
   };
 
+  const handleRangeChange = (range) => {
+    if (range === 'archive' && !archive) {
+      setArchive(defaultArchiveWindow());
+    }
+    setSelectedRange(range);
+  };
+
+  const handleCustomRangeChange = (start, end) => {
+    setCustomDateRange({ start, end });
+    setSelectedRange('custom');
+  };
+
+  const handleArchiveChange = (nextArchive) => {
+    setArchive(nextArchive);
+    setSelectedRange('archive');
+  };
+
+  const handleViewportChange = (viewport) => {
+    const next = normalizeViewport(viewport);
+    setMapViewport(current => (viewportsEqual(current, next) ? current : next));
+  };
+
+  const handleWatchSelect = (stationReference) => {
+    setSelectedStation(current => findOrStub([current, ...pinnedStations], stationReference));
+  };
+
+  const isPinned = (station) =>
+    pinnedStations.some(pinned => pinned.stationReference === station.stationReference);
+
+  const handleTogglePin = (station) => {
+    setPinnedStations(current => isPinned(station) ?
+      current.filter(pinned => pinned.stationReference !== station.stationReference) :
+      [...current, station]
+    );
+  };
+
+  // The selected station is always the primary series, so leave it out of the comparison
+  const comparisonStations = selectedStation ?
+    pinnedStations.filter(station => station.stationReference !== selectedStation.stationReference) :
+    [];
+
   return (
     <div className="App">
       <header className="App-header">
         <h1>Realtime Flood Monitoring</h1>
         <p>Select a station on the map to view its readings</p>
+        <button className="settings-button" onClick={() => setShowSettings(current => !current)}>
+          {showSettings ? 'Close settings' : 'Settings'}
+        </button>
       </header>
+      {showSettings && <SettingsPanel onClose={() => setShowSettings(false)} />}
       <main>
         <div className="container">
           <div className="map-container">
             <h2>Monitoring Stations</h2>
-            <StationMap onStationSelect={handleStationSelect} />
+            <StationMap
+              onStationSelect={handleStationSelect}
+              warnings={warnings}
+              viewport={mapViewport}
+              onViewportChange={handleViewportChange}
+              watches={watches}
+              onWatchStation={addWatch}
+            />
           </div>
           {selectedStation && (
             <div className="readings-container">
-              <h2>Station: {selectedStation.label}</h2>
+              <h2>Station: {selectedStation.label || selectedStation.stationReference}</h2>
               <div className="station-info">
                 <p><strong>River:</strong> {selectedStation.riverName || 'N/A'}</p>
                 <p><strong>Town:</strong> {selectedStation.town || 'N/A'}</p>
               </div>
-              <ReadingsChart stationId={selectedStation.stationReference} />
+              <NearbyStationsPanel
+                station={selectedStation}
+                pinnedReferences={pinnedStations.map(station => station.stationReference)}
+                onSelect={handleStationSelect}
+                onTogglePin={handleTogglePin}
+              />
+              <div className="comparison-controls">
+                <button className="apply-button" onClick={() => handleTogglePin(selectedStation)}>
+                  {isPinned(selectedStation) ? 'Unpin station' : 'Pin for comparison'}
+                </button>
+                {comparisonStations.length > 0 && (
+                  <ul className="pinned-stations">
+                    {comparisonStations.map(station => (
+                      <li key={station.stationReference}>
+                        {station.label || station.stationReference}
+                        {station.riverName ? ` (${station.riverName})` : ''}
+                        <button
+                          title="Remove from comparison"
+                          onClick={() => handleTogglePin(station)}
+                        >
+                          ×
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              <ReadingsChart
+                stationId={selectedStation.stationReference}
+                comparisonStations={comparisonStations}
+                selectedRange={selectedRange}
+                customDateRange={customDateRange}
+                archive={archive}
+                onRangeChange={handleRangeChange}
+                onCustomRangeChange={handleCustomRangeChange}
+                onArchiveChange={handleArchiveChange}
+              />
             </div>
           )}
         </div>
+        <div className="watches-container">
+          <WatchPanel
+            watches={watches}
+            alerts={alerts}
+            notificationPermission={notificationPermission}
+            onRequestPermission={requestNotificationPermission}
+            onUpdateWatch={updateWatch}
+            onRemoveWatch={removeWatch}
+            onSelectStation={handleWatchSelect}
+            onDismissAlert={dismissAlert}
+            onClearAlerts={clearAlerts}
+          />
+        </div>
+        <div className="warnings-container">
+          <FloodWarningsPanel
+            warnings={warnings}
+            loading={warningsLoading}
+            error={warningsError}
+            offlineAsOf={warningsAsOf}
+            onRefresh={fetchWarnings}
+          />
+        </div>
       </main>
       <footer>
         <p>
@@ -43,4 +289,4 @@ function App() {
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,18 @@
+import React from 'react';
+import { AGGREGATION_MODES } from '../utils/readings';
+
+// Chooses how hourly/daily buckets are summarised when a range is aggregated
+const AggregationModeSelector = ({ level, mode, onModeChange }) => (
+  <div className="aggregation-selector">
+    <label>
+      {level === 'daily' ? 'Daily' : 'Hourly'} values:
+      <select value={mode} onChange={e => onModeChange(e.target.value)}>
+        {AGGREGATION_MODES.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </label>
+  </div>
+);
+
+export default AggregationModeSelector;
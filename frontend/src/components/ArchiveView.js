@@ -0,0 +1,385 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import DatePicker from 'react-datepicker';
+import 'react-datepicker/dist/react-datepicker.css';
+import { getArchivedReadings } from '../services/api';
+import { isNetworkError } from '../services/readingsCache';
+import { aggregateReadings } from '../utils/readings';
+import { buildThresholdAnnotations } from '../utils/stageScale';
+import {
+  describeMeasure,
+  groupReadingsByMeasure,
+  isRainfallMeasure,
+  listMeasureIds,
+  pickDefaultMeasure,
+  toMeasureList
+} from '../utils/measures';
+import {
+  ARCHIVE_YEAR_OPTIONS,
+  alignToCurrentYear,
+  archiveAggregationLevel,
+  canOverlayYears,
+  previousYearWindows,
+  rankCurrentPeak,
+  summariseYears
+} from '../utils/archive';
+import OfflineNotice from './OfflineNotice';
+
+const CURRENT_COLOR = 'rgb(75, 192, 192)';
+
+// Earlier years, most recent first; older years fade out
+const YEAR_COLORS = [
+  'rgb(255, 159, 64)',
+  'rgb(153, 102, 255)',
+  'rgb(255, 99, 132)',
+  'rgb(54, 162, 235)',
+  'rgb(201, 203, 207)',
+];
+
+const yearColor = (yearsBack) => (yearsBack === 0 ?
+  CURRENT_COLOR : YEAR_COLORS[(yearsBack - 1) % YEAR_COLORS.length]);
+
+// "2025", or "2024/25" for a window that crosses New Year
+const yearLabel = ({ start, end }) => (start.getFullYear() === end.getFullYear() ?
+  String(start.getFullYear()) : `${start.getFullYear()}/${String(end.getFullYear()).slice(-2)}`);
+
+const ordinal = (n) => {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  return `${n}${(n % 100 >= 11 && n % 100 <= 13) ? 'th' : suffixes[n % 10] || 'th'}`;
+};
+
+const endOfDay = (date) => {
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+// Multi-year history for a station: any date range, paged from the API, with the same
+// calendar window from earlier years overlaid to show how unusual the current levels are
+const ArchiveView = ({ stationId, archive, onArchiveChange, stationDetails = null, thresholds = null }) => {
+  const [draftStart, setDraftStart] = useState(archive.start);
+  const [draftEnd, setDraftEnd] = useState(archive.end);
+  const [draftYears, setDraftYears] = useState(archive.years);
+  // One entry per year loaded: { yearsBack, label, readings } with readings oldest first
+  const [yearSeries, setYearSeries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [offlineAsOf, setOfflineAsOf] = useState(null);
+  const [selectedMeasure, setSelectedMeasure] = useState(null);
+
+  // The window by value rather than object identity, so an equal window from the URL
+  // state doesn't reload anything
+  const startTime = archive.start.getTime();
+  const endTime = archive.end.getTime();
+  const { years } = archive;
+  const archiveWindow = useMemo(
+    () => ({ start: new Date(startTime), end: new Date(endTime), years }),
+    [startTime, endTime, years]
+  );
+
+  // Keep the inputs in step when the window changes elsewhere, e.g. back/forward navigation
+  useEffect(() => {
+    setDraftStart(archiveWindow.start);
+    setDraftEnd(archiveWindow.end);
+    setDraftYears(archiveWindow.years);
+  }, [archiveWindow]);
+
+  useEffect(() => {
+    let cancelled = false;
+    // Stops the paging of any date windows still to come once this load is superseded
+    const controller = new AbortController();
+
+    const fetchArchive = async () => {
+      if (!stationId) return;
+
+      const windows = [
+        { yearsBack: 0, start: archiveWindow.start, end: archiveWindow.end },
+        ...(canOverlayYears(archiveWindow) ? previousYearWindows(archiveWindow, archiveWindow.years) : [])
+      ];
+
+      try {
+        setLoading(true);
+        setError(null);
+        setYearSeries([]);
+        setOfflineAsOf(null);
+
+        const reportProgress = (label) => (done, total) => {
+          if (!cancelled) setProgress({ label, done, total });
+        };
+
+        // Years are fetched one after another to keep the load on the API modest
+        const loaded = [];
+        for (const dateWindow of windows) {
+          const label = yearLabel(dateWindow);
+          const data = await getArchivedReadings(stationId, dateWindow, reportProgress(label), controller.signal);
+          if (cancelled) return;
+
+          if (data.offline) {
+            setOfflineAsOf(current => (current && current < data.fetchedAt ? current : data.fetchedAt));
+          }
+          const sorted = [...(data.items || [])].sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
+          loaded.push({
+            yearsBack: dateWindow.yearsBack,
+            label,
+            readings: dateWindow.yearsBack === 0 ? sorted : alignToCurrentYear(sorted, dateWindow.yearsBack)
+          });
+          // Show each year as soon as it arrives
+          setYearSeries([...loaded]);
+        }
+      } catch (err) {
+        if (cancelled) return;
+        setError(isNetworkError(err) ? 'offline' : 'Failed to load archived readings');
+        console.error(err);
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+          setProgress(null);
+        }
+      }
+    };
+
+    fetchArchive();
+    return () => {
+      cancelled = true;
+      controller.abort();
+    };
+  }, [stationId, archiveWindow]);
+
+  const level = archiveAggregationLevel(archive);
+  const stationMeasures = toMeasureList(stationDetails?.measures);
+
+  // Measures are picked from the current year, falling back to any year that has readings
+  const groupsByYear = useMemo(() => yearSeries.map(series => ({
+    ...series,
+    groups: groupReadingsByMeasure(series.readings)
+  })), [yearSeries]);
+  const allGroups = Object.assign({}, ...[...groupsByYear].reverse().map(series => series.groups));
+  const measureIds = listMeasureIds(stationMeasures, allGroups)
+    .filter(id => (allGroups[id] || []).length > 0);
+  const activeMeasure = measureIds.includes(selectedMeasure) ?
+    selectedMeasure : pickDefaultMeasure(measureIds, allGroups);
+  const isRainfall = isRainfallMeasure(activeMeasure);
+  const info = describeMeasure(activeMeasure, stationMeasures);
+  const parameterName = info ? info.parameterName : 'Reading';
+  const unit = info ? info.unitName : '';
+
+  const plottedSeries = useMemo(() => groupsByYear.map(series => {
+    const readings = series.groups[activeMeasure] || [];
+    return {
+      ...series,
+      readings: level !== 'none' ? aggregateReadings(readings, level, isRainfall ? 'sum' : 'mean') : readings
+    };
+  }), [groupsByYear, activeMeasure, level, isRainfall]);
+
+  // Peaks are compared on the raw readings so aggregation doesn't flatten them
+  const summaries = summariseYears(groupsByYear.map(series => ({
+    ...series,
+    readings: series.groups[activeMeasure] || []
+  })));
+  const currentRank = rankCurrentPeak(summaries);
+
+  const handleApply = () => {
+    if (!draftStart || !draftEnd) return;
+    onArchiveChange({ start: draftStart, end: draftEnd, years: draftYears });
+  };
+
+  const overlayAvailable = draftStart && draftEnd && canOverlayYears({ start: draftStart, end: draftEnd });
+
+  const data = {
+    datasets: plottedSeries.map(series => ({
+      label: series.yearsBack === 0 ? `${series.label} (selected window)` : series.label,
+      data: series.readings.map(reading => ({
+        x: new Date(reading.dateTime),
+        y: reading.value,
+        originalDateTime: reading.originalDateTime || reading.dateTime
+      })),
+      fill: false,
+      borderColor: yearColor(series.yearsBack),
+      backgroundColor: yearColor(series.yearsBack),
+      borderWidth: series.yearsBack === 0 ? 3 : 1.5,
+      pointRadius: 0,
+      tension: 0.1,
+      // Draw the selected window on top of the earlier years
+      order: series.yearsBack
+    }))
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    interaction: {
+      mode: 'nearest',
+      intersect: false
+    },
+    plugins: {
+      legend: {
+        position: 'top'
+      },
+      tooltip: {
+        callbacks: {
+          title: (context) => new Date(context[0].raw.originalDateTime).toLocaleString(),
+          label: (context) => `${context.dataset.label}: ${context.parsed.y} ${unit}`
+        }
+      },
+      annotation: {
+        annotations: isRainfall ? {} : buildThresholdAnnotations(thresholds)
+      }
+    },
+    scales: {
+      x: {
+        type: 'time',
+        min: archive.start,
+        max: endOfDay(archive.end),
+        time: {
+          displayFormats: {
+            hour: 'MMM d, HH:mm',
+            day: 'MMM d',
+            month: 'MMM yyyy'
+          }
+        }
+      },
+      y: {
+        beginAtZero: isRainfall,
+        title: {
+          display: true,
+          text: isRainfall && level !== 'none' ?
+            `${parameterName} ${level} total (${unit})` : `${parameterName} (${unit})`
+        }
+      }
+    }
+  };
+
+  const controls = (
+    <div className="archive-controls">
+      <label>
+        From:
+        <DatePicker
+          selected={draftStart}
+          onChange={date => setDraftStart(date)}
+          selectsStart
+          startDate={draftStart}
+          endDate={draftEnd}
+          maxDate={draftEnd || new Date()}
+          showYearDropdown
+        />
+      </label>
+      <label>
+        To:
+        <DatePicker
+          selected={draftEnd}
+          onChange={date => setDraftEnd(date)}
+          selectsEnd
+          startDate={draftStart}
+          endDate={draftEnd}
+          minDate={draftStart}
+          maxDate={new Date()}
+          showYearDropdown
+        />
+      </label>
+      <label>
+        Compare with previous:
+        <select
+          value={draftYears}
+          onChange={e => setDraftYears(Number(e.target.value))}
+          disabled={!overlayAvailable}
+        >
+          {ARCHIVE_YEAR_OPTIONS.map(years => (
+            <option key={years} value={years}>{years} {years === 1 ? 'year' : 'years'}</option>
+          ))}
+        </select>
+      </label>
+      <button className="apply-button" onClick={handleApply} disabled={loading}>
+        Load
+      </button>
+      {!overlayAvailable && (
+        <span className="archive-note">Year-over-year comparison needs a window of a year or less</span>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="archive-view">
+      {controls}
+      {offlineAsOf && <OfflineNotice asOf={offlineAsOf} subject="archived readings" />}
+      {error === 'offline' && <OfflineNotice subject="archived readings" />}
+      {error && error !== 'offline' && <div>Error: {error}</div>}
+      {loading && (
+        <div className="archive-progress">
+          Loading {progress ? `${progress.label}: ${progress.done} of ${progress.total} pages` : 'archived readings'}...
+        </div>
+      )}
+
+      {measureIds.length > 1 && (
+        <div className="measure-selector">
+          <label>
+            Measure:
+            <select value={activeMeasure || ''} onChange={e => setSelectedMeasure(e.target.value)}>
+              {measureIds.map(id => {
+                const measureInfo = describeMeasure(id, stationMeasures);
+                return <option key={id} value={id}>{measureInfo ? measureInfo.label : id}</option>;
+              })}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {!loading && !error && summaries.every(summary => summary.count === 0) && (
+        <div>No archived readings available for this window</div>
+      )}
+
+      {plottedSeries.some(series => series.readings.length > 0) && (
+        <div className="chart-section">
+          <div className="chart-header">
+            <h3>Archive: {archive.start.toLocaleDateString()} to {archive.end.toLocaleDateString()}</h3>
+            {level !== 'none' && (
+              <span className="date-subtitle">{level === 'daily' ? 'Daily' : 'Hourly'} {isRainfall ? 'totals' : 'means'}</span>
+            )}
+          </div>
+          <div style={{ height: '400px', border: '1px solid #ddd' }}>
+            <Line data={data} options={options} />
+          </div>
+        </div>
+      )}
+
+      {summaries.length > 1 && (
+        <div className="archive-summary">
+          {currentRank && (
+            <p>
+              The peak in this window is the {currentRank.rank === 1 ? 'highest' : `${ordinal(currentRank.rank)} highest`}
+              {' '}of the {currentRank.of} years with readings.
+            </p>
+          )}
+          <table className="readings-table">
+            <thead>
+              <tr>
+                <th>Year</th>
+                <th>Peak ({unit})</th>
+                <th>Peak time</th>
+                <th>Mean ({unit})</th>
+                <th>Readings</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summaries.map(summary => (
+                <tr key={summary.yearsBack} className={summary.yearsBack === 0 ? 'current-reading' : ''}>
+                  <td>
+                    <span className="archive-swatch" style={{ backgroundColor: yearColor(summary.yearsBack) }} />
+                    {summary.label}
+                  </td>
+                  <td>{summary.peak ?? '–'}</td>
+                  <td>{summary.peakTime ? new Date(summary.peakTime).toLocaleString() : '–'}</td>
+                  <td>{summary.mean ?? '–'}</td>
+                  <td>{summary.count}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ArchiveView;
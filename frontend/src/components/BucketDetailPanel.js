@@ -0,0 +1,116 @@
+import React from 'react';
+import { Line } from 'react-chartjs-2';
+import { buildThresholdAnnotations, isAboveTypicalHigh } from '../utils/stageScale';
+import { findPeak, findLowest, getBucketRange } from '../utils/readings';
+
+// Raw 15-minute readings behind one hourly/daily point of the main chart
+const BucketDetailPanel = ({
+  bucket,
+  level,
+  parameterName,
+  unit,
+  thresholds = null,
+  onPrevious,
+  onNext,
+  onClose
+}) => {
+  const rawReadings = bucket.originalReadings || [];
+  const { start, end } = getBucketRange(bucket.dateTime, level);
+  const peak = findPeak(rawReadings);
+  const lowest = findLowest(rawReadings);
+
+  const data = {
+    datasets: [{
+      label: `${parameterName} (${unit})`,
+      data: rawReadings.map(reading => ({
+        x: new Date(reading.dateTime),
+        y: reading.value
+      })),
+      fill: false,
+      borderColor: 'rgba(75, 192, 192, 0.8)',
+      pointBackgroundColor: context => {
+        const point = context.dataset.data[context.dataIndex];
+        if (peak && point && point.y === peak.value) return 'red';
+        return isAboveTypicalHigh(point && point.y, thresholds) ? 'orange' : 'rgb(75, 192, 192)';
+      },
+      pointRadius: 4,
+      tension: 0.1
+    }]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: false
+      },
+      tooltip: {
+        callbacks: {
+          title: (context) => new Date(context[0].parsed.x).toLocaleString(),
+          label: (context) => `${parameterName}: ${context.parsed.y} ${unit}`
+        }
+      },
+      annotation: {
+        annotations: buildThresholdAnnotations(thresholds)
+      }
+    },
+    scales: {
+      x: {
+        type: 'time',
+        min: start,
+        max: end,
+        time: {
+          unit: level === 'hourly' ? 'minute' : 'hour',
+          stepSize: level === 'hourly' ? 15 : 2,
+          displayFormats: {
+            minute: 'HH:mm',
+            hour: 'HH:mm'
+          }
+        }
+      },
+      y: {
+        title: {
+          display: true,
+          text: `${parameterName} (${unit})`
+        }
+      }
+    }
+  };
+
+  const heading = level === 'hourly' ?
+    `${start.toLocaleDateString()} ${start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}–` +
+      end.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) :
+    start.toLocaleDateString();
+
+  return (
+    <div className="bucket-detail-panel">
+      <div className="chart-header">
+        <h3>Raw readings: {heading}</h3>
+        <div className="bucket-detail-nav">
+          <button className="range-button" onClick={onPrevious} disabled={!onPrevious}>
+            ‹ Previous
+          </button>
+          <button className="range-button" onClick={onNext} disabled={!onNext}>
+            Next ›
+          </button>
+          <button className="range-button" onClick={onClose}>Close</button>
+        </div>
+      </div>
+      <div className="threshold-summary">
+        <span>{rawReadings.length} readings</span>
+        {peak && (
+          <span>Peak: {peak.value} {unit} at {new Date(peak.dateTime).toLocaleTimeString()}</span>
+        )}
+        {lowest && (
+          <span>Lowest: {lowest.value} {unit} at {new Date(lowest.dateTime).toLocaleTimeString()}</span>
+        )}
+      </div>
+      <div style={{ height: '250px' }}>
+        <Line data={data} options={options} />
+      </div>
+    </div>
+  );
+};
+
+export default BucketDetailPanel;
@@ -0,0 +1,85 @@
+import React from 'react';
+
+const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours} h ${minutes % 60} min`;
+  return `${Math.round(hours / 24)} days`;
+};
+
+// Number input that reports null when cleared, so a limit can be switched off
+const LimitInput = ({ value, onChange, step = '0.1' }) => (
+  <input
+    type="number"
+    step={step}
+    value={value ?? ''}
+    onChange={e => onChange(e.target.value === '' ? null : Number(e.target.value))}
+  />
+);
+
+// Completeness of the range, the suspect readings found, and the rules that find them
+const DataQualityPanel = ({
+  completeness,
+  suspectCount,
+  qualityCount,
+  hideSuspect,
+  rules,
+  unit,
+  onHideSuspectChange,
+  onRulesChange,
+  onResetRules
+}) => {
+  const updateRule = (name) => (value) => onRulesChange({ [name]: value });
+
+  return (
+    <div className="data-quality">
+      <div className="data-quality-summary">
+        <span className={completeness.percent < 90 ? 'incomplete' : ''}>
+          Completeness: {completeness.percent}% ({completeness.received.toLocaleString()} of{' '}
+          {completeness.expected.toLocaleString()} expected readings)
+        </span>
+        {completeness.gaps > 0 && (
+          <span>
+            {completeness.gaps} {completeness.gaps === 1 ? 'gap' : 'gaps'}, {formatDuration(completeness.missingMs)} missing
+          </span>
+        )}
+        {suspectCount > 0 && <span className="suspect-count">{suspectCount} suspect</span>}
+        {qualityCount > 0 && <span>{qualityCount} flagged by the EA</span>}
+        <label>
+          <input type="checkbox" checked={hideSuspect} onChange={e => onHideSuspectChange(e.target.checked)} />
+          Hide suspect readings
+        </label>
+      </div>
+      <details className="data-quality-rules">
+        <summary>Outlier rules</summary>
+        <label>
+          <input
+            type="checkbox"
+            checked={!rules.allowNegative}
+            onChange={e => onRulesChange({ allowNegative: !e.target.checked })}
+          />
+          Flag negative values
+        </label>
+        <label>
+          Flag jumps over
+          <LimitInput value={rules.maxJump} onChange={updateRule('maxJump')} />
+          {unit}
+        </label>
+        <label>
+          Flag below
+          <LimitInput value={rules.minValue} onChange={updateRule('minValue')} />
+          {unit}
+        </label>
+        <label>
+          Flag above
+          <LimitInput value={rules.maxValue} onChange={updateRule('maxValue')} />
+          {unit}
+        </label>
+        <button className="range-button" onClick={onResetRules}>Reset</button>
+      </details>
+    </div>
+  );
+};
+
+export default DataQualityPanel;
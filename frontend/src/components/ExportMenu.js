@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import {
+  getResolutionOptions,
+  selectResolution,
+  buildExportRows,
+  toCsv,
+  toJson,
+  downloadFile
+} from '../utils/exportReadings';
+
+// `aggregation` is 'sum' for rainfall so hourly and daily exports are totals
+const ExportMenu = ({ readings, stationId, unit, rangeLabel, onExportImage, aggregation = 'mean' }) => {
+  const [format, setFormat] = useState('csv');
+  const [resolution, setResolution] = useState('raw');
+
+  const handleDownload = () => {
+    const rows = buildExportRows(selectResolution(readings, resolution, aggregation), {
+      stationReference: stationId,
+      unit
+    });
+    const filename = `${stationId}-${rangeLabel}-${resolution}.${format}`;
+
+    if (format === 'json') {
+      const content = toJson(rows, { stationReference: stationId, unit, resolution, aggregation });
+      downloadFile(content, filename, 'application/json');
+    } else {
+      downloadFile(toCsv(rows), filename, 'text/csv;charset=utf-8');
+    }
+  };
+
+  return (
+    <div className="export-menu">
+      <select value={resolution} onChange={e => setResolution(e.target.value)}>
+        {getResolutionOptions(aggregation).map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <select value={format} onChange={e => setFormat(e.target.value)}>
+        <option value="csv">CSV</option>
+        <option value="json">JSON</option>
+      </select>
+      <button className="apply-button" onClick={handleDownload} disabled={readings.length === 0}>
+        Download ({readings.length} readings)
+      </button>
+      {onExportImage && (
+        <button className="range-button" onClick={onExportImage}>
+          Save chart as PNG
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { CircleMarker, Popup } from 'react-leaflet';
+import { getSeverityInfo } from '../utils/floodWarnings';
+
+// Draws each flood warning at its flood area centre, colored by severity.
+// Must be rendered inside a MapContainer.
+const FloodWarningLayer = ({ warnings }) => {
+  return (
+    <>
+      {warnings
+        .filter(warning => warning.lat && warning.long)
+        .map(warning => {
+          const severity = getSeverityInfo(warning.severityLevel);
+          return (
+            <CircleMarker
+              key={warning.floodAreaID}
+              center={[warning.lat, warning.long]}
+              // More severe warnings are drawn larger so they stand out at low zoom
+              radius={14 - 2 * (warning.severityLevel || 4)}
+              pathOptions={{
+                color: severity.color,
+                fillColor: severity.color,
+                fillOpacity: 0.4,
+                weight: 2
+              }}
+            >
+              <Popup>
+                <div>
+                  <h3>{severity.label}</h3>
+                  <p><strong>{warning.description}</strong></p>
+                  <p>{warning.message}</p>
+                  <p>Raised: {new Date(warning.timeRaised).toLocaleString()}</p>
+                </div>
+              </Popup>
+            </CircleMarker>
+          );
+        })}
+    </>
+  );
+};
+
+export default FloodWarningLayer;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { getSeverityInfo } from '../utils/floodWarnings';
+import OfflineNotice from './OfflineNotice';
+
+const FloodWarningsPanel = ({ warnings, loading, error, offlineAsOf = null, onRefresh }) => {
+  return (
+    <div className="warnings-panel">
+      <div className="chart-header">
+        <h3>Flood Warnings and Alerts ({warnings.length})</h3>
+        <button className="range-button" onClick={onRefresh} disabled={loading}>
+          {loading ? 'Refreshing...' : 'Refresh'}
+        </button>
+      </div>
+
+      {offlineAsOf && <OfflineNotice asOf={offlineAsOf} subject="warnings" />}
+      {error && <div>Error: {error}</div>}
+      {!error && !loading && warnings.length === 0 && (
+        <div>No flood warnings or alerts currently in force</div>
+      )}
+
+      <ul className="warnings-list">
+        {warnings.map(warning => {
+          const severity = getSeverityInfo(warning.severityLevel);
+          return (
+            <li key={warning.floodAreaID} style={{ borderLeftColor: severity.color }}>
+              <span className="warning-severity" style={{ backgroundColor: severity.color }}>
+                {severity.label}
+              </span>
+              <strong>{warning.description}</strong>
+              <span className="warning-meta">
+                {[warning.floodArea && warning.floodArea.county, warning.eaAreaName].filter(Boolean).join(' · ')}
+                {' — raised '}
+                {new Date(warning.timeRaised).toLocaleString()}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default FloodWarningsPanel;
@@ -0,0 +1,158 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { LayersControl, TileLayer, GeoJSON, Popup, useMapEvents } from 'react-leaflet';
+import { getFloodAreaPolygon, getGeoJsonLayer } from '../services/api';
+import { getSeverityInfo } from '../utils/floodWarnings';
+import { BASEMAPS, DEFAULT_BASEMAP, configuredOverlays, loadBasemap, saveBasemap } from '../utils/mapLayers';
+import { getConfig } from '../services/config';
+import FloodWarningLayer from './FloodWarningLayer';
+
+const FLOOD_WARNINGS_NAME = 'Flood warnings';
+const FLOOD_AREAS_NAME = 'Flood warning areas';
+
+// Whether an overlay has been switched on yet, so its data is only fetched once wanted
+const useOverlayShown = (name) => {
+  const [shown, setShown] = useState(false);
+  useMapEvents({
+    overlayadd: (event) => {
+      if (event.name === name) setShown(true);
+    }
+  });
+  return shown;
+};
+
+// Labels features that carry a name, e.g. river names from OS Open Rivers
+const bindFeatureName = (feature, layer) => {
+  const properties = feature.properties || {};
+  const name = properties.name || properties.name1 || properties.watercourseName;
+  if (name) layer.bindTooltip(String(name), { sticky: true });
+};
+
+// A static GeoJSON file drawn as an overlay
+const LocalGeoJsonOverlay = ({ overlay }) => {
+  const shown = useOverlayShown(overlay.name);
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    if (!shown || data) return undefined;
+    let cancelled = false;
+
+    const fetchOverlay = async () => {
+      try {
+        const geojson = await getGeoJsonLayer(overlay.url);
+        if (!cancelled) setData(geojson);
+      } catch (err) {
+        console.error(err);
+      }
+    };
+
+    fetchOverlay();
+    return () => {
+      cancelled = true;
+    };
+  }, [shown, data, overlay.url]);
+
+  if (!data) return null;
+  return <GeoJSON data={data} style={overlay.style} onEachFeature={bindFeatureName} />;
+};
+
+// Boundaries of the areas under each current warning, colored by severity
+const FloodAreasOverlay = ({ warnings }) => {
+  const shown = useOverlayShown(FLOOD_AREAS_NAME);
+  // GeoJSON per flood area ID
+  const [polygons, setPolygons] = useState({});
+
+  // Areas already fetched or on their way, so each is requested once
+  const requested = useRef(new Set());
+
+  useEffect(() => {
+    if (!shown) return;
+
+    const fetchPolygon = async (areaId) => {
+      requested.current.add(areaId);
+      try {
+        const polygon = await getFloodAreaPolygon(areaId);
+        setPolygons(current => ({ ...current, [areaId]: polygon }));
+      } catch (err) {
+        // The warning is still shown at its centre point; try again with the next warnings update
+        requested.current.delete(areaId);
+        console.error(err);
+      }
+    };
+
+    warnings
+      .map(warning => warning.floodAreaID)
+      .filter(areaId => areaId && !requested.current.has(areaId))
+      .forEach(fetchPolygon);
+  }, [shown, warnings]);
+
+  return (
+    <>
+      {warnings
+        .filter(warning => polygons[warning.floodAreaID])
+        .map(warning => {
+          const severity = getSeverityInfo(warning.severityLevel);
+          return (
+            <GeoJSON
+              key={`${warning.floodAreaID}-${warning.severityLevel}`}
+              data={polygons[warning.floodAreaID]}
+              style={{ color: severity.color, fillColor: severity.color, weight: 2, fillOpacity: 0.2 }}
+            >
+              <Popup>
+                <div>
+                  <h3>{severity.label}</h3>
+                  <p><strong>{warning.description}</strong></p>
+                </div>
+              </Popup>
+            </GeoJSON>
+          );
+        })}
+    </>
+  );
+};
+
+// Remembers the basemap picked in the layer control
+const BasemapMemory = () => {
+  useMapEvents({
+    baselayerchange: (event) => {
+      const basemap = BASEMAPS.find(option => option.name === event.name);
+      if (basemap) saveBasemap(basemap.id);
+    }
+  });
+  return null;
+};
+
+// Basemap switcher plus the warning, river and catchment overlays.
+// Must be rendered inside a MapContainer.
+const MapLayers = ({ warnings }) => {
+  const [initialBasemap] = useState(loadBasemap);
+  // The standard basemap follows the tile URL in the runtime configuration
+  const basemaps = BASEMAPS.map(basemap => (
+    basemap.id === DEFAULT_BASEMAP ? { ...basemap, url: getConfig().tileUrl } : basemap
+  ));
+
+  return (
+    <>
+      <LayersControl position="topright">
+        {basemaps.map(basemap => (
+          <LayersControl.BaseLayer key={basemap.id} name={basemap.name} checked={basemap.id === initialBasemap}>
+            <TileLayer url={basemap.url} attribution={basemap.attribution} maxZoom={basemap.maxZoom || 19} />
+          </LayersControl.BaseLayer>
+        ))}
+        <LayersControl.Overlay name={FLOOD_WARNINGS_NAME} checked>
+          <FloodWarningLayer warnings={warnings} />
+        </LayersControl.Overlay>
+        <LayersControl.Overlay name={FLOOD_AREAS_NAME}>
+          <FloodAreasOverlay warnings={warnings} />
+        </LayersControl.Overlay>
+        {configuredOverlays().map(overlay => (
+          <LayersControl.Overlay key={overlay.id} name={overlay.name}>
+            <LocalGeoJsonOverlay overlay={overlay} />
+          </LayersControl.Overlay>
+        ))}
+      </LayersControl>
+      <BasemapMemory />
+    </>
+  );
+};
+
+export default MapLayers;
@@ -0,0 +1,36 @@
+import React from 'react';
+
+// Picks the primary measure and an optional second measure plotted on its own axis
+const MeasureSelector = ({ measures, primaryMeasure, secondaryMeasure, onPrimaryChange, onSecondaryChange }) => {
+  if (measures.length < 2) return null;
+
+  return (
+    <div className="measure-selector">
+      <label>
+        Measure:
+        <select value={primaryMeasure || ''} onChange={e => onPrimaryChange(e.target.value)}>
+          {measures.map(measure => (
+            <option key={measure.id} value={measure.id}>
+              {measure.label} ({measure.unit}){measure.count === 0 ? ' – no readings' : ''}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Also plot:
+        <select value={secondaryMeasure || ''} onChange={e => onSecondaryChange(e.target.value || null)}>
+          <option value="">None</option>
+          {measures
+            .filter(measure => measure.id !== primaryMeasure)
+            .map(measure => (
+              <option key={measure.id} value={measure.id}>
+                {measure.label} ({measure.unit})
+              </option>
+            ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default MeasureSelector;
@@ -0,0 +1,146 @@
+import React, { useEffect, useState } from 'react';
+import { getStations } from '../services/api';
+import {
+  NEARBY_RADIUS_KM,
+  NEARBY_COUNT_OPTIONS,
+  DEFAULT_NEARBY_COUNT,
+  getPosition,
+  nearestStations,
+  orderAlongRiver,
+  stationName
+} from '../utils/nearbyStations';
+
+// One row: the name switches to the station, the button adds it to the comparison
+const StationRow = ({ station, detail, current, pinned, onSelect, onTogglePin }) => (
+  <li className={current ? 'current-station' : ''}>
+    {current ? (
+      <strong>{stationName(station)}</strong>
+    ) : (
+      <button className="link-button" onClick={() => onSelect(station)}>
+        {stationName(station)}
+      </button>
+    )}
+    {detail && <span className="warning-meta">{detail}</span>}
+    {!current && (
+      <button
+        title={pinned ? 'Remove from comparison' : 'Add to comparison'}
+        onClick={() => onTogglePin(station)}
+      >
+        {pinned ? '−' : '+'}
+      </button>
+    )}
+  </li>
+);
+
+// Other stations on the selected station's river, and the closest stations around it
+const NearbyStationsPanel = ({ station, pinnedReferences = [], onSelect, onTogglePin }) => {
+  const [riverStations, setRiverStations] = useState([]);
+  const [nearbyStations, setNearbyStations] = useState([]);
+  const [nearbyCount, setNearbyCount] = useState(DEFAULT_NEARBY_COUNT);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Stations restored from the URL have no details until they are fetched
+  const ready = station && !station.stub;
+  const riverName = ready ? station.riverName : null;
+  const position = ready ? getPosition(station) : null;
+  const lat = position ? position.lat : null;
+  const long = position ? position.long : null;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchRelated = async () => {
+      setRiverStations([]);
+      setNearbyStations([]);
+      if (!riverName && lat === null) return;
+
+      try {
+        setLoading(true);
+        setError(null);
+        // The full view includes the stage scale, whose datum orders the river
+        const [onRiver, around] = await Promise.all([
+          riverName ? getStations({ riverName, _view: 'full' }) : { items: [] },
+          lat !== null ? getStations({ lat, long, dist: NEARBY_RADIUS_KM }) : { items: [] }
+        ]);
+        if (cancelled) return;
+        setRiverStations(onRiver.items || []);
+        setNearbyStations(around.items || []);
+      } catch (err) {
+        if (!cancelled) setError('Failed to load nearby stations');
+        console.error(err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchRelated();
+    return () => {
+      cancelled = true;
+    };
+  }, [riverName, lat, long]);
+
+  if (!ready) return null;
+
+  const river = orderAlongRiver(riverStations);
+  const nearest = nearestStations(station, nearbyStations, nearbyCount);
+  const isCurrent = (other) => other.stationReference === station.stationReference;
+  const isPinned = (other) => pinnedReferences.includes(other.stationReference);
+
+  return (
+    <div className="nearby-stations">
+      {error && <div>Error: {error}</div>}
+      {loading && <div>Loading nearby stations...</div>}
+
+      {riverName && river.stations.length > 1 && (
+        <div className="nearby-section">
+          <h4>
+            On the {riverName}
+            {river.ordered && <span className="warning-meta"> upstream to downstream</span>}
+          </h4>
+          <ol className="nearby-list">
+            {river.stations.map(other => (
+              <StationRow
+                key={other.stationReference}
+                station={other}
+                detail={other.town}
+                current={isCurrent(other)}
+                pinned={isPinned(other)}
+                onSelect={onSelect}
+                onTogglePin={onTogglePin}
+              />
+            ))}
+          </ol>
+        </div>
+      )}
+
+      {nearest.length > 0 && (
+        <div className="nearby-section">
+          <h4>
+            Nearest
+            <select value={nearbyCount} onChange={e => setNearbyCount(Number(e.target.value))}>
+              {NEARBY_COUNT_OPTIONS.map(count => (
+                <option key={count} value={count}>{count}</option>
+              ))}
+            </select>
+            stations
+          </h4>
+          <ul className="nearby-list">
+            {nearest.map(({ station: other, distanceKm }) => (
+              <StationRow
+                key={other.stationReference}
+                station={other}
+                detail={[`${distanceKm.toFixed(1)} km`, other.riverName].filter(Boolean).join(' · ')}
+                pinned={isPinned(other)}
+                onSelect={onSelect}
+                onTogglePin={onTogglePin}
+              />
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NearbyStationsPanel;
@@ -0,0 +1,18 @@
+import React from 'react';
+
+const formatAsOf = (asOf) => {
+  const date = new Date(asOf);
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  // Older copies also need the date to make sense
+  return date.toDateString() === new Date().toDateString() ? time : `${date.toLocaleDateString()} ${time}`;
+};
+
+// Shown in place of live data when a saved copy is being used
+const OfflineNotice = ({ asOf, subject = 'data' }) => (
+  <div className="offline-notice">
+    <span className="offline-indicator">●</span>
+    {asOf ? `Offline, ${subject} as of ${formatAsOf(asOf)}` : `Offline, no saved ${subject} available`}
+  </div>
+);
+
+export default OfflineNotice;
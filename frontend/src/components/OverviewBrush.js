@@ -0,0 +1,154 @@
+import React, { useEffect, useRef } from 'react';
+import { Line } from 'react-chartjs-2';
+import { clampRange, rangeFromPoints } from '../utils/viewRange';
+
+const BRUSH_COLOR = 'rgba(75, 192, 192, 0.25)';
+
+// Small chart of the whole loaded range with a draggable window over it: drag the
+// window to move it, drag elsewhere to select a new one, double-click to show everything
+const OverviewBrush = ({ readings, bounds, range, onRangeChange }) => {
+  const chartRef = useRef(null);
+  const latest = useRef({ bounds, range, onRangeChange });
+  useEffect(() => {
+    latest.current = { bounds, range, onRangeChange };
+  });
+
+  const hasChart = readings.length > 0;
+
+  useEffect(() => {
+    const chart = chartRef.current;
+    if (!hasChart || !chart || !chart.canvas) return undefined;
+    const canvas = chart.canvas;
+
+    const timeAtPixel = (clientX) => {
+      const rect = canvas.getBoundingClientRect();
+      return (chartRef.current || chart).scales.x.getValueForPixel(clientX - rect.left);
+    };
+
+    // 'move' drags the current window, 'select' brushes out a new one from `anchor`
+    let mode = null;
+    let anchor = null;
+    let grabOffset = 0;
+
+    const brushTo = (time) => {
+      const { bounds: currentBounds, range: currentRange, onRangeChange: notify } = latest.current;
+      if (mode === 'move') {
+        const span = currentRange.end - currentRange.start;
+        const start = time - grabOffset;
+        notify(clampRange({ start: new Date(start), end: new Date(start + span) }, currentBounds));
+      } else if (mode === 'select') {
+        notify(rangeFromPoints(anchor, time, currentBounds));
+      }
+    };
+
+    const handlePointerDown = (event) => {
+      const { range: currentRange } = latest.current;
+      const time = timeAtPixel(event.clientX);
+      canvas.setPointerCapture(event.pointerId);
+      if (time >= currentRange.start.getTime() && time <= currentRange.end.getTime()) {
+        mode = 'move';
+        grabOffset = time - currentRange.start.getTime();
+      } else {
+        mode = 'select';
+        anchor = time;
+        brushTo(time);
+      }
+    };
+
+    const handlePointerMove = (event) => {
+      if (mode) brushTo(timeAtPixel(event.clientX));
+    };
+
+    const handlePointerUp = () => {
+      mode = null;
+    };
+
+    const handleDoubleClick = () => {
+      const { bounds: currentBounds, onRangeChange: notify } = latest.current;
+      notify({ start: new Date(currentBounds.start), end: new Date(currentBounds.end) });
+    };
+
+    canvas.style.touchAction = 'none';
+    canvas.style.cursor = 'crosshair';
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointermove', handlePointerMove);
+    canvas.addEventListener('pointerup', handlePointerUp);
+    canvas.addEventListener('pointercancel', handlePointerUp);
+    canvas.addEventListener('dblclick', handleDoubleClick);
+
+    return () => {
+      canvas.removeEventListener('pointerdown', handlePointerDown);
+      canvas.removeEventListener('pointermove', handlePointerMove);
+      canvas.removeEventListener('pointerup', handlePointerUp);
+      canvas.removeEventListener('pointercancel', handlePointerUp);
+      canvas.removeEventListener('dblclick', handleDoubleClick);
+    };
+  }, [hasChart]);
+
+  if (!hasChart || !bounds.start || !range.start) return null;
+
+  const data = {
+    datasets: [{
+      data: readings.map(reading => ({
+        x: new Date(reading.dateTime),
+        y: reading.value
+      })),
+      borderColor: 'rgba(120, 120, 120, 0.8)',
+      borderWidth: 1,
+      pointRadius: 0,
+      fill: false,
+      tension: 0.1
+    }]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    events: [],
+    plugins: {
+      legend: {
+        display: false
+      },
+      tooltip: {
+        enabled: false
+      },
+      annotation: {
+        annotations: {
+          brush: {
+            type: 'box',
+            xMin: range.start,
+            xMax: range.end,
+            backgroundColor: BRUSH_COLOR,
+            borderColor: 'rgba(75, 192, 192, 0.9)',
+            borderWidth: 1
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        type: 'time',
+        min: bounds.start,
+        max: bounds.end,
+        ticks: {
+          maxTicksLimit: 8,
+          font: {
+            size: 10
+          }
+        }
+      },
+      y: {
+        display: false
+      }
+    }
+  };
+
+  return (
+    <div className="overview-brush">
+      <Line ref={chartRef} data={data} options={options} />
+    </div>
+  );
+};
+
+export default OverviewBrush;
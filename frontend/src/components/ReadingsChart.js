@@ -1,48 +1,221 @@
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useEffect, useMemo, useState, useRef } from 'react';
 import { Line } from 'react-chartjs-2';
 import annotationPlugin from 'chartjs-plugin-annotation';
 import {
   Chart as ChartJS,
+  LineController,
+  BarController,
   CategoryScale,
   LinearScale,
   PointElement,
   LineElement,
+  BarElement,
   Title,
   Tooltip,
   Legend,
+  Filler,
   TimeScale,
 } from 'chart.js';
 import 'chartjs-adapter-date-fns';
-import { getStationReadings } from '../services/api';
+import { getStation, getStationReadings } from '../services/api';
+import { isNetworkError } from '../services/readingsCache';
+import { getStageThresholds, isAboveTypicalHigh, buildThresholdAnnotations } from '../utils/stageScale';
+import { aggregateReadings, cumulativeTotals, filterHalfHourly, findPeak } from '../utils/readings';
+import { downloadUrl } from '../utils/exportReadings';
+import { followRange, isFullRange, zoomRange } from '../utils/viewRange';
+import { rateOfChange, projectTrend, DEFAULT_RATE_WINDOW, DEFAULT_PROJECTION_HORIZON } from '../utils/trend';
+import {
+  defaultOutlierRules,
+  describeFlags,
+  expectedInterval,
+  findGaps,
+  flagReadings,
+  isSuspect,
+  summariseCompleteness,
+  GAP_FACTOR
+} from '../utils/dataQuality';
+import { summariseReadings } from '../utils/readingStats';
+import {
+  getMeasureId,
+  getMeasureParameter,
+  groupReadingsByMeasure,
+  isRainfallMeasure,
+  describeMeasure,
+  listMeasureIds,
+  pickDefaultMeasure,
+  pickMatchingMeasure,
+  toMeasureList
+} from '../utils/measures';
 import TimeRangeSelector from './TimeRangeSelector';
+import ExportMenu from './ExportMenu';
+import MeasureSelector from './MeasureSelector';
+import AggregationModeSelector from './AggregationModeSelector';
+import TrendControls from './TrendControls';
+import DataQualityPanel from './DataQualityPanel';
+import BucketDetailPanel from './BucketDetailPanel';
+import StatsSummary from './StatsSummary';
+import OverviewBrush from './OverviewBrush';
+import ArchiveView from './ArchiveView';
+import OfflineNotice from './OfflineNotice';
+import RefreshControls from './RefreshControls';
+import { getConfig } from '../services/config';
+import usePolling from '../hooks/usePolling';
+import useChartZoomPan from '../hooks/useChartZoomPan';
+import useOnlineStatus from '../hooks/useOnlineStatus';
 
+// Controllers are registered here rather than relied on from react-chartjs-2, whose
+// typed charts are tree-shaken out of production builds; rainfall mixes in bars
 ChartJS.register(
+  LineController,
+  BarController,
   CategoryScale,
   LinearScale,
   PointElement,
   LineElement,
+  BarElement,
   Title,
   Tooltip,
   Legend,
+  Filler,
   TimeScale,
   annotationPlugin
 );
 
-const ReadingsChart = ({ stationId }) => {
-  const [readings, setReadings] = useState([]);
+// Start of the window a preset or custom range covers
+const rangeSince = (range, customDateRange, now = new Date()) => {
+  const since = new Date(now);
+  switch (range) {
+    case '48h':
+      since.setHours(since.getHours() - 48);
+      return since;
+    case 'week':
+      since.setDate(since.getDate() - 7);
+      return since;
+    case 'month':
+      since.setMonth(since.getMonth() - 1);
+      return since;
+    case 'custom':
+      if (customDateRange) return customDateRange.start;
+      since.setHours(since.getHours() - 24);
+      return since;
+    default:
+      since.setHours(since.getHours() - 24);
+      return since;
+  }
+};
+
+// Line colors assigned to pinned comparison stations, in pin order
+const COMPARISON_COLORS = [
+  'rgb(255, 159, 64)',
+  'rgb(153, 102, 255)',
+  'rgb(255, 99, 132)',
+  'rgb(54, 162, 235)',
+  'rgb(255, 205, 86)',
+  'rgb(201, 203, 207)',
+];
+
+// Shading for the min–max envelope of aggregated buckets
+const ENVELOPE_COLOR = 'rgba(75, 192, 192, 0.2)';
+
+// Error state for a failed load with no saved readings to fall back on
+const OFFLINE_ERROR = 'offline';
+
+// Color for the running rainfall total
+const CUMULATIVE_COLOR = 'rgb(25, 118, 210)';
+
+// Color for the second measure of the selected station
+const SECONDARY_MEASURE_COLOR = 'rgb(46, 139, 87)';
+
+// Colors for the rate-of-change series and the dashed trend projection
+const RATE_COLOR = 'rgb(156, 39, 176)';
+const PROJECTION_COLOR = 'rgba(255, 99, 71, 0.9)';
+
+// Suspect readings, readings the EA has flagged, and shading for missing periods
+const SUSPECT_COLOR = 'rgb(233, 30, 99)';
+const QUALITY_COLOR = 'rgb(121, 85, 72)';
+const GAP_COLOR = 'rgba(158, 158, 158, 0.2)';
+
+// Spacing of aggregated points, for deciding where the line should break
+const BUCKET_SPACING = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000
+};
+
+// Helper function to get abbreviated unit name
+const getAbbreviatedUnit = (fullUnitName) => {
+  if (fullUnitName.includes('Above Station Datum')) return 'mASD';
+  if (fullUnitName.includes('Above Ordnance Datum')) return 'mAOD';
+  if (fullUnitName.includes('cubic meters per second')) return 'm³/s';
+  if (fullUnitName.includes('meters')) return 'm';
+  return fullUnitName; // Return original if no match
+};
+
+// The time range is controlled by the parent so it can be kept in the page URL
+const ReadingsChart = ({
+  stationId,
+  comparisonStations = [],
+  selectedRange = '24h',
+  customDateRange = null,
+  archive = null,
+  onRangeChange,
+  onCustomRangeChange,
+  onArchiveChange
+}) => {
+  // Unaggregated readings for every measure of the station, oldest first
+  const [stationReadings, setStationReadings] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [unitName, setUnitName] = useState('Value');
-  const [parameterName, setParameterName] = useState('Reading');
-  const scrollContainerRef = useRef(null);
+  // Measure ids chosen by the user; null falls back to the default measure
+  const [primaryMeasure, setPrimaryMeasure] = useState(null);
+  const [secondaryMeasure, setSecondaryMeasure] = useState(null);
+  const chartRef = useRef(null);
 
   // New state variables for time range selection
-  const [selectedRange, setSelectedRange] = useState('24h');
-  const [customDateRange, setCustomDateRange] = useState(null);
   const [aggregationLevel, setAggregationLevel] = useState('none'); // none, hourly, daily
+  // How buckets are summarised: mean, min, max or envelope (see AGGREGATION_MODES)
+  const [aggregationMode, setAggregationMode] = useState('mean');
   const [chartTitle, setChartTitle] = useState('24 Hour Readings');
 
-  // New state for selected detail view range (for the overview+detail system)
+  // Full station record, used for the stageScale typical range and record levels
+  const [stationDetails, setStationDetails] = useState(null);
+
+  // Live auto-refresh state
+  const [autoRefresh, setAutoRefresh] = useState(true);
+  const [refreshInterval, setRefreshInterval] = useState(() => getConfig().readingsRefreshInterval);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  // Timestamp of the first reading added by the latest poll, highlighted briefly
+  const [newReadingsSince, setNewReadingsSince] = useState(null);
+
+  // Readings for pinned comparison stations, one entry per station
+  const [comparisonSeries, setComparisonSeries] = useState([]);
+
+  // Rate of change on a secondary axis, and a straight-line projection of the recent trend
+  const [showRate, setShowRate] = useState(false);
+  const [rateWindow, setRateWindow] = useState(DEFAULT_RATE_WINDOW);
+  const [showProjection, setShowProjection] = useState(false);
+  const [projectionHorizon, setProjectionHorizon] = useState(DEFAULT_PROJECTION_HORIZON);
+
+  // Suspect readings can be hidden; the outlier rules start from per-measure defaults
+  const [hideSuspect, setHideSuspect] = useState(false);
+  const [ruleOverrides, setRuleOverrides] = useState({});
+
+  // Time of the aggregated point whose raw readings are shown in the drill-down panel
+  const [drillDownTime, setDrillDownTime] = useState(null);
+
+  // When the readings shown are a saved copy from an earlier visit, the time it was fetched
+  const [offlineAsOf, setOfflineAsOf] = useState(null);
+  // Bumped to reload the readings, e.g. when the connection comes back
+  const [reloadKey, setReloadKey] = useState(0);
+  const online = useOnlineStatus();
+
+  // Whole loaded range, shown in the overview chart
+  const [viewBounds, setViewBounds] = useState({
+    start: null,
+    end: null
+  });
+
+  // Window of the detail chart and table, set by the overview brush or by zooming and panning
   const [detailViewRange, setDetailViewRange] = useState({
     start: null, 
     end: null
@@ -51,21 +224,17 @@ const ReadingsChart = ({ stationId }) => {
   // Calculate time range based on selected option
   const getTimeRange = () => {
     const now = new Date();
-    let since = new Date();
+    const since = rangeSince(selectedRange, customDateRange, now);
     
     switch(selectedRange) {
       case '24h':
-        since.setHours(since.getHours() - 24);
         return { since, now, title: '24 Hour Readings' };
       case '48h':
-        since.setHours(since.getHours() - 48);
         return { since, now, title: '48 Hour Readings' };
       case 'week':
-        since.setDate(since.getDate() - 7);
         setAggregationLevel('hourly');
         return { since, now, title: 'Last 7 Days' };
       case 'month':
-        since.setMonth(since.getMonth() - 1);
         setAggregationLevel('daily');
         return { since, now, title: 'Last Month' };
       case 'custom':
@@ -83,27 +252,30 @@ const ReadingsChart = ({ stationId }) => {
           const formattedStart = customDateRange.start.toLocaleDateString();
           const formattedEnd = customDateRange.end.toLocaleDateString();
           return { 
-            since: customDateRange.start, 
+            since, 
             now: customDateRange.end,
             title: `Custom Range (${formattedStart} to ${formattedEnd})`
           };
         }
         // Fall back to 24h if no custom range is set
-        since.setHours(since.getHours() - 24);
         return { since, now, title: '24 Hour Readings' };
       default:
-        since.setHours(since.getHours() - 24);
         return { since, now, title: '24 Hour Readings' };
     }
   };
 
   // Fetch readings based on the selected time range
   useEffect(() => {
+    // A response for a station or range that has since changed must not overwrite the current one
+    let cancelled = false;
+
     const fetchReadings = async () => {
-      if (!stationId) return;
+      // Archive mode loads its own readings
+      if (!stationId || selectedRange === 'archive') return;
       
       try {
         setLoading(true);
+        setError(null);
         
         const { since, now, title } = getTimeRange();
         setChartTitle(title);
@@ -119,48 +291,112 @@ const ReadingsChart = ({ stationId }) => {
           since: sinceStr,
           _limit: limit
         });
+        if (cancelled) return;
         
         // Sort readings chronologically
         const sortedReadings = [...(data.items || [])].sort((a, b) => 
           new Date(a.dateTime) - new Date(b.dateTime)
         );
         
-        // Extract unit information from the measure URL
-        if (sortedReadings.length > 0) {
-          console.log("First reading:", sortedReadings[0]);
-          
-          // Extract unit information
-          const { unitName, parameterName } = extractUnitInfo(sortedReadings[0]);
-          
-          setUnitName(unitName);
-          setParameterName(parameterName);
-        } else {
-          console.log("No readings found");
-        }
-        
-        // Apply data aggregation based on the time range
-        let processedReadings = sortedReadings;
-        if (aggregationLevel !== 'none') {
-          processedReadings = aggregateReadings(sortedReadings, aggregationLevel);
-        }
-        setReadings(processedReadings);
+        // Split per measure and aggregated when rendering, so switching measure needs no refetch
+        setStationReadings(sortedReadings);
+        setOfflineAsOf(data.offline ? data.fetchedAt : null);
+        setLastUpdated(data.offline ? new Date(data.fetchedAt) : new Date());
+        setNewReadingsSince(null);
+        setDrillDownTime(null);
         
         // Set detail view range to show the entire selected time period
+        setViewBounds({ start: since, end: now });
         setDetailViewRange({
           start: since,
           end: now
         });
         
       } catch (err) {
-        setError('Failed to load readings');
+        if (!cancelled) setError(isNetworkError(err) ? OFFLINE_ERROR : 'Failed to load readings');
         console.error(err);
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     };
     
     fetchReadings();
-  }, [stationId, selectedRange, customDateRange]);
+    return () => {
+      cancelled = true;
+    };
+  }, [stationId, selectedRange, customDateRange, reloadKey]);
+
+  // Fetch the station's metadata separately so a missing stage scale never blocks the readings
+  useEffect(() => {
+    const fetchStationDetails = async () => {
+      setStationDetails(null);
+      setPrimaryMeasure(null);
+      setSecondaryMeasure(null);
+      if (!stationId) return;
+
+      try {
+        const station = await getStation(stationId);
+        setStationDetails(station);
+      } catch (err) {
+        console.error(err);
+      }
+    };
+
+    fetchStationDetails();
+  }, [stationId]);
+
+  // Fetch readings for the pinned comparison stations over the same time range. The pinned
+  // stations are tracked by reference rather than array identity; each series is matched
+  // back to its station when rendering.
+  const comparisonKey = comparisonStations.map(station => station.stationReference).join(',');
+  const comparisonReferences = useMemo(() => (comparisonKey ? comparisonKey.split(',') : []), [comparisonKey]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchComparisonReadings = async () => {
+      if (comparisonReferences.length === 0 || selectedRange === 'archive') {
+        setComparisonSeries([]);
+        return;
+      }
+
+      const since = rangeSince(selectedRange, customDateRange);
+      const limit = selectedRange === 'month' ? 5000 : 2000;
+
+      const results = await Promise.all(comparisonReferences.map(async (stationReference, index) => {
+        try {
+          const data = await getStationReadings(stationReference, {
+            _sorted: true,
+            since: since.toISOString(),
+            _limit: limit
+          });
+
+          const sortedReadings = [...(data.items || [])].sort((a, b) =>
+            new Date(a.dateTime) - new Date(b.dateTime)
+          );
+
+          // The measure to plot is picked at render time to match the primary measure
+          return {
+            stationReference,
+            color: COMPARISON_COLORS[index % COMPARISON_COLORS.length],
+            readingGroups: groupReadingsByMeasure(sortedReadings)
+          };
+        } catch (err) {
+          // One failing station shouldn't hide the others
+          console.error(`Failed to load comparison readings for ${stationReference}:`, err);
+          return null;
+        }
+      }));
+
+      // A slower response for an earlier set of stations or range must not replace a newer one
+      if (!cancelled) setComparisonSeries(results.filter(Boolean));
+    };
+
+    fetchComparisonReadings();
+    return () => {
+      cancelled = true;
+    };
+  }, [comparisonReferences, selectedRange, customDateRange]);
 
   // Add this utility function to extract unit information consistently
   const extractUnitInfo = (reading) => {
@@ -170,7 +406,6 @@ const ReadingsChart = ({ stationId }) => {
     
     if (reading && reading.measure) {
       let measureInfo = reading.measure;
-      console.log("FULL MEASURE OBJECT:", measureInfo);
       
       // First try to get values directly from properties
       if (typeof measureInfo === 'object') {
@@ -190,7 +425,6 @@ const ReadingsChart = ({ stationId }) => {
         const paramMatch = measureUrlStr.match(/\/measures\/\d+-([a-zA-Z]+)/);
         if (paramMatch && paramMatch[1]) {
           extractedParameter = paramMatch[1].charAt(0).toUpperCase() + paramMatch[1].slice(1);
-          console.log("Extracted parameter from URL:", extractedParameter);
           parameterName = extractedParameter;
         }
       }
@@ -211,13 +445,11 @@ const ReadingsChart = ({ stationId }) => {
         
         // Convert to string in case it's just the URL
         const measureUrlStr = String(measureUrl);
-        console.log("Measure URL for extraction:", measureUrlStr);
         
         // Extract unit from the end of the URL
         const unitMatch = measureUrlStr.match(/-([a-zA-Z0-9\/]+)$/);
         if (unitMatch && unitMatch[1]) {
           const extractedCode = unitMatch[1];
-          console.log("Extracted unit from URL:", extractedCode);
           
           // Map common unit codes to full descriptions
           const unitMap = {
@@ -235,72 +467,203 @@ const ReadingsChart = ({ stationId }) => {
     return { unitName, parameterName };
   };
 
-  // Function to aggregate readings by hour or day
-  const aggregateReadings = (readings, level) => {
-    if (readings.length === 0) return [];
-    
-    // Group readings by the desired time interval
-    const groups = {};
-    
-    readings.forEach(reading => {
-      const date = new Date(reading.dateTime);
-      let key;
-      
-      if (level === 'hourly') {
-        // Group by hour: YYYY-MM-DD-HH
-        // Add 1 to month and use padStart for consistent formatting
-        key = `${date.getFullYear()}-${String(date.getMonth()+1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}-${String(date.getHours()).padStart(2, '0')}`;
-      } else {
-        // Group by day: YYYY-MM-DD
-        key = `${date.getFullYear()}-${String(date.getMonth()+1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
-      }
-      
-      if (!groups[key]) {
-        groups[key] = [];
-      }
-      
-      groups[key].push(reading);
-    });
-    
-    // Rest of the function remains the same
-    return Object.keys(groups).map(key => {
-      const group = groups[key];
-      const sum = group.reduce((acc, reading) => acc + reading.value, 0);
-      const avg = sum / group.length;
-      
-      // Use the timestamp of the middle reading in the group
-      const midIndex = Math.floor(group.length / 2);
-      
-      return {
-        ...group[midIndex],
-        value: avg,
-        // Keep track of original readings for potential detailed view
-        originalReadings: group
-      };
-    }).sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
-  };
-  
+  // Readings of the selected measure; stations can publish several (e.g. stage and flow)
+  const measureGroups = useMemo(() => groupReadingsByMeasure(stationReadings), [stationReadings]);
+  const stationMeasures = toMeasureList(stationDetails?.measures);
+  const measureIds = listMeasureIds(stationMeasures, measureGroups);
+  const activeMeasure = measureIds.includes(primaryMeasure) ?
+    primaryMeasure : pickDefaultMeasure(measureIds, measureGroups);
+  const activeSecondary = secondaryMeasure !== activeMeasure && measureIds.includes(secondaryMeasure) ?
+    secondaryMeasure : null;
+
+  // Every reading of the selected measure, including any that look wrong
+  const measureReadings = useMemo(() => measureGroups[activeMeasure] || [], [measureGroups, activeMeasure]);
+  const outlierRules = useMemo(() => ({ ...defaultOutlierRules(activeMeasure), ...ruleOverrides }), [
+    activeMeasure, ruleOverrides
+  ]);
+  const qualityFlags = useMemo(() => flagReadings(measureReadings, outlierRules), [measureReadings, outlierRules]);
+  const readingInterval = useMemo(() => expectedInterval(measureReadings), [measureReadings]);
+
+  // Unaggregated readings for the selected range, kept for export
+  const rawReadings = useMemo(() => (
+    hideSuspect ? measureReadings.filter(reading => !isSuspect(qualityFlags, reading)) : measureReadings
+  ), [measureReadings, qualityFlags, hideSuspect]);
+  // Rainfall is an amount per interval: drawn as bars, with hourly/daily totals rather than means
+  const isRainfall = isRainfallMeasure(activeMeasure);
+  const aggregationMethod = isRainfall ? 'sum' : aggregationMode;
+  const showEnvelope = aggregationMethod === 'envelope' && aggregationLevel !== 'none';
+  const readings = useMemo(() => (
+    aggregationLevel !== 'none' ? aggregateReadings(rawReadings, aggregationLevel, aggregationMethod) : rawReadings
+  ), [rawReadings, aggregationLevel, aggregationMethod]);
+
+  // Rates come from the raw readings, then are averaged into the same buckets as the chart
+  const rateReadings = useMemo(() => (isRainfall ? [] : rateOfChange(rawReadings, rateWindow)), [
+    rawReadings, rateWindow, isRainfall
+  ]);
+  const plottedRates = useMemo(() => (
+    showRate && aggregationLevel !== 'none' ? aggregateReadings(rateReadings, aggregationLevel) : rateReadings
+  ), [rateReadings, showRate, aggregationLevel]);
+
+  const { unitName, parameterName } = describeMeasure(activeMeasure, stationMeasures) ||
+    extractUnitInfo(rawReadings[0]);
+
+  const measureOptions = measureIds.map(id => {
+    const info = describeMeasure(id, stationMeasures) || extractUnitInfo((measureGroups[id] || [])[0]);
+    return {
+      id,
+      label: info.label || info.parameterName,
+      unit: getAbbreviatedUnit(info.unitName),
+      count: (measureGroups[id] || []).length
+    };
+  });
+
   // Handle time range selection changes
   const handleRangeChange = (range) => {
-    setSelectedRange(range);
+    onRangeChange(range);
   };
   
   // Handle custom date range selection
   const handleCustomRangeChange = (start, end) => {
-    setCustomDateRange({ start, end });
-    setSelectedRange('custom');
+    onCustomRangeChange(start, end);
   };
   
+  // Live updates only make sense for ranges that end now
+  const liveAvailable = selectedRange !== 'custom' && selectedRange !== 'archive';
+  // Likewise projecting "the next few hours" only makes sense from the latest readings
+  const projectionAvailable = liveAvailable && !isRainfall;
+  const projection = showProjection && projectionAvailable ? projectTrend(rawReadings, projectionHorizon) : [];
+
+  // Fetch only readings newer than the latest one and append them
+  const pollForNewReadings = async () => {
+    if (loading || stationReadings.length === 0) return;
+
+    try {
+      setRefreshing(true);
+      const latestTime = stationReadings[stationReadings.length - 1].dateTime;
+      const data = await getStationReadings(stationId, {
+        _sorted: true,
+        since: new Date(latestTime).toISOString(),
+        _limit: 2000
+      });
+
+      // Still offline: keep showing the saved readings
+      if (data.offline) {
+        setOfflineAsOf(data.fetchedAt);
+        return;
+      }
+      setOfflineAsOf(null);
+
+      // Measures can report a little apart, so de-duplicate per measure rather than by time alone
+      const readingKey = reading => `${getMeasureId(reading.measure)}|${reading.dateTime}`;
+      const knownKeys = new Set(stationReadings.map(readingKey));
+      const newReadings = (data.items || [])
+        .filter(reading => !knownKeys.has(readingKey(reading)))
+        .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
+
+      if (newReadings.length > 0) {
+        // Slide the window forward so the range keeps the same length
+        const now = new Date();
+        const windowStart = new Date(now - (viewBounds.end - viewBounds.start));
+        const updatedReadings = [...stationReadings, ...newReadings]
+          .filter(reading => new Date(reading.dateTime) >= windowStart)
+          .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
+
+        setStationReadings(updatedReadings);
+        const nextBounds = { start: windowStart, end: now };
+        setViewBounds(nextBounds);
+        // A zoomed-in window stays put unless it was showing the latest readings
+        setDetailViewRange(current => followRange(current, viewBounds, nextBounds));
+        setNewReadingsSince(newReadings[0].dateTime);
+      }
+      setLastUpdated(new Date());
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  usePolling(pollForNewReadings, {
+    interval: refreshInterval,
+    enabled: Boolean(stationId) && autoRefresh && liveAvailable
+  });
+
+  // Latest poll function and offline state, read when the connection returns so that
+  // effect only reacts to `online`, not to every change in the readings
+  const savedReconnect = useRef(null);
+  useEffect(() => {
+    savedReconnect.current = { poll: pollForNewReadings, error, offlineAsOf };
+  });
+
+  // Catch up as soon as the connection returns rather than waiting for the next poll
   useEffect(() => {
-    if (scrollContainerRef.current && readings.length > 0) {
-      scrollContainerRef.current.scrollLeft = scrollContainerRef.current.scrollWidth;
+    if (!online) return;
+    const { poll, error: lastError, offlineAsOf: lastOfflineAsOf } = savedReconnect.current;
+    if (lastError === OFFLINE_ERROR) {
+      setReloadKey(key => key + 1);
+    } else if (lastOfflineAsOf) {
+      poll();
     }
-  }, [readings]);
+  }, [online]);
+
+  useChartZoomPan(chartRef, {
+    range: detailViewRange,
+    bounds: viewBounds,
+    onRangeChange: setDetailViewRange,
+    enabled: !loading && !error && readings.length > 0
+  });
+
+  // Let the new-point highlight fade after a few seconds
+  useEffect(() => {
+    if (!newReadingsSince) return undefined;
+    const timerId = setTimeout(() => setNewReadingsSince(null), 5000);
+    return () => clearTimeout(timerId);
+  }, [newReadingsSince]);
 
   if (!stationId) return <div>Select a station to view readings</div>;
+
+  if (selectedRange === 'archive' && archive) {
+    return (
+      <div>
+        <TimeRangeSelector
+          selectedRange={selectedRange}
+          onRangeChange={handleRangeChange}
+          onCustomRangeChange={handleCustomRangeChange}
+        />
+        <ArchiveView
+          stationId={stationId}
+          archive={archive}
+          onArchiveChange={onArchiveChange}
+          stationDetails={stationDetails}
+          thresholds={getStageThresholds(stationDetails)}
+        />
+      </div>
+    );
+  }
   if (loading) return <div>Loading readings...</div>;
+  if (error === OFFLINE_ERROR) return <OfflineNotice subject="readings" />;
   if (error) return <div>Error: {error}</div>;
-  if (readings.length === 0) return <div>No readings available for this station</div>;
+
+  const measureSelector = (
+    <MeasureSelector
+      measures={measureOptions}
+      primaryMeasure={activeMeasure}
+      secondaryMeasure={activeSecondary}
+      onPrimaryChange={setPrimaryMeasure}
+      onSecondaryChange={setSecondaryMeasure}
+    />
+  );
+
+  if (readings.length === 0) {
+    return (
+      <div>
+        {offlineAsOf && <OfflineNotice asOf={offlineAsOf} subject="readings" />}
+        {measureSelector}
+        <div>
+          {stationReadings.length === 0 ?
+            'No readings available for this station' : 'No readings available for this measure'}
+        </div>
+      </div>
+    );
+  }
 
   // Dynamically determine the threshold based on selected range
   let thresholdDate;
@@ -330,6 +693,11 @@ const ReadingsChart = ({ stationId }) => {
       thresholdDate = new Date().setHours(0, 0, 0, 0);
   }
 
+  // Typical range and record levels are stage values, so only apply them to the stage measure
+  const isStageMeasure = activeMeasure ?
+    activeMeasure.includes('-level-stage-') : !/flow|rain/i.test(parameterName);
+  const thresholds = isStageMeasure ? getStageThresholds(stationDetails) : null;
+
   // Split readings based on the dynamic threshold
   const olderReadings = readings.filter(r => new Date(r.dateTime) < thresholdDate);
   const recentReadings = readings.filter(r => new Date(r.dateTime) >= thresholdDate);
@@ -371,43 +739,222 @@ const ReadingsChart = ({ stationId }) => {
       recentLabel = `Recent ${parameterName}`;
   }
 
-  // Prepare data for detail chart (selected range)
-  const detailChartData = {
-    datasets: [
-      {
-        label: `${olderLabel} (${unitName})`,
-        data: olderReadings
-          .filter(r => new Date(r.dateTime) >= detailViewRange.start && new Date(r.dateTime) <= detailViewRange.end)
-          .map(reading => ({
-            x: new Date(reading.dateTime),
-            y: reading.value
-          })),
-        fill: false,
-        backgroundColor: 'rgb(153, 204, 255)',
-        borderColor: 'rgba(153, 204, 255, 0.8)',
-        tension: 0.1,
-        pointRadius: 3,
-      },
-      {
-        label: `${recentLabel} (${unitName})`,
-        data: recentReadings
-          .filter(r => new Date(r.dateTime) >= detailViewRange.start && new Date(r.dateTime) <= detailViewRange.end)
-          .map(reading => ({
-            x: new Date(reading.dateTime),
-            y: reading.value
-          })),
-        fill: false,
-        backgroundColor: 'rgb(75, 192, 192)',
-        borderColor: 'rgba(75, 192, 192, 0.8)',
-        tension: 0.1,
-        pointRadius: 3,
-      }
-    ]
+  // Aggregate a series the same way as the primary readings
+  const aggregateSeries = (seriesReadings, measureId) => (
+    aggregationLevel !== 'none' ?
+      aggregateReadings(seriesReadings, aggregationLevel, isRainfallMeasure(measureId) ? 'sum' : aggregationMode) :
+      seriesReadings
+  );
+
+  // Extra lines drawn over the primary measure: the station's second measure, then
+  // each comparison station's reading of the same parameter as the primary measure
+  const overlaySeries = [];
+  if (activeSecondary) {
+    const secondaryReadings = measureGroups[activeSecondary] || [];
+    const info = describeMeasure(activeSecondary, stationMeasures) || extractUnitInfo(secondaryReadings[0]);
+    overlaySeries.push({
+      label: info.label || info.parameterName,
+      unitName: info.unitName,
+      parameterName: info.parameterName,
+      color: SECONDARY_MEASURE_COLOR,
+      readings: aggregateSeries(secondaryReadings, activeSecondary)
+    });
+  }
+  comparisonSeries.forEach(series => {
+    const station = comparisonStations.find(item => item.stationReference === series.stationReference);
+    const measureId = pickMatchingMeasure(series.readingGroups, getMeasureParameter(activeMeasure));
+    if (!station || !measureId) return;
+    const seriesReadings = series.readingGroups[measureId];
+    const info = describeMeasure(measureId, toMeasureList(station.measures)) ||
+      extractUnitInfo(seriesReadings[0]);
+    overlaySeries.push({
+      label: station.label || station.stationReference,
+      unitName: info.unitName,
+      parameterName: info.parameterName,
+      color: series.color,
+      readings: aggregateSeries(seriesReadings, measureId)
+    });
+  });
+
+  // Overlays share the primary y-axis when their unit matches,
+  // otherwise each distinct unit gets its own axis on the right
+  const primaryUnit = getAbbreviatedUnit(unitName);
+  const getUnitAxisId = (seriesUnitName) => {
+    const abbreviation = getAbbreviatedUnit(seriesUnitName);
+    return abbreviation === primaryUnit ? 'y' : `y-${abbreviation}`;
+  };
+
+  const overlayAxes = {};
+  overlaySeries.forEach(series => {
+    const axisId = getUnitAxisId(series.unitName);
+    if (axisId !== 'y' && !overlayAxes[axisId]) {
+      overlayAxes[axisId] = {
+        position: 'right',
+        grid: {
+          drawOnChartArea: false
+        },
+        title: {
+          display: true,
+          text: `${series.parameterName} (${getAbbreviatedUnit(series.unitName)})`
+        }
+      };
+    }
+  });
+
+  const overlayDatasets = overlaySeries.map(series => ({
+    label: `${series.label} (${getAbbreviatedUnit(series.unitName)})`,
+    data: series.readings.map(reading => ({
+      x: new Date(reading.dateTime),
+      y: reading.value
+    })),
+    yAxisID: getUnitAxisId(series.unitName),
+    fill: false,
+    borderColor: series.color,
+    backgroundColor: series.color,
+    pointRadius: 2,
+    tension: 0.1
+  }));
+
+  // Summary card figures come from the raw readings in the detail window, not the aggregated points
+  const summary = summariseReadings(
+    rawReadings.filter(reading => {
+      const time = new Date(reading.dateTime);
+      return time >= detailViewRange.start && time <= detailViewRange.end;
+    }),
+    { typicalHigh: thresholds ? thresholds.typicalHigh : null }
+  );
+
+  // Data quality: how complete the range is, which readings look wrong, and where data is missing
+  const completeness = summariseCompleteness(measureReadings, viewBounds, readingInterval);
+  const suspectCount = measureReadings.filter(reading => isSuspect(qualityFlags, reading)).length;
+  const qualityCount = [...qualityFlags.values()].filter(entry => entry.quality).length;
+  const gaps = findGaps(measureReadings, readingInterval, viewBounds);
+  const gapAnnotations = Object.fromEntries(gaps.map((gap, index) => [`gap${index}`, {
+    type: 'box',
+    xMin: gap.start,
+    xMax: gap.end,
+    backgroundColor: GAP_COLOR,
+    borderWidth: 0
+  }]));
+  // Aggregated points are further apart, so the line only breaks over longer gaps
+  const lineGapThreshold = GAP_FACTOR * Math.max(readingInterval, BUCKET_SPACING[aggregationLevel] || 0);
+
+  // Flags of a plotted point; an aggregated point carries the flags of the readings in it
+  const pointFlags = (index) => {
+    const reading = readings[index];
+    const entries = reading ?
+      (reading.originalReadings || [reading]).map(item => qualityFlags.get(item.dateTime)).filter(Boolean) : [];
+    return {
+      suspect: entries.some(entry => entry.reasons.length > 0),
+      quality: entries.some(entry => entry.quality),
+      descriptions: [...new Set(entries.flatMap(describeFlags))]
+    };
   };
 
+  // Rainfall bars use the same older/recent colors as the line
+  const rainfallDataset = {
+    type: 'bar',
+    label: `${parameterName} (${unitName})`,
+    data: readings.map(reading => ({
+      x: new Date(reading.dateTime),
+      y: reading.value
+    })),
+    backgroundColor: context => {
+      const point = context.dataset.data[context.dataIndex];
+      if (!point) return 'rgba(75, 192, 192, 0.8)';
+      if (context.dataIndex === readings.length - 1) return 'red';
+      if (pointFlags(context.dataIndex).suspect) return SUSPECT_COLOR;
+      return point.x < thresholdDate ? 'rgba(153, 204, 255, 0.8)' : 'rgba(75, 192, 192, 0.8)';
+    },
+    yAxisID: 'y',
+    // Draw the bars underneath the cumulative and overlay lines
+    order: 2
+  };
+
+  // Shaded band between each bucket's lowest and highest reading, filled to the min line
+  const envelopeDatasets = showEnvelope ? [{
+    label: 'Bucket minimum',
+    data: readings.map(reading => ({
+      x: new Date(reading.dateTime),
+      y: reading.min
+    })),
+    yAxisID: 'y',
+    borderColor: ENVELOPE_COLOR,
+    backgroundColor: ENVELOPE_COLOR,
+    pointRadius: 0,
+    fill: false,
+    tension: 0.1
+  }, {
+    label: 'Min–max range',
+    data: readings.map(reading => ({
+      x: new Date(reading.dateTime),
+      y: reading.max
+    })),
+    yAxisID: 'y',
+    borderColor: ENVELOPE_COLOR,
+    backgroundColor: ENVELOPE_COLOR,
+    pointRadius: 0,
+    fill: '-1',
+    tension: 0.1
+  }] : [];
+
+  const cumulativeDatasets = isRainfall ? [{
+    label: `Cumulative total (${getAbbreviatedUnit(unitName)})`,
+    data: cumulativeTotals(readings).map(total => ({
+      x: new Date(total.dateTime),
+      y: total.value
+    })),
+    yAxisID: 'y-cumulative',
+    fill: false,
+    borderColor: CUMULATIVE_COLOR,
+    backgroundColor: CUMULATIVE_COLOR,
+    pointRadius: 0,
+    stepped: true,
+    order: 1
+  }] : [];
+
+  // Stage rates read more naturally as m/h than mASD/h
+  const rateUnit = /^m(ASD|AOD)?$/.test(primaryUnit) ? 'm' : primaryUnit;
+
+  const trendDatasets = [
+    ...(showRate && plottedRates.length > 0 ? [{
+      label: `Rate of change (${rateUnit}/h)`,
+      data: plottedRates.map(rate => ({
+        x: new Date(rate.dateTime),
+        y: rate.value
+      })),
+      yAxisID: 'y-rate',
+      fill: false,
+      borderColor: RATE_COLOR,
+      backgroundColor: RATE_COLOR,
+      borderWidth: 1.5,
+      pointRadius: 0,
+      tension: 0.1
+    }] : []),
+    ...(projection.length > 0 ? [{
+      label: `Projected trend, next ${projectionHorizon} hours`,
+      data: projection.map(point => ({
+        x: new Date(point.dateTime),
+        y: point.value
+      })),
+      yAxisID: 'y',
+      fill: false,
+      borderColor: PROJECTION_COLOR,
+      backgroundColor: PROJECTION_COLOR,
+      borderDash: [6, 4],
+      pointRadius: 0
+    }] : [])
+  ];
+
+  // While the latest readings are in view, widen the axis to fit the projection
+  const projectionEnd = projection.length > 0 ? new Date(projection[projection.length - 1].dateTime) : null;
+  const showsLatest = detailViewRange.end && viewBounds.end && detailViewRange.end >= viewBounds.end;
+  const xAxisMax = projectionEnd && showsLatest && projectionEnd > detailViewRange.end ?
+    projectionEnd : detailViewRange.end;
+
   // Modified version that keeps your existing color scheme
   const unifiedChartData = {
-    datasets: [{
+    datasets: [isRainfall ? rainfallDataset : {
       label: `${parameterName} (${unitName})`,
       data: readings.map(reading => ({
         x: new Date(reading.dateTime),
@@ -423,6 +970,16 @@ const ReadingsChart = ({ stationId }) => {
         if (context.dataIndex === readings.length - 1) {
           return 'red';
         }
+
+        // Suspect readings, then readings the EA has flagged
+        const flags = pointFlags(context.dataIndex);
+        if (flags.suspect) return SUSPECT_COLOR;
+        if (flags.quality) return QUALITY_COLOR;
+
+        // Orange for readings above the station's typical high
+        if (isAboveTypicalHigh(context.dataset.data[context.dataIndex].y, thresholds)) {
+          return 'orange';
+        }
         
         // Otherwise, use color based on the threshold
         return new Date(value) < thresholdDate ? 
@@ -456,148 +1013,44 @@ const ReadingsChart = ({ stationId }) => {
       borderColor: 'rgba(75, 192, 192, 0.8)', // Default fallback
       pointRadius: context => {
         // Make the most recent reading point larger
-        return context.dataIndex === readings.length - 1 ? 5 : 3;
+        if (context.dataIndex === readings.length - 1) return 5;
+        // Briefly enlarge readings that arrived in the latest poll
+        const point = context.dataset.data[context.dataIndex];
+        if (newReadingsSince && point && point.x >= new Date(newReadingsSince)) return 5;
+        const flags = pointFlags(context.dataIndex);
+        return flags.suspect || flags.quality ? 6 : 3;
+      },
+      pointStyle: context => {
+        const flags = pointFlags(context.dataIndex);
+        if (flags.suspect) return 'crossRot';
+        return flags.quality ? 'triangle' : 'circle';
       },
+      // Break the line across missing periods rather than joining over them
+      spanGaps: lineGapThreshold,
+      yAxisID: 'y',
       tension: 0.1
-    }]
+    }, ...envelopeDatasets, ...cumulativeDatasets, ...overlayDatasets, ...trendDatasets]
   };
 
-  const lastReading = readings.length > 0 ? readings[readings.length - 1] : null;
-
-  
-  // Also highlight in the detail chart if the most recent reading is in that view
-  if (lastReading && detailViewRange.start && detailViewRange.end && 
-    new Date(lastReading.dateTime) >= detailViewRange.start && 
-    new Date(lastReading.dateTime) <= detailViewRange.end) {
-    const detailDatasetIndex = new Date(lastReading.dateTime) >= thresholdDate ? 1 : 0;
-    const detailData = detailDatasetIndex === 1 ? recentReadings : olderReadings;
-    const filteredDetailData = detailData.filter(r => 
-      new Date(r.dateTime) >= detailViewRange.start && 
-      new Date(r.dateTime) <= detailViewRange.end
-    );
-    const detailDataIndex = filteredDetailData.findIndex(r => r.dateTime === lastReading.dateTime);
-
-    if (detailDataIndex !== -1 && detailChartData.datasets[detailDatasetIndex]) {
-      detailChartData.datasets[detailDatasetIndex].pointBackgroundColor = 
-        Array(filteredDetailData.length).fill(detailChartData.datasets[detailDatasetIndex].backgroundColor);
-      
-      if (detailChartData.datasets[detailDatasetIndex].pointBackgroundColor) {
-        detailChartData.datasets[detailDatasetIndex].pointBackgroundColor[detailDataIndex] = 'red';
-      }
-      
-      detailChartData.datasets[detailDatasetIndex].pointRadius = 
-        Array(filteredDetailData.length).fill(3);
-      
-      if (detailChartData.datasets[detailDatasetIndex].pointRadius) {
-        detailChartData.datasets[detailDatasetIndex].pointRadius[detailDataIndex] = 5;
-      }
-    }
-  }
-
-  // Helper function to get abbreviated unit name
-  const getAbbreviatedUnit = (fullUnitName) => {
-    if (fullUnitName.includes('Above Station Datum')) return 'mASD';
-    if (fullUnitName.includes('Above Ordnance Datum')) return 'mAOD';
-    if (fullUnitName.includes('cubic meters per second')) return 'm³/s';
-    if (fullUnitName.includes('meters')) return 'm';
-    return fullUnitName; // Return original if no match
-  };
-
-  // Options for detail chart
-  const detailOptions = {
-    responsive: true,
-    maintainAspectRatio: false,
-    plugins: {
-      legend: {
-        position: 'top',
-      },
-      title: {
-        display: true,
-        text: [
-          chartTitle,
-          `From ${new Date(detailViewRange.start).toLocaleDateString()} to ${new Date(detailViewRange.end).toLocaleDateString()}`
-        ],
-        font: {
-          size: 16
-        }
-      },
-      tooltip: {
-        callbacks: {
-          title: (context) => {
-            const date = new Date(context[0].parsed.x);
-            return date.toLocaleString();
-          },
-          label: (context) => {
-            if (readings.length > 0 && context.dataIndex === readings.length - 1) {
-              return `${parameterName}: ${context.parsed.y} ${unitName} (Most Recent)`;
-            }
-            return `${parameterName}: ${context.parsed.y} ${unitName}`;
-          }
-        }
-      },
-      annotation: {
-        annotations: {
-          midnight: {
-            type: 'line',
-            xMin: new Date().setHours(0, 0, 0, 0),
-            xMax: new Date().setHours(0, 0, 0, 0),
-            borderColor: 'rgba(255, 0, 0, 0.5)',
-            borderWidth: 2,
-            borderDash: [5, 5],
-            display: selectedRange === '24h', // Add this line
-            label: {
-              content: 'Midnight',
-              enabled: selectedRange === '24h',
-              position: 'top'
-            }
-          },
-          thresholdLine: {
-            type: 'line',
-            xMin: thresholdDate,
-            xMax: thresholdDate,
-            borderColor: 'rgba(255, 0, 0, 0.7)',
-            borderWidth: 2,
-            borderDash: [5, 5],
-            display: selectedRange !== '24h', // Add this line
-            label: {
-              content: selectedRange === '48h' ? 'Yesterday/Today' : 
-                       selectedRange === 'week' ? 'Last 6 Days/Today' : 
-                       selectedRange === 'month' ? 'Last 3 Weeks/Current Week' : 'Threshold',
-              enabled: true,
-              position: 'top'
-            }
-          }
-        }
-      }
-    },
-    scales: {
-      x: {
-        type: 'time',
-        time: {
-          unit: 'hour',
-          stepSize: 3,
-          displayFormats: {
-            hour: 'MMM d, HH:mm'
-          }
-        },
-        title: {
-          display: true,
-          text: 'Time'
-        }
-      },
-      y: {
-        title: {
-          display: true,
-          text: `${parameterName} (${unitName})`
-        }
-      }
-    }
-  };
+  // Clicking an aggregated point opens its raw readings below the chart
+  const isAggregatedPoint = element => aggregationLevel !== 'none' && element.datasetIndex === 0;
 
   // Regular chart options
   const options = {
     responsive: true,
     maintainAspectRatio: false,
+    // Zooming and panning redraw on every pointer move, so skip the transitions
+    animation: false,
+    onClick: (event, elements) => {
+      const element = elements.find(isAggregatedPoint);
+      if (element && readings[element.index]) {
+        setDrillDownTime(readings[element.index].dateTime);
+      }
+    },
+    onHover: (event, elements) => {
+      if (!event.native) return;
+      event.native.target.style.cursor = elements.some(isAggregatedPoint) ? 'pointer' : 'default';
+    },
     plugins: {
       legend: {
         position: 'top',
@@ -623,8 +1076,26 @@ const ReadingsChart = ({ stationId }) => {
           label: (context) => {
             const isLastPoint = (context.datasetIndex === 1 && context.dataIndex === todayReadings.length - 1) || 
                              (context.datasetIndex === 0 && todayReadings.length === 0 && context.dataIndex === yesterdayReadings.length - 1);
+            if (context.dataset.yAxisID === 'y-cumulative') {
+              return `Cumulative total: ${context.parsed.y} ${unitName}`;
+            }
+            if (context.datasetIndex !== 0) {
+              return `${context.dataset.label}: ${context.parsed.y}`;
+            }
             const label = `${parameterName}: ${context.parsed.y} ${unitName}`;
             return isLastPoint ? `${label} (Most Recent)` : label;
+          },
+          // Aggregated points show when the bucket peaked, which the mean hides,
+          // and any point explains why it was flagged
+          afterLabel: (context) => {
+            const bucket = context.datasetIndex === 0 ? readings[context.dataIndex] : null;
+            if (!bucket) return '';
+            const lines = pointFlags(context.dataIndex).descriptions;
+            if (bucket.originalReadings) {
+              const peak = findPeak(bucket.originalReadings);
+              lines.push(`Peak: ${peak.value} ${unitName} at ${new Date(peak.dateTime).toLocaleString()}`);
+            }
+            return lines;
           }
         }
       },
@@ -659,18 +1130,23 @@ const ReadingsChart = ({ stationId }) => {
               enabled: true, // Show for all applicable views
               position: 'top'
             }
-          }
+          },
+          ...buildThresholdAnnotations(thresholds),
+          ...gapAnnotations
         }
       }
     },
     scales: {
       x: {
         type: 'time',
+        // Only the brushed or zoomed window is shown; the tick unit follows its length
+        min: detailViewRange.start ?? undefined,
+        max: xAxisMax ?? undefined,
         time: {
-          unit: 'hour',
-          stepSize: 3,
           displayFormats: {
-            hour: 'MMM d, HH:mm'
+            minute: 'HH:mm',
+            hour: 'MMM d, HH:mm',
+            day: 'MMM d'
           }
         },
         title: {
@@ -681,20 +1157,61 @@ const ReadingsChart = ({ stationId }) => {
       y: {
         title: {
           display: true,
-          text: `${parameterName} (${unitName})`
+          text: isRainfall && aggregationLevel !== 'none' ?
+            `${parameterName} ${aggregationLevel} total (${unitName})` :
+            `${parameterName} (${unitName})`
+        },
+        beginAtZero: isRainfall,
+        // Keep the typical range in view so readings can be judged against it
+        suggestedMin: thresholds?.typicalLow ?? undefined,
+        suggestedMax: thresholds?.typicalHigh ?? undefined
+      },
+      ...(isRainfall ? {
+        'y-cumulative': {
+          position: 'right',
+          beginAtZero: true,
+          grid: {
+            drawOnChartArea: false
+          },
+          title: {
+            display: true,
+            text: `Cumulative ${parameterName.toLowerCase()} (${unitName})`
+          }
         }
-      }
+      } : {}),
+      ...(showRate ? {
+        'y-rate': {
+          position: 'right',
+          grid: {
+            drawOnChartArea: false
+          },
+          title: {
+            display: true,
+            text: `Rate of change (${rateUnit}/h)`
+          }
+        }
+      } : {}),
+      ...overlayAxes
     }
   };
 
+  const handleExportImage = () => {
+    if (!chartRef.current) return;
+    downloadUrl(chartRef.current.toBase64Image(), `${stationId}-${selectedRange}-chart.png`);
+  };
+
+  // Button zoom for users without a wheel or touch screen
+  const zoomedOut = isFullRange(detailViewRange, viewBounds);
+  const zoomAroundCenter = (factor) => {
+    const center = (detailViewRange.start.getTime() + detailViewRange.end.getTime()) / 2;
+    setDetailViewRange(zoomRange(detailViewRange, factor, center, viewBounds));
+  };
+
+  const drillDownIndex = aggregationLevel !== 'none' && drillDownTime ?
+    readings.findIndex(reading => reading.dateTime === drillDownTime) : -1;
+
   // Create a filtered dataset for table display (30-minute intervals)
-  const filteredReadings = detailReadings.filter((reading, index) => {
-    // Keep first, last, and readings at 30-minute intervals
-    if (index === 0 || index === detailReadings.length - 1) return true;
-    
-    const readingDate = new Date(reading.dateTime);
-    return readingDate.getMinutes() % 30 === 0;
-  });
+  const filteredReadings = filterHalfHourly(detailReadings);
 
   // Helper function to create a gradient for the boundary segment
   // Add this function if it's not already defined
@@ -718,6 +1235,39 @@ const ReadingsChart = ({ stationId }) => {
         onRangeChange={handleRangeChange}
         onCustomRangeChange={handleCustomRangeChange}
       />
+      <RefreshControls
+        enabled={autoRefresh}
+        available={liveAvailable}
+        interval={refreshInterval}
+        lastUpdated={lastUpdated}
+        refreshing={refreshing}
+        onToggle={() => setAutoRefresh(current => !current)}
+        onIntervalChange={setRefreshInterval}
+      />
+      {offlineAsOf && <OfflineNotice asOf={offlineAsOf} subject="readings" />}
+      {measureSelector}
+      {aggregationLevel !== 'none' && !isRainfall && (
+        <AggregationModeSelector
+          level={aggregationLevel}
+          mode={aggregationMode}
+          onModeChange={setAggregationMode}
+        />
+      )}
+      {!isRainfall && (
+        <TrendControls
+          showRate={showRate}
+          rateWindow={rateWindow}
+          showProjection={showProjection}
+          projectionHorizon={projectionHorizon}
+          projectionAvailable={projectionAvailable}
+          latestRate={rateReadings[rateReadings.length - 1] || null}
+          unit={rateUnit}
+          onShowRateChange={setShowRate}
+          onRateWindowChange={setRateWindow}
+          onShowProjectionChange={setShowProjection}
+          onProjectionHorizonChange={setProjectionHorizon}
+        />
+      )}
       
       {/* Main chart section with clarified title */}
       <div className="chart-section">
@@ -737,24 +1287,64 @@ const ReadingsChart = ({ stationId }) => {
           </span>
         </span>
       </div>
+      <DataQualityPanel
+        completeness={completeness}
+        suspectCount={suspectCount}
+        qualityCount={qualityCount}
+        hideSuspect={hideSuspect}
+        rules={outlierRules}
+        unit={getAbbreviatedUnit(unitName)}
+        onHideSuspectChange={setHideSuspect}
+        onRulesChange={changes => setRuleOverrides(current => ({ ...current, ...changes }))}
+        onResetRules={() => setRuleOverrides({})}
+      />
+      {thresholds && (
+        <div className="threshold-summary">
+          {thresholds.typicalLow !== null && thresholds.typicalHigh !== null && (
+            <span>Typical range: {thresholds.typicalLow} – {thresholds.typicalHigh} {getAbbreviatedUnit(unitName)}</span>
+          )}
+          {thresholds.highestRecent !== null && (
+            <span>
+              Highest recent: {thresholds.highestRecent} {getAbbreviatedUnit(unitName)}
+              {thresholds.highestRecentDate && ` (${new Date(thresholds.highestRecentDate).toLocaleDateString()})`}
+            </span>
+          )}
+          {thresholds.highestRecorded !== null && (
+            <span>
+              Highest recorded: {thresholds.highestRecorded} {getAbbreviatedUnit(unitName)}
+              {thresholds.highestRecordedDate && ` (${new Date(thresholds.highestRecordedDate).toLocaleDateString()})`}
+            </span>
+          )}
+        </div>
+      )}
         
+        <div className="zoom-controls">
+          <span>Scroll or pinch the chart to zoom, drag to pan</span>
+          <button className="range-button" onClick={() => zoomAroundCenter(0.5)}>Zoom in</button>
+          <button className="range-button" onClick={() => zoomAroundCenter(2)} disabled={zoomedOut}>
+            Zoom out
+          </button>
+          <button className="range-button" onClick={() => setDetailViewRange(viewBounds)} disabled={zoomedOut}>
+            Show all
+          </button>
+        </div>
         <div
-          ref={scrollContainerRef}
           style={{
             height: '400px',
-            overflowX: 'auto',
             position: 'relative',
             border: '1px solid #ddd'
           }}
         >
-          <div style={{ minWidth: '1200px', height: '100%' }}>
+          <div style={{ height: '100%' }}>
           <Line 
+            ref={chartRef}
             data={unifiedChartData} 
             options={{
               ...options,
               plugins: {
-                // Keep the annotation configuration explicitly
+                // Keep the annotation and tooltip configuration explicitly
                 annotation: options.plugins.annotation,
+                tooltip: options.plugins.tooltip,
                 // Other plugin settings
                 title: {
                   display: false
@@ -775,7 +1365,53 @@ const ReadingsChart = ({ stationId }) => {
                         strokeStyle: 'rgba(75, 192, 192, 0.8)',
                         lineWidth: 1,
                         hidden: false
-                      }
+                      },
+                      ...(thresholds && thresholds.typicalHigh !== null ? [{
+                        text: 'Above typical high',
+                        fillStyle: 'orange',
+                        strokeStyle: 'orange',
+                        lineWidth: 1,
+                        hidden: false
+                      }] : []),
+                      ...(suspectCount > 0 && !hideSuspect ? [{
+                        text: 'Suspect reading',
+                        fillStyle: SUSPECT_COLOR,
+                        strokeStyle: SUSPECT_COLOR,
+                        pointStyle: 'crossRot',
+                        lineWidth: 2,
+                        hidden: false
+                      }] : []),
+                      ...(qualityCount > 0 ? [{
+                        text: 'Flagged by the EA',
+                        fillStyle: QUALITY_COLOR,
+                        strokeStyle: QUALITY_COLOR,
+                        pointStyle: 'triangle',
+                        lineWidth: 1,
+                        hidden: false
+                      }] : []),
+                      ...(gaps.length > 0 ? [{
+                        text: 'No data',
+                        fillStyle: GAP_COLOR,
+                        strokeStyle: GAP_COLOR,
+                        pointStyle: 'rect',
+                        lineWidth: 1,
+                        hidden: false
+                      }] : []),
+                      ...(showEnvelope ? [{
+                        text: 'Min–max range',
+                        fillStyle: ENVELOPE_COLOR,
+                        strokeStyle: ENVELOPE_COLOR,
+                        lineWidth: 1,
+                        hidden: false
+                      }] : []),
+                      ...[...cumulativeDatasets, ...overlayDatasets, ...trendDatasets].map(dataset => ({
+                        text: dataset.label,
+                        fillStyle: dataset.backgroundColor,
+                        strokeStyle: dataset.borderColor,
+                        lineDash: dataset.borderDash,
+                        lineWidth: 1,
+                        hidden: false
+                      }))
                     ],
                     usePointStyle: true
                   },
@@ -799,9 +1435,50 @@ const ReadingsChart = ({ stationId }) => {
             Most Recent Reading
           </div>
         </div>
+        <OverviewBrush
+          readings={readings}
+          bounds={viewBounds}
+          range={detailViewRange}
+          onRangeChange={setDetailViewRange}
+        />
       </div>
       
-      <h3>Readings Table (30min intervals)</h3>
+      {aggregationLevel !== 'none' && drillDownIndex === -1 && (
+        <div className="chart-hint">Click a point to see the raw readings behind it</div>
+      )}
+      {drillDownIndex !== -1 && (
+        <BucketDetailPanel
+          bucket={readings[drillDownIndex]}
+          level={aggregationLevel}
+          parameterName={parameterName}
+          unit={getAbbreviatedUnit(unitName)}
+          thresholds={thresholds}
+          onPrevious={drillDownIndex > 0 ?
+            () => setDrillDownTime(readings[drillDownIndex - 1].dateTime) : null}
+          onNext={drillDownIndex < readings.length - 1 ?
+            () => setDrillDownTime(readings[drillDownIndex + 1].dateTime) : null}
+          onClose={() => setDrillDownTime(null)}
+        />
+      )}
+
+      <StatsSummary
+        summary={summary}
+        unit={getAbbreviatedUnit(unitName)}
+        isRainfall={isRainfall}
+        typicalHigh={thresholds ? thresholds.typicalHigh : null}
+      />
+
+      <div className="chart-header">
+        <h3>Readings Table (30min intervals)</h3>
+        <ExportMenu
+          readings={rawReadings}
+          stationId={stationId}
+          unit={getAbbreviatedUnit(unitName)}
+          rangeLabel={selectedRange}
+          onExportImage={handleExportImage}
+          aggregation={isRainfall ? 'sum' : 'mean'}
+        />
+      </div>
       <div style={{ overflowX: 'auto' }}>
         <table className="readings-table">
           <thead>
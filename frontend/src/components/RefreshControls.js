@@ -0,0 +1,65 @@
+import React, { useEffect, useState } from 'react';
+
+// EA gauges report every 15 minutes, so polling faster than a minute gains nothing
+export const REFRESH_INTERVALS = [
+  { value: 60 * 1000, label: '1 min' },
+  { value: 5 * 60 * 1000, label: '5 min' },
+  { value: 15 * 60 * 1000, label: '15 min' },
+];
+
+// A configured interval that isn't one of the presets is offered as well
+const intervalOptions = (interval) => (
+  REFRESH_INTERVALS.some(option => option.value === interval) ?
+    REFRESH_INTERVALS :
+    [...REFRESH_INTERVALS, { value: interval, label: `${Math.round(interval / 1000)} s` }]
+      .sort((a, b) => a.value - b.value)
+);
+
+const formatAge = (lastUpdated, now) => {
+  const minutes = Math.floor((now - lastUpdated) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes === 1) return '1 min ago';
+  if (minutes < 60) return `${minutes} min ago`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min ago`;
+};
+
+const RefreshControls = ({ enabled, available, interval, lastUpdated, refreshing, onToggle, onIntervalChange }) => {
+  const [now, setNow] = useState(Date.now());
+
+  // Re-render periodically so the "last updated" age stays current
+  useEffect(() => {
+    const timerId = setInterval(() => setNow(Date.now()), 30 * 1000);
+    return () => clearInterval(timerId);
+  }, []);
+
+  return (
+    <div className="refresh-controls">
+      <span className={`live-indicator ${enabled && available ? 'active' : ''}`}>●</span>
+      {available ? (
+        <>
+          <span>{enabled ? 'Live' : 'Paused'}</span>
+          <button className="range-button" onClick={onToggle}>
+            {enabled ? 'Pause' : 'Resume'}
+          </button>
+          <label>
+            Every
+            <select value={interval} onChange={e => onIntervalChange(Number(e.target.value))}>
+              {intervalOptions(interval).map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+        </>
+      ) : (
+        <span>Live updates are only available for ranges ending now</span>
+      )}
+      {lastUpdated && (
+        <span className="last-updated">
+          {refreshing ? 'Updating...' : `Last updated ${formatAge(lastUpdated, now)}`}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default RefreshControls;
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import {
+  CONFIG_FIELDS,
+  getConfig,
+  getProfiles,
+  previewProfile,
+  loadSettings,
+  saveSettings,
+  formatFieldValue,
+  parseFieldValue
+} from '../services/config';
+import { clearReadingsCache } from '../services/readingsCache';
+
+// Profile switcher and per-setting overrides. Saving reloads the app so every part of it
+// picks up the new settings.
+const SettingsPanel = ({ onClose }) => {
+  const [saved] = useState(() => loadSettings());
+  const [profile, setProfile] = useState(getConfig().profile);
+  // Override text per field; empty means use the profile's value
+  const [overrides, setOverrides] = useState(() => Object.fromEntries(CONFIG_FIELDS.map(field => [
+    field.name, formatFieldValue(field, saved.overrides[field.name])
+  ])));
+  const [invalid, setInvalid] = useState([]);
+
+  const profiles = getProfiles();
+  const profileValues = previewProfile(profile);
+
+  const handleSave = async () => {
+    const parsed = CONFIG_FIELDS.map(field => [field, parseFieldValue(field, overrides[field.name])]);
+    const rejected = parsed.filter(([field, value]) => overrides[field.name].trim() && value === undefined);
+    if (rejected.length > 0) {
+      setInvalid(rejected.map(([field]) => field.name));
+      return;
+    }
+
+    const nextOverrides = Object.fromEntries(parsed.filter(([, value]) => value !== undefined)
+      .map(([field, value]) => [field.name, value]));
+    saveSettings({ profile, overrides: nextOverrides });
+
+    // Saved readings belong to the old server, so don't mix them with the new one's
+    const nextApiUrl = nextOverrides.apiUrl || profileValues.apiUrl;
+    if (nextApiUrl !== getConfig().apiUrl) {
+      try {
+        await clearReadingsCache();
+      } catch (err) {
+        console.error('Failed to clear saved readings:', err);
+      }
+    }
+    window.location.reload();
+  };
+
+  const handleReset = () => {
+    setOverrides(Object.fromEntries(CONFIG_FIELDS.map(field => [field.name, ''])));
+    setInvalid([]);
+  };
+
+  return (
+    <div className="settings-panel">
+      <div className="chart-header">
+        <h3>Settings</h3>
+        <button className="range-button" onClick={onClose}>Close</button>
+      </div>
+      <label className="settings-row">
+        <span>Profile</span>
+        <select value={profile} onChange={e => setProfile(e.target.value)}>
+          {Object.entries(profiles).map(([name, { label }]) => (
+            <option key={name} value={name}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {CONFIG_FIELDS.map(field => (
+        <label key={field.name} className={`settings-row ${invalid.includes(field.name) ? 'invalid' : ''}`}>
+          <span>{field.label}</span>
+          <input
+            type="text"
+            value={overrides[field.name]}
+            placeholder={formatFieldValue(field, profileValues[field.name])}
+            onChange={e => setOverrides(current => ({ ...current, [field.name]: e.target.value }))}
+          />
+        </label>
+      ))}
+      {invalid.length > 0 && <div className="settings-error">Check the highlighted settings</div>}
+      <div className="settings-actions">
+        <button className="apply-button" onClick={handleSave}>Save and reload</button>
+        <button className="range-button" onClick={handleReset}>Clear overrides</button>
+      </div>
+      <p className="warning-meta">
+        Leave a setting empty to use the profile's value, shown greyed out. Profiles come
+        from config.json.
+      </p>
+    </div>
+  );
+};
+
+export default SettingsPanel;
@@ -1,8 +1,33 @@
-import React, { useEffect, useState } from 'react';
-import { MapContainer, TileLayer, Marker, Popup } from 'react-leaflet';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { MapContainer, Marker, Popup, CircleMarker, useMap, useMapEvents } from 'react-leaflet';
 import MarkerClusterGroup from 'react-leaflet-cluster';
 import 'leaflet/dist/leaflet.css';
-import { getStations } from '../services/api';
+import { getStationsInTile, getStationIndex, getLatestReadings, getAllReadings } from '../services/api';
+import { isNetworkError } from '../services/readingsCache';
+import {
+  buildStationParams,
+  buildStationIndexParams,
+  matchesSearch,
+  getCatchments,
+  DEFAULT_FILTERS
+} from '../utils/stationFilters';
+import { tilesForBounds, tileFromKey, mergeTileStations } from '../utils/stationTiles';
+import StationSearch from './StationSearch';
+import {
+  STATION_STATUS,
+  TREND_ARROWS,
+  worstStatus,
+  groupLevelReadingsByStation,
+  buildStationStatuses
+} from '../utils/stationStatus';
+import { DEFAULT_VIEWPORT, normalizeViewport, viewportsEqual } from '../utils/urlState';
+import MapLayers from './MapLayers';
+import StatusLegend from './StatusLegend';
+import WatchForm from './WatchForm';
+import OfflineNotice from './OfflineNotice';
+import useOnlineStatus from '../hooks/useOnlineStatus';
+import usePolling from '../hooks/usePolling';
+import { getConfig } from '../services/config';
 import L from 'leaflet';
 
 // Fix for default marker icons in Leaflet
@@ -13,46 +38,353 @@ L.Icon.Default.mergeOptions({
   shadowUrl: require('leaflet/dist/images/marker-shadow.png'),
 });
 
-const StationMap = ({ onStationSelect }) => {
-  const [stations, setStations] = useState([]);
+const hasPosition = (station) => Boolean(station.lat && station.long);
+
+// How far back to fetch level readings for the marker trend arrows
+const STATUS_WINDOW_HOURS = 2;
+// Pause in typing before the map moves to the search matches, in ms
+const SEARCH_FOCUS_DELAY = 400;
+
+// Marker icons are shared between stations with the same status and trend
+const statusIcons = {};
+
+const getStatusIcon = (status, trend) => {
+  const key = `${status}-${trend || 'none'}`;
+  if (!statusIcons[key]) {
+    statusIcons[key] = L.divIcon({
+      className: 'station-marker',
+      html: `<span style="background-color: ${STATION_STATUS[status].color}">${trend ? TREND_ARROWS[trend] : ''}</span>`,
+      iconSize: [22, 22],
+      iconAnchor: [11, 11],
+      popupAnchor: [0, -11],
+      // Read back by createClusterIcon
+      status
+    });
+  }
+  return statusIcons[key];
+};
+
+// Stations that can be placed on the map and match the search text
+const stationsMatching = (stations, query) => (
+  stations.filter(station => hasPosition(station) && matchesSearch(station, query))
+);
+
+// Cluster icons take the color of the worst status among their child markers
+const createClusterIcon = (cluster) => {
+  const status = worstStatus(
+    cluster.getAllChildMarkers().map(marker => marker.options.icon.options.status)
+  );
+  return L.divIcon({
+    className: 'station-cluster',
+    html: `<span style="background-color: ${STATION_STATUS[status].color}">${cluster.getChildCount()}</span>`,
+    iconSize: [36, 36]
+  });
+};
+
+// Zooms the map to the focused station, or to fit all search matches once the search text
+// settles and again when the station index arrives. Tiles loading in change the matches too,
+// but must not move the map under the user.
+const MapFocus = ({ focusStation, query, matches, indexLoaded }) => {
+  const map = useMap();
+  const savedMatches = useRef(matches);
+
+  useEffect(() => {
+    savedMatches.current = matches;
+  });
+
+  useEffect(() => {
+    if (focusStation) {
+      map.flyTo([focusStation.lat, focusStation.long], Math.max(map.getZoom(), 13));
+    }
+  }, [map, focusStation]);
+
+  useEffect(() => {
+    if (focusStation || !query.trim()) return undefined;
+
+    const timeoutId = setTimeout(() => {
+      const current = savedMatches.current;
+      if (!current || current.length === 0) return;
+      if (current.length === 1) {
+        map.flyTo([current[0].lat, current[0].long], Math.max(map.getZoom(), 13));
+      } else {
+        const bounds = L.latLngBounds(current.map(station => [station.lat, station.long]));
+        map.fitBounds(bounds, { padding: [30, 30], maxZoom: 13 });
+      }
+    }, SEARCH_FOCUS_DELAY);
+
+    return () => clearTimeout(timeoutId);
+  }, [map, query, indexLoaded, focusStation]);
+
+  return null;
+};
+
+// Keeps the map view and the viewport prop in sync in both directions
+const MapViewportSync = ({ viewport, onViewportChange }) => {
+  const map = useMapEvents({
+    moveend: () => {
+      const center = map.getCenter();
+      onViewportChange({ center: [center.lat, center.lng], zoom: map.getZoom() });
+    }
+  });
+
+  useEffect(() => {
+    const center = map.getCenter();
+    const current = normalizeViewport({ center: [center.lat, center.lng], zoom: map.getZoom() });
+    // Only move the map for external changes (e.g. back/forward), not its own moveend updates
+    if (!viewportsEqual(current, normalizeViewport(viewport))) {
+      map.setView(viewport.center, viewport.zoom);
+    }
+  }, [map, viewport]);
+
+  return null;
+};
+
+const reportBounds = (map, onBoundsChange) => {
+  const bounds = map.getBounds();
+  onBoundsChange({
+    south: bounds.getSouth(),
+    west: bounds.getWest(),
+    north: bounds.getNorth(),
+    east: bounds.getEast(),
+    zoom: map.getZoom()
+  });
+};
+
+// Reports the visible bounds and zoom on load and after every move, for tiled station loading
+const MapBoundsWatcher = ({ onBoundsChange }) => {
+  const map = useMapEvents({
+    moveend: () => reportBounds(map, onBoundsChange)
+  });
+
+  // The initial view; later ones come from moveend
+  useEffect(() => {
+    reportBounds(map, onBoundsChange);
+  }, [map, onBoundsChange]);
+
+  return null;
+};
+
+const StationMap = ({
+  onStationSelect,
+  warnings = [],
+  viewport = DEFAULT_VIEWPORT,
+  onViewportChange = () => {},
+  watches = [],
+  onWatchStation = () => {}
+}) => {
+  // Stations per loaded map tile, keyed by tile key
+  const [tileStations, setTileStations] = useState({});
+  const [bounds, setBounds] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [catchments, setCatchments] = useState([]);
+  const [focusStation, setFocusStation] = useState(null);
+  // Every station matching the facets, for search beyond the loaded tiles; loaded on first search
+  const [searchIndex, setSearchIndex] = useState(null);
+  const [latestLevels, setLatestLevels] = useState([]);
+  const [recentLevels, setRecentLevels] = useState([]);
+  // Set while offline: { asOf } is the fetch time of the saved station list, or null if there is none
+  const [offlineState, setOfflineState] = useState(null);
+  const online = useOnlineStatus();
+  const [refreshInterval] = useState(() => getConfig().readingsRefreshInterval);
+
+  const { parameter, catchment } = filters;
 
+  // `bounds` changes on every move; the keys say whether the view needs different tiles
+  const tileKeys = bounds ? tilesForBounds(bounds, bounds.zoom).map(tile => tile.key).join(',') : '';
+  const tiles = useMemo(() => (tileKeys ? tileKeys.split(',').map(tileFromKey) : []), [tileKeys]);
+  const hasBounds = bounds !== null;
+
+  // Start again from an empty map when the facet filters change
+  useEffect(() => {
+    setTileStations({});
+  }, [parameter, catchment]);
+
+  // Load the tiles in view, centre first. Facet filters are applied by the backend, and
+  // tiles already loaded come straight from the API module's tile cache.
+  useEffect(() => {
+    // Nothing to load when the view is entirely outside the EA's coverage
+    if (tiles.length === 0) {
+      setLoading(!hasBounds);
+      return undefined;
+    }
+    let cancelled = false;
+    const params = buildStationParams({ parameter, catchment });
+
+    const fetchTiles = async () => {
+      setLoading(true);
+      setError(null);
+      // Oldest saved copy shown while offline, if any tile came from one
+      let offlineAsOf = null;
+      let unavailable = false;
+
+      await Promise.all(tiles.map(async tile => {
+        try {
+          const data = await getStationsInTile(tile, params);
+          if (cancelled) return;
+          if (data.offline && (!offlineAsOf || data.fetchedAt < offlineAsOf)) {
+            offlineAsOf = data.fetchedAt;
+          }
+          setTileStations(current => (current[tile.key] === data.items ? current : { ...current, [tile.key]: data.items }));
+        } catch (err) {
+          if (isNetworkError(err)) {
+            unavailable = true;
+          } else if (!cancelled) {
+            setError('Failed to load stations');
+          }
+          console.error(err);
+        }
+      }));
+
+      if (cancelled) return;
+      setOfflineState(offlineAsOf || unavailable ? { asOf: offlineAsOf } : null);
+      setLoading(false);
+    };
+
+    fetchTiles();
+    return () => {
+      cancelled = true;
+    };
+    // Also reloads when the connection comes back
+  }, [tiles, hasBounds, parameter, catchment, online]);
+
+  const stations = useMemo(() => mergeTileStations(Object.values(tileStations)), [tileStations]);
+
+  // Keep the catchments seen while unfiltered so the facet doesn't collapse once one is chosen
+  useEffect(() => {
+    if (catchment || parameter) return;
+    setCatchments(current => {
+      const names = getCatchments(stations);
+      return names.every(name => current.includes(name)) ?
+        current : [...new Set([...current, ...names])].sort((a, b) => a.localeCompare(b));
+    });
+  }, [stations, catchment, parameter]);
+
+  // Level readings for marker status and trend: the latest reading of every measure first,
+  // so markers are colored quickly, then the recent history paged in for the trend arrows
+  const fetchLevels = useCallback(async (isCancelled = () => false) => {
+    try {
+      const data = await getLatestReadings({ latest: '', parameter: 'level' });
+      if (!isCancelled()) setLatestLevels(data.items || []);
+    } catch (err) {
+      // Markers fall back to the unknown status
+      console.error(err);
+    }
+
+    try {
+      const since = new Date(Date.now() - STATUS_WINDOW_HOURS * 60 * 60 * 1000);
+      const data = await getAllReadings({ parameter: 'level', since: since.toISOString() });
+      if (!isCancelled()) setRecentLevels(data.items || []);
+    } catch (err) {
+      // Markers are shown without a trend
+      console.error(err);
+    }
+  }, []);
+
+  // Load on mount and again when the connection comes back, rather than waiting for the next poll
   useEffect(() => {
-    const fetchStations = async () => {
+    let cancelled = false;
+    fetchLevels(() => cancelled);
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchLevels, online]);
+
+  // Keep the statuses current at the same rate as the readings chart
+  usePolling(fetchLevels, { interval: refreshInterval, enabled: online });
+
+  const readingsByStation = useMemo(
+    () => groupLevelReadingsByStation([...recentLevels, ...latestLevels]),
+    [recentLevels, latestLevels]
+  );
+
+  const stationStatuses = useMemo(
+    () => buildStationStatuses(stations, readingsByStation),
+    [stations, readingsByStation]
+  );
+
+  // Markers only for the loaded stations that match the search
+  const visibleStations = useMemo(
+    () => stationsMatching(stations, filters.query),
+    [stations, filters.query]
+  );
+
+  const hasQuery = filters.query.trim().length > 0;
+
+  useEffect(() => {
+    setSearchIndex(null);
+    if (!hasQuery) return undefined;
+    let cancelled = false;
+
+    const fetchIndex = async () => {
       try {
-        setLoading(true);
-        const data = await getStations({ _limit: 1000 }); // Limit to 1000 stations for performance
-        setStations(data.items || []);
+        const data = await getStationIndex(buildStationIndexParams({ parameter, catchment }));
+        if (!cancelled) setSearchIndex(data.items || []);
       } catch (err) {
-        setError('Failed to load stations');
+        // Search falls back to the stations already on the map
         console.error(err);
-      } finally {
-        setLoading(false);
       }
     };
 
-    fetchStations();
-  }, []);
+    fetchIndex();
+    return () => {
+      cancelled = true;
+    };
+  }, [hasQuery, parameter, catchment, online]);
+
+  // Matches from the whole country once the index is in, from the loaded tiles until then
+  const searchMatches = useMemo(
+    () => (hasQuery ? stationsMatching(searchIndex || stations, filters.query) : null),
+    [hasQuery, searchIndex, stations, filters.query]
+  );
+
+  const handleFiltersChange = (nextFilters) => {
+    setFocusStation(null);
+    setFilters(nextFilters);
+  };
 
-  if (loading) return <div>Loading stations...</div>;
-  if (error) return <div>Error: {error}</div>;
+  const handleResultSelect = (station) => {
+    setFocusStation(station);
+    onStationSelect(station);
+  };
 
   return (
-    <div style={{ height: '500px', width: '100%' }}>
-      <MapContainer center={[52.4862, -1.8904]} zoom={7} style={{ height: '100%', width: '100%' }}>
-        <TileLayer
-          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-        />
-        <MarkerClusterGroup>
-          {stations.map(station => {
-            // Only include stations with latitude and longitude
-            if (station.lat && station.long) {
+    <div>
+      <StationSearch
+        filters={filters}
+        catchments={catchments}
+        results={searchMatches || []}
+        onFiltersChange={handleFiltersChange}
+        onResultSelect={handleResultSelect}
+      />
+      {error && <div>Error: {error}</div>}
+      {loading && (
+        <div className="station-search-loading">
+          {stations.length === 0 ? 'Loading stations...' : 'Updating stations...'}
+        </div>
+      )}
+      {offlineState && <OfflineNotice asOf={offlineState.asOf} subject="station list" />}
+      <div style={{ height: '500px', width: '100%', position: 'relative' }}>
+        <MapContainer center={viewport.center} zoom={viewport.zoom} style={{ height: '100%', width: '100%' }}>
+          <MapLayers warnings={warnings} />
+          <MapFocus
+            focusStation={focusStation}
+            query={filters.query}
+            matches={searchMatches}
+            indexLoaded={searchIndex !== null}
+          />
+          <MapViewportSync viewport={viewport} onViewportChange={onViewportChange} />
+          <MapBoundsWatcher onBoundsChange={setBounds} />
+          <MarkerClusterGroup iconCreateFunction={createClusterIcon}>
+            {visibleStations.map(station => {
+              const { status, trend, latest } = stationStatuses[station.stationReference];
+              const watch = watches.find(item => item.stationReference === station.stationReference);
               return (
-                <Marker 
-                  key={station.stationReference} 
+                <Marker
+                  key={station.stationReference}
                   position={[station.lat, station.long]}
+                  icon={getStatusIcon(status, trend)}
                   eventHandlers={{
                     click: () => onStationSelect(station),
                   }}
@@ -62,20 +394,45 @@ const StationMap = ({ onStationSelect }) => {
                       <h3>{station.label || 'Unnamed Station'}</h3>
                       <p>River: {station.riverName || 'Unknown'}</p>
                       <p>Type: {station.parameter || 'Unknown'}</p>
+                      {latest && (
+                        <p>
+                          Latest level: {latest.value} ({STATION_STATUS[status].label.toLowerCase()}
+                          {trend ? `, ${trend}` : ''})
+                        </p>
+                      )}
                       <button onClick={() => onStationSelect(station)}>
                         View Readings
                       </button>
+                      <div className="popup-watch">
+                        <strong>{watch ? 'Watching' : 'Watch this station'}</strong>
+                        <WatchForm
+                          key={watch ? `${watch.type}:${watch.threshold}` : 'new'}
+                          station={station}
+                          watch={watch}
+                          latestValue={latest ? latest.value : null}
+                          onSubmit={settings => onWatchStation(station, settings)}
+                        />
+                      </div>
                     </div>
                   </Popup>
                 </Marker>
               );
-            }
-            return null;
-          })}
-        </MarkerClusterGroup>
-      </MapContainer>
+            })}
+          </MarkerClusterGroup>
+          {/* Highlight ring drawn outside the cluster group so it stays visible */}
+          {(focusStation ? [focusStation] : searchMatches || []).slice(0, 50).map(station => (
+            <CircleMarker
+              key={`highlight-${station.stationReference}`}
+              center={[station.lat, station.long]}
+              radius={14}
+              pathOptions={{ color: '#ff7800', weight: 3, fill: false }}
+            />
+          ))}
+        </MapContainer>
+        <StatusLegend />
+      </div>
     </div>
   );
 };
 
-export default StationMap;
\ No newline at end of file
+export default StationMap;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { PARAMETER_OPTIONS } from '../utils/stationFilters';
+
+// Maximum number of matches listed under the search box
+const MAX_RESULTS = 10;
+
+const StationSearch = ({ filters, catchments, results, onFiltersChange, onResultSelect }) => {
+  const updateFilter = (field, value) => {
+    onFiltersChange({ ...filters, [field]: value });
+  };
+
+  const hasQuery = filters.query.trim().length > 0;
+
+  return (
+    <div className="station-search">
+      <input
+        type="search"
+        className="station-search-input"
+        placeholder="Search by name, town, river or reference"
+        value={filters.query}
+        onChange={e => updateFilter('query', e.target.value)}
+      />
+
+      <div className="station-filters">
+        <label>
+          Type:
+          <select
+            value={filters.parameter}
+            onChange={e => updateFilter('parameter', e.target.value)}
+          >
+            {PARAMETER_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Catchment:
+          <select
+            value={filters.catchment}
+            onChange={e => updateFilter('catchment', e.target.value)}
+          >
+            <option value="">All catchments</option>
+            {catchments.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {hasQuery && (
+        <div className="station-search-results">
+          <span className="station-search-count">
+            {results.length} matching station{results.length === 1 ? '' : 's'}
+          </span>
+          <ul>
+            {results.slice(0, MAX_RESULTS).map(station => (
+              <li key={station.stationReference}>
+                <button onClick={() => onResultSelect(station)}>
+                  <strong>{station.label || 'Unnamed Station'}</strong>
+                  {' '}
+                  <span className="station-search-meta">
+                    {[station.riverName, station.town].filter(Boolean).join(', ')}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StationSearch;
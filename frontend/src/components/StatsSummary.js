@@ -0,0 +1,59 @@
+import React from 'react';
+
+const formatTime = (dateTime) => new Date(dateTime).toLocaleString();
+
+const formatChange = (value, unit) => `${value > 0 ? '+' : ''}${value} ${unit}`;
+
+// One labelled figure, with an optional line of detail beneath it
+const Stat = ({ label, value, detail }) => (
+  <div className="stats-item">
+    <div className="stats-label">{label}</div>
+    <div className="stats-value">{value}</div>
+    {detail && <div className="warning-meta">{detail}</div>}
+  </div>
+);
+
+// Summary card for the readings in the detail window (see utils/readingStats)
+const StatsSummary = ({ summary, unit, isRainfall = false, typicalHigh = null }) => {
+  if (!summary) return null;
+
+  return (
+    <div className="stats-summary">
+      <h3>Summary ({summary.count.toLocaleString()} readings)</h3>
+      <div className="stats-grid">
+        <Stat
+          label="Latest"
+          value={`${summary.latest.value} ${unit}`}
+          detail={formatTime(summary.latest.dateTime)}
+        />
+        <Stat label="Minimum" value={`${summary.min.value} ${unit}`} detail={formatTime(summary.min.dateTime)} />
+        <Stat label="Maximum" value={`${summary.max.value} ${unit}`} detail={formatTime(summary.max.dateTime)} />
+        <Stat label="Mean" value={`${summary.mean} ${unit}`} />
+        {isRainfall ? (
+          <Stat label="Total" value={`${summary.total} ${unit}`} />
+        ) : (
+          <>
+            <Stat label="Net change" value={formatChange(summary.netChange, unit)} />
+            {summary.rises.map(({ hours, rise }) => (
+              <Stat
+                key={hours}
+                label={`Max rise in ${hours} h`}
+                value={rise && rise.value > 0 ? formatChange(rise.value, unit) : 'No rise'}
+                detail={rise && rise.value > 0 ? `from ${formatTime(rise.start)}` : null}
+              />
+            ))}
+          </>
+        )}
+        {summary.percentAboveTypicalHigh !== null && (
+          <Stat
+            label="Time above typical high"
+            value={`${summary.percentAboveTypicalHigh}%`}
+            detail={`above ${typicalHigh} ${unit}`}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StatsSummary;
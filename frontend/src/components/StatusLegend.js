@@ -0,0 +1,20 @@
+import React from 'react';
+import { STATION_STATUS, TREND_ARROWS } from '../utils/stationStatus';
+
+const StatusLegend = () => {
+  return (
+    <div className="status-legend">
+      {['severe', 'high', 'normal', 'unknown'].map(status => (
+        <div key={status} className="status-legend-row">
+          <span className="status-legend-swatch" style={{ backgroundColor: STATION_STATUS[status].color }} />
+          {STATION_STATUS[status].label}
+        </div>
+      ))}
+      <div className="status-legend-row">
+        {TREND_ARROWS.rising} rising {TREND_ARROWS.falling} falling {TREND_ARROWS.steady} steady
+      </div>
+    </div>
+  );
+};
+
+export default StatusLegend;
@@ -50,6 +50,12 @@ const TimeRangeSelector = ({ selectedRange, onRangeChange, onCustomRangeChange }
           >
             Custom Range ▾
           </button>
+          <button 
+            className={`range-button ${selectedRange === 'archive' ? 'active' : ''}`} 
+            onClick={() => handleRangeButtonClick('archive')}
+          >
+            Archive
+          </button>
         </div>
         
         {showCustomPicker && (
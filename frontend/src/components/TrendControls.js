@@ -0,0 +1,65 @@
+import React from 'react';
+import { RATE_WINDOWS, PROJECTION_HORIZONS } from '../utils/trend';
+
+const formatRate = (rate, unit) => `${rate > 0 ? '+' : ''}${rate} ${unit}/h`;
+
+// Toggles for the rate-of-change series and the trend projection, plus the current rate
+const TrendControls = ({
+  showRate,
+  rateWindow,
+  showProjection,
+  projectionHorizon,
+  projectionAvailable,
+  latestRate,
+  unit,
+  onShowRateChange,
+  onRateWindowChange,
+  onShowProjectionChange,
+  onProjectionHorizonChange
+}) => (
+  <div className="trend-controls">
+    <label>
+      <input type="checkbox" checked={showRate} onChange={e => onShowRateChange(e.target.checked)} />
+      Rate of change
+    </label>
+    <label>
+      smoothed over
+      <select value={rateWindow} onChange={e => onRateWindowChange(Number(e.target.value))} disabled={!showRate}>
+        {RATE_WINDOWS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </label>
+    {projectionAvailable && (
+      <>
+        <label>
+          <input
+            type="checkbox"
+            checked={showProjection}
+            onChange={e => onShowProjectionChange(e.target.checked)}
+          />
+          Trend projection
+        </label>
+        <label>
+          next
+          <select
+            value={projectionHorizon}
+            onChange={e => onProjectionHorizonChange(Number(e.target.value))}
+            disabled={!showProjection}
+          >
+            {PROJECTION_HORIZONS.map(hours => (
+              <option key={hours} value={hours}>{hours} hours</option>
+            ))}
+          </select>
+        </label>
+      </>
+    )}
+    {latestRate && (
+      <span className={`trend-latest ${latestRate.value > 0 ? 'rising' : ''}`}>
+        Now: {formatRate(latestRate.value, unit)}
+      </span>
+    )}
+  </div>
+);
+
+export default TrendControls;
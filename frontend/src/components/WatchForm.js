@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { WATCH_TYPES, defaultThreshold } from '../utils/watches';
+
+// Threshold editor used in the map popup and the watch panel
+const WatchForm = ({ station, watch = null, latestValue = null, onSubmit }) => {
+  const [type, setType] = useState(watch ? watch.type : 'above');
+  const [threshold, setThreshold] = useState(() =>
+    String(watch ? watch.threshold : defaultThreshold(station, 'above', latestValue))
+  );
+
+  const handleTypeChange = (nextType) => {
+    setType(nextType);
+    setThreshold(String(watch && watch.type === nextType ?
+      watch.threshold : defaultThreshold(station, nextType, latestValue)));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const value = parseFloat(threshold);
+    if (Number.isNaN(value)) return;
+    onSubmit({ type, threshold: value });
+  };
+
+  return (
+    <form className="watch-form" onSubmit={handleSubmit}>
+      <select value={type} onChange={e => handleTypeChange(e.target.value)}>
+        {Object.entries(WATCH_TYPES).map(([value, option]) => (
+          <option key={value} value={value}>{option.label}</option>
+        ))}
+      </select>
+      <input
+        type="number"
+        step="0.01"
+        value={threshold}
+        onChange={e => setThreshold(e.target.value)}
+        aria-label="Threshold"
+      />
+      <span>{WATCH_TYPES[type].unit}</span>
+      <button type="submit">{watch ? 'Update watch' : 'Watch'}</button>
+    </form>
+  );
+};
+
+export default WatchForm;
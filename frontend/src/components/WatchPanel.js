@@ -0,0 +1,80 @@
+import React from 'react';
+import WatchForm from './WatchForm';
+
+const PERMISSION_MESSAGES = {
+  denied: 'Browser notifications are blocked; alerts will only appear here.',
+  unsupported: 'This browser does not support notifications; alerts will only appear here.',
+};
+
+const WatchPanel = ({
+  watches,
+  alerts,
+  notificationPermission,
+  onRequestPermission,
+  onUpdateWatch,
+  onRemoveWatch,
+  onSelectStation,
+  onDismissAlert,
+  onClearAlerts
+}) => {
+  return (
+    <div className="watch-panel">
+      <div className="chart-header">
+        <h3>Watched Stations ({watches.length})</h3>
+        {notificationPermission === 'default' && watches.length > 0 && (
+          <button className="range-button" onClick={onRequestPermission}>
+            Enable notifications
+          </button>
+        )}
+      </div>
+
+      {PERMISSION_MESSAGES[notificationPermission] && watches.length > 0 && (
+        <div className="watch-permission">{PERMISSION_MESSAGES[notificationPermission]}</div>
+      )}
+      {watches.length === 0 && (
+        <div>Watch a station from its map popup to be alerted when it crosses a threshold</div>
+      )}
+
+      <ul className="watch-list">
+        {watches.map(watch => (
+          <li key={watch.stationReference} className={watch.active ? 'watch-active' : ''}>
+            <button className="link-button" onClick={() => onSelectStation(watch.stationReference)}>
+              {watch.label}
+            </button>
+            {watch.riverName && <span className="warning-meta">{watch.riverName}</span>}
+            <WatchForm
+              key={`${watch.type}:${watch.threshold}`}
+              station={watch}
+              watch={watch}
+              onSubmit={settings => onUpdateWatch(watch.stationReference, settings)}
+            />
+            <button title="Stop watching" onClick={() => onRemoveWatch(watch.stationReference)}>
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {alerts.length > 0 && (
+        <>
+          <div className="chart-header">
+            <h3>Alerts ({alerts.length})</h3>
+            <button className="range-button" onClick={onClearAlerts}>Clear</button>
+          </div>
+          <ul className="alert-list">
+            {alerts.map(alert => (
+              <li key={alert.id}>
+                <strong>{alert.label}</strong>
+                <span>{alert.message}</span>
+                <span className="warning-meta">{new Date(alert.dateTime).toLocaleString()}</span>
+                <button title="Dismiss" onClick={() => onDismissAlert(alert.id)}>×</button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default WatchPanel;
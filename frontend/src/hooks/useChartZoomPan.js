@@ -0,0 +1,124 @@
+import { useEffect, useRef } from 'react';
+import { zoomRange, panRange } from '../utils/viewRange';
+
+// Each wheel notch zooms by this factor
+const WHEEL_ZOOM_FACTOR = 1.2;
+
+// Pointer movement (px) before a press counts as a drag rather than a click
+const DRAG_THRESHOLD = 4;
+
+// Wheel zoom, drag to pan and two-finger pinch zoom on a time-axis chart.
+// The visible window is controlled: changes are reported through onRangeChange.
+const useChartZoomPan = (chartRef, { range, bounds, onRangeChange, enabled = true }) => {
+  // Listeners are attached once per chart, so they read the latest values from a ref
+  const latest = useRef({ range, bounds, onRangeChange });
+  useEffect(() => {
+    latest.current = { range, bounds, onRangeChange };
+  });
+
+  useEffect(() => {
+    const chart = chartRef.current;
+    if (!enabled || !chart || !chart.canvas) return undefined;
+    const canvas = chart.canvas;
+
+    const timeAtPixel = (clientX) => {
+      const rect = canvas.getBoundingClientRect();
+      // The chart instance can be replaced on redraw while the canvas stays the same
+      const currentChart = chartRef.current || chart;
+      return currentChart.scales.x.getValueForPixel(clientX - rect.left);
+    };
+
+    const update = (nextRange) => {
+      const { range: currentRange, bounds: currentBounds, onRangeChange: notify } = latest.current;
+      if (!currentRange.start || !currentBounds.start) return;
+      notify(nextRange(currentRange, currentBounds));
+    };
+
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const factor = event.deltaY > 0 ? WHEEL_ZOOM_FACTOR : 1 / WHEEL_ZOOM_FACTOR;
+      const anchor = timeAtPixel(event.clientX);
+      update((current, currentBounds) => zoomRange(current, factor, anchor, currentBounds));
+    };
+
+    // Active pointers by id, for pinch detection
+    const pointers = new Map();
+    let dragged = false;
+    let downX = null;
+    let lastX = null;
+    let lastPinchDistance = null;
+
+    const pinchDistance = () => {
+      const [a, b] = [...pointers.values()];
+      return Math.abs(a.clientX - b.clientX);
+    };
+
+    const handlePointerDown = (event) => {
+      canvas.setPointerCapture(event.pointerId);
+      pointers.set(event.pointerId, event);
+      dragged = false;
+      downX = event.clientX;
+      lastX = event.clientX;
+      lastPinchDistance = pointers.size === 2 ? pinchDistance() : null;
+    };
+
+    const handlePointerMove = (event) => {
+      if (!pointers.has(event.pointerId)) return;
+      pointers.set(event.pointerId, event);
+
+      if (pointers.size === 2) {
+        const distance = pinchDistance();
+        if (lastPinchDistance && distance) {
+          const [a, b] = [...pointers.values()];
+          const anchor = timeAtPixel((a.clientX + b.clientX) / 2);
+          const factor = lastPinchDistance / distance;
+          update((current, currentBounds) => zoomRange(current, factor, anchor, currentBounds));
+        }
+        lastPinchDistance = distance;
+        dragged = true;
+        return;
+      }
+
+      if (!dragged && Math.abs(event.clientX - downX) < DRAG_THRESHOLD) return;
+      dragged = true;
+      // Dragging right moves the window back in time
+      const delta = timeAtPixel(lastX) - timeAtPixel(event.clientX);
+      lastX = event.clientX;
+      update((current, currentBounds) => panRange(current, delta, currentBounds));
+    };
+
+    const handlePointerUp = (event) => {
+      pointers.delete(event.pointerId);
+      lastPinchDistance = null;
+      const [remaining] = [...pointers.values()];
+      lastX = remaining ? remaining.clientX : null;
+    };
+
+    // Stop the chart's own click handler (e.g. drill-down) firing at the end of a drag
+    const handleClick = (event) => {
+      if (dragged) {
+        event.stopImmediatePropagation();
+        dragged = false;
+      }
+    };
+
+    canvas.style.touchAction = 'none';
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointermove', handlePointerMove);
+    canvas.addEventListener('pointerup', handlePointerUp);
+    canvas.addEventListener('pointercancel', handlePointerUp);
+    canvas.addEventListener('click', handleClick, true);
+
+    return () => {
+      canvas.removeEventListener('wheel', handleWheel);
+      canvas.removeEventListener('pointerdown', handlePointerDown);
+      canvas.removeEventListener('pointermove', handlePointerMove);
+      canvas.removeEventListener('pointerup', handlePointerUp);
+      canvas.removeEventListener('pointercancel', handlePointerUp);
+      canvas.removeEventListener('click', handleClick, true);
+    };
+  }, [chartRef, enabled]);
+};
+
+export default useChartZoomPan;
@@ -0,0 +1,41 @@
+import { renderHook } from '@testing-library/react';
+import useChartZoomPan from './useChartZoomPan';
+
+const HOUR = 60 * 60 * 1000;
+const at = (hours) => new Date(Date.UTC(2025, 1, 14) + hours * HOUR);
+
+// A 240px wide chart showing 24 hours: one hour per 10px
+const fakeChart = () => ({
+  canvas: document.createElement('canvas'),
+  scales: {
+    x: { getValueForPixel: (pixel) => at(pixel / 10).getTime() },
+  },
+});
+
+test('wheel zooms around the pointer', () => {
+  const chartRef = { current: fakeChart() };
+  const onRangeChange = jest.fn();
+  const bounds = { start: at(0), end: at(24) };
+
+  renderHook(() => useChartZoomPan(chartRef, { range: bounds, bounds, onRangeChange }));
+
+  const wheel = new WheelEvent('wheel', { deltaY: -100, clientX: 60, cancelable: true });
+  chartRef.current.canvas.dispatchEvent(wheel);
+
+  expect(wheel.defaultPrevented).toBe(true);
+  const [[range]] = onRangeChange.mock.calls;
+  expect(range.end - range.start).toBe(20 * HOUR);
+  // The hour under the pointer stays a quarter of the way across
+  expect(range.start).toEqual(at(1));
+});
+
+test('does nothing while disabled', () => {
+  const chartRef = { current: fakeChart() };
+  const onRangeChange = jest.fn();
+  const bounds = { start: at(0), end: at(24) };
+
+  renderHook(() => useChartZoomPan(chartRef, { range: bounds, bounds, onRangeChange, enabled: false }));
+  chartRef.current.canvas.dispatchEvent(new WheelEvent('wheel', { deltaY: -100, clientX: 60 }));
+
+  expect(onRangeChange).not.toHaveBeenCalled();
+});
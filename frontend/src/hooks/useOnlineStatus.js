@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react';
+
+const isOnline = () => (typeof navigator === 'undefined' ? true : navigator.onLine !== false);
+
+// Tracks the browser's online/offline state
+const useOnlineStatus = () => {
+  const [online, setOnline] = useState(isOnline);
+
+  useEffect(() => {
+    const update = () => setOnline(isOnline());
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return online;
+};
+
+export default useOnlineStatus;
@@ -0,0 +1,22 @@
+import { renderHook, act } from '@testing-library/react';
+import useOnlineStatus from './useOnlineStatus';
+
+const setOnLine = (onLine) => {
+  Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => onLine });
+  window.dispatchEvent(new Event(onLine ? 'online' : 'offline'));
+};
+
+afterEach(() => {
+  setOnLine(true);
+});
+
+test('follows the online and offline events', () => {
+  const { result } = renderHook(() => useOnlineStatus());
+  expect(result.current).toBe(true);
+
+  act(() => setOnLine(false));
+  expect(result.current).toBe(false);
+
+  act(() => setOnLine(true));
+  expect(result.current).toBe(true);
+});
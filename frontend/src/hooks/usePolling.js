@@ -0,0 +1,56 @@
+import { useEffect, useRef } from 'react';
+
+// Calls `callback` every `interval` ms while `enabled`. While the tab is hidden the
+// delay doubles after each poll (up to `maxInterval`); when the tab becomes visible
+// again it polls straight away and returns to the normal interval.
+const usePolling = (callback, { interval, enabled = true, maxInterval = interval * 8 }) => {
+  const savedCallback = useRef(callback);
+
+  useEffect(() => {
+    savedCallback.current = callback;
+  }, [callback]);
+
+  useEffect(() => {
+    if (!enabled || !interval) return undefined;
+
+    let timeoutId = null;
+    let delay = interval;
+    // A poll still running when the effect is cleaned up must not schedule another
+    let cancelled = false;
+    let inFlight = false;
+
+    const schedule = () => {
+      timeoutId = setTimeout(async () => {
+        inFlight = true;
+        try {
+          await savedCallback.current();
+        } catch (err) {
+          console.error('Polling failed:', err);
+        }
+        inFlight = false;
+        if (cancelled) return;
+        delay = document.hidden ? Math.min(delay * 2, maxInterval) : interval;
+        schedule();
+      }, delay);
+    };
+
+    const handleVisibilityChange = () => {
+      // A poll under way already counts as the immediate one, and schedules the next
+      if (document.hidden || inFlight) return;
+      clearTimeout(timeoutId);
+      delay = 0;
+      schedule();
+    };
+
+    schedule();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [interval, enabled, maxInterval]);
+};
+
+export default usePolling;
@@ -0,0 +1,136 @@
+import { renderHook, act } from '@testing-library/react';
+import usePolling from './usePolling';
+
+const setHidden = (hidden) => {
+  Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+  document.dispatchEvent(new Event('visibilitychange'));
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  setHidden(false);
+});
+
+test('polls on the interval while enabled', async () => {
+  const callback = jest.fn();
+  renderHook(() => usePolling(callback, { interval: 1000 }));
+
+  // Each poll is awaited before the next one is scheduled
+  for (let i = 0; i < 3; i++) {
+    await act(async () => {
+      jest.advanceTimersByTime(1000);
+    });
+  }
+
+  expect(callback).toHaveBeenCalledTimes(3);
+});
+
+test('does nothing when disabled', async () => {
+  const callback = jest.fn();
+  renderHook(() => usePolling(callback, { interval: 1000, enabled: false }));
+
+  await act(async () => {
+    jest.advanceTimersByTime(5000);
+  });
+
+  expect(callback).not.toHaveBeenCalled();
+});
+
+test('backs off while hidden and polls immediately when visible again', async () => {
+  const callback = jest.fn();
+  renderHook(() => usePolling(callback, { interval: 1000 }));
+  setHidden(true);
+
+  // Polls at 1s, then waits 2s, then 4s
+  await act(async () => {
+    jest.advanceTimersByTime(1000);
+  });
+  await act(async () => {
+    jest.advanceTimersByTime(2000);
+  });
+  expect(callback).toHaveBeenCalledTimes(2);
+
+  await act(async () => {
+    setHidden(false);
+    jest.advanceTimersByTime(0);
+  });
+  expect(callback).toHaveBeenCalledTimes(3);
+});
+
+// A callback that stays pending until `finish` is called
+const pendingCallback = () => {
+  const pending = [];
+  const callback = jest.fn(() => new Promise(resolve => pending.push(resolve)));
+  const finish = async () => {
+    await act(async () => {
+      pending.splice(0).forEach(resolve => resolve());
+    });
+  };
+  return { callback, finish };
+};
+
+test('stops polling when disabled during a poll', async () => {
+  const { callback, finish } = pendingCallback();
+  const { rerender } = renderHook(({ enabled }) => usePolling(callback, { interval: 1000, enabled }), {
+    initialProps: { enabled: true }
+  });
+
+  await act(async () => {
+    jest.advanceTimersByTime(1000);
+  });
+  expect(callback).toHaveBeenCalledTimes(1);
+
+  rerender({ enabled: false });
+  await finish();
+  await act(async () => {
+    jest.advanceTimersByTime(5000);
+  });
+
+  expect(callback).toHaveBeenCalledTimes(1);
+});
+
+test('stops polling when unmounted during a poll', async () => {
+  const { callback, finish } = pendingCallback();
+  const { unmount } = renderHook(() => usePolling(callback, { interval: 1000 }));
+
+  await act(async () => {
+    jest.advanceTimersByTime(1000);
+  });
+  unmount();
+  await finish();
+  await act(async () => {
+    jest.advanceTimersByTime(5000);
+  });
+
+  expect(callback).toHaveBeenCalledTimes(1);
+});
+
+test('becoming visible during a poll does not start a second chain', async () => {
+  const { callback, finish } = pendingCallback();
+  renderHook(() => usePolling(callback, { interval: 1000 }));
+
+  await act(async () => {
+    jest.advanceTimersByTime(1000);
+  });
+  await act(async () => {
+    setHidden(true);
+    setHidden(false);
+    jest.advanceTimersByTime(0);
+  });
+  expect(callback).toHaveBeenCalledTimes(1);
+
+  await finish();
+  // One poll per interval from here on, not two
+  for (let i = 0; i < 3; i++) {
+    await act(async () => {
+      jest.advanceTimersByTime(1000);
+    });
+    await finish();
+  }
+
+  expect(callback).toHaveBeenCalledTimes(4);
+});
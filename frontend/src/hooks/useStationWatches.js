@@ -0,0 +1,173 @@
+import { useEffect, useRef, useState } from 'react';
+import { getStationReadings } from '../services/api';
+import {
+  loadWatches,
+  saveWatches,
+  createWatch,
+  selectWatchReadings,
+  evaluateWatch,
+  RISE_WINDOW_HOURS
+} from '../utils/watches';
+import usePolling from './usePolling';
+
+export const WATCH_POLL_INTERVAL = 5 * 60 * 1000;
+
+// The in-app alert list keeps only the most recent alerts
+const MAX_ALERTS = 50;
+
+const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+const getNotificationPermission = () =>
+  notificationsSupported() ? window.Notification.permission : 'unsupported';
+
+const showNotification = (alert) => {
+  if (getNotificationPermission() !== 'granted') return;
+  try {
+    // The tag stops the same alert from stacking if it is raised twice
+    new window.Notification(`Flood monitor: ${alert.label}`, { body: alert.message, tag: alert.id });
+  } catch (err) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.error('Failed to show notification:', err);
+  }
+};
+
+// Watched stations persisted in localStorage, polled for threshold crossings
+const useStationWatches = ({ interval = WATCH_POLL_INTERVAL } = {}) => {
+  const [watches, setWatches] = useState(() => loadWatches());
+  const [alerts, setAlerts] = useState([]);
+  const [notificationPermission, setNotificationPermission] = useState(getNotificationPermission);
+
+  useEffect(() => {
+    saveWatches(watches);
+  }, [watches]);
+
+  const requestNotificationPermission = async () => {
+    if (!notificationsSupported()) return;
+    const permission = await window.Notification.requestPermission();
+    setNotificationPermission(permission);
+  };
+
+  const runCheck = async () => {
+    if (watches.length === 0) return;
+
+    // A little more than the rise window so the rate has a reading to start from
+    const since = new Date(Date.now() - (RISE_WINDOW_HOURS + 1) * 60 * 60 * 1000);
+    const results = await Promise.all(watches.map(async (watch) => {
+      try {
+        const data = await getStationReadings(watch.stationReference, {
+          _sorted: true,
+          since: since.toISOString(),
+          _limit: 500
+        });
+        // Saved readings from an earlier check were already evaluated
+        if (data.offline) return null;
+        return { watch, ...evaluateWatch(watch, selectWatchReadings(data.items || [])) };
+      } catch (err) {
+        // One failing station shouldn't stop the others being checked
+        console.error(`Failed to check watch for ${watch.stationReference}:`, err);
+        return null;
+      }
+    }));
+
+    const checked = results.filter(Boolean);
+    const activeByStation = {};
+    checked.forEach(result => {
+      activeByStation[result.watch.stationReference] = result.active;
+    });
+    setWatches(current => current.map(watch => (
+      watch.stationReference in activeByStation && activeByStation[watch.stationReference] !== watch.active ?
+        { ...watch, active: activeByStation[watch.stationReference] } : watch
+    )));
+
+    const newAlerts = checked.map(result => result.alert).filter(Boolean);
+    if (newAlerts.length > 0) {
+      // Alert ids name the crossing reading, so an alert already listed isn't added twice
+      setAlerts(current => {
+        const knownIds = new Set(current.map(alert => alert.id));
+        return [...newAlerts.filter(alert => !knownIds.has(alert.id)), ...current].slice(0, MAX_ALERTS);
+      });
+      newAlerts.forEach(showNotification);
+    }
+  };
+
+  // Only one check runs at a time. A check asked for meanwhile (e.g. a watch was added)
+  // runs once the current one finishes, with the watches as they are by then.
+  const checkInFlight = useRef(false);
+  const checkQueued = useRef(false);
+  const savedCheckWatches = useRef(null);
+
+  const checkWatches = async () => {
+    if (checkInFlight.current) {
+      checkQueued.current = true;
+      return;
+    }
+    checkInFlight.current = true;
+    try {
+      await runCheck();
+    } finally {
+      checkInFlight.current = false;
+    }
+    if (checkQueued.current) {
+      checkQueued.current = false;
+      await savedCheckWatches.current();
+    }
+  };
+
+  usePolling(checkWatches, { interval, enabled: watches.length > 0 });
+
+  // Check straight away when a watch is added or its threshold changes
+  const watchKey = watches.map(watch => `${watch.stationReference}:${watch.type}:${watch.threshold}`).join(',');
+
+  // checkWatches is called through a ref so this only reruns for watchKey, which ignores
+  // the `active` flags that checkWatches itself updates
+  useEffect(() => {
+    savedCheckWatches.current = checkWatches;
+  });
+
+  useEffect(() => {
+    if (watchKey) savedCheckWatches.current();
+  }, [watchKey]);
+
+  const addWatch = (station, settings) => {
+    const watch = createWatch(station, settings);
+    setWatches(current => [
+      ...current.filter(item => item.stationReference !== watch.stationReference),
+      watch
+    ]);
+    // Adding a watch is a user gesture, so it's a good moment to ask
+    if (notificationPermission === 'default') {
+      requestNotificationPermission();
+    }
+  };
+
+  const updateWatch = (stationReference, changes) => {
+    // Re-arm the watch so the new threshold is checked from scratch
+    setWatches(current => current.map(watch => (
+      watch.stationReference === stationReference ? { ...watch, ...changes, active: false } : watch
+    )));
+  };
+
+  const removeWatch = (stationReference) => {
+    setWatches(current => current.filter(watch => watch.stationReference !== stationReference));
+  };
+
+  const dismissAlert = (alertId) => {
+    setAlerts(current => current.filter(alert => alert.id !== alertId));
+  };
+
+  const clearAlerts = () => setAlerts([]);
+
+  return {
+    watches,
+    alerts,
+    notificationPermission,
+    requestNotificationPermission,
+    addWatch,
+    updateWatch,
+    removeWatch,
+    dismissAlert,
+    clearAlerts
+  };
+};
+
+export default useStationWatches;
@@ -0,0 +1,90 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { getStationReadings } from '../services/api';
+import { WATCH_STORAGE_KEY } from '../utils/watches';
+import useStationWatches from './useStationWatches';
+
+jest.mock('../services/api', () => ({
+  getStationReadings: jest.fn(),
+}));
+
+const MEASURE = 'http://environment.data.gov.uk/flood-monitoring/id/measures/1029TH-level-stage-i-15_min-mASD';
+
+const readingsResponse = (...values) => ({
+  items: values.map((value, index) => ({
+    dateTime: new Date(Date.UTC(2024, 0, 1, 12, index * 15)).toISOString(),
+    value,
+    measure: MEASURE,
+  })),
+});
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+afterEach(() => {
+  jest.resetAllMocks();
+});
+
+test('persists watches in localStorage', async () => {
+  getStationReadings.mockResolvedValue(readingsResponse(0.4));
+  const { result, unmount } = renderHook(() => useStationWatches());
+
+  // Adding a watch checks it straight away, so let that request settle
+  await act(async () => {
+    result.current.addWatch({ stationReference: '1029TH', label: 'Bourton' }, { threshold: 1 });
+  });
+
+  const saved = JSON.parse(window.localStorage.getItem(WATCH_STORAGE_KEY));
+  expect(saved).toHaveLength(1);
+  expect(saved[0]).toMatchObject({ stationReference: '1029TH', type: 'above', threshold: 1 });
+
+  unmount();
+  const { result: reloaded } = renderHook(() => useStationWatches());
+  await waitFor(() => expect(getStationReadings).toHaveBeenCalledTimes(2));
+  expect(reloaded.current.watches).toHaveLength(1);
+});
+
+test('raises an alert when a watched station crosses its threshold', async () => {
+  getStationReadings.mockResolvedValue(readingsResponse(0.4, 0.6));
+  const { result } = renderHook(() => useStationWatches());
+
+  act(() => {
+    result.current.addWatch({ stationReference: '1029TH', label: 'Bourton' }, { threshold: 0.5 });
+  });
+
+  await waitFor(() => expect(result.current.alerts).toHaveLength(1));
+  expect(result.current.alerts[0].message).toBe('Level 0.6 m is above 0.5 m');
+  expect(result.current.watches[0].active).toBe(true);
+
+  act(() => {
+    result.current.dismissAlert(result.current.alerts[0].id);
+  });
+  expect(result.current.alerts).toHaveLength(0);
+});
+
+test('runs one check at a time and raises each alert once', async () => {
+  let resolveFirst;
+  getStationReadings
+    .mockImplementationOnce(() => new Promise(resolve => {
+      resolveFirst = resolve;
+    }))
+    .mockResolvedValue(readingsResponse(0.4, 0.6));
+  const { result } = renderHook(() => useStationWatches());
+
+  act(() => {
+    result.current.addWatch({ stationReference: '1029TH', label: 'Bourton' }, { threshold: 0.5 });
+  });
+  // A second watch asks for another check while the first is still waiting
+  act(() => {
+    result.current.addWatch({ stationReference: '2001TH', label: 'Lechlade' }, { threshold: 5 });
+  });
+  expect(getStationReadings).toHaveBeenCalledTimes(1);
+
+  await act(async () => {
+    resolveFirst(readingsResponse(0.4, 0.6));
+  });
+
+  await waitFor(() => expect(getStationReadings).toHaveBeenCalledTimes(3));
+  await waitFor(() => expect(result.current.watches[0].active).toBe(true));
+  expect(result.current.alerts).toHaveLength(1);
+});
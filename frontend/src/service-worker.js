@@ -0,0 +1,59 @@
+/* eslint-disable no-restricted-globals */
+
+// Caches the app shell and map tiles so the monitor still opens without a
+// connection. Station lists, warnings and readings are kept separately in
+// IndexedDB (see services/readingsCache.js) so the UI can say how old they are.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst } from 'workbox-strategies';
+import { BASEMAPS, DEFAULT_BASEMAP, tileUrlPattern } from './utils/mapLayers';
+import { getConfig } from './services/config';
+
+clientsClaim();
+
+// Build output injected by the CRA build
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for in-app navigations, but not for files or /_ paths
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_')) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// Map tiles rarely change, so any tile seen before is served from the cache.
+// Tiles are cross-origin images, which arrive as opaque (status 0) responses.
+// The worker only sees the build's tileUrl, not one chosen at runtime (see services/config.js),
+// so any image with a {z}/{x}/{y} path counts as a tile too.
+const tilePatterns = BASEMAPS.map(basemap => tileUrlPattern(
+  basemap.id === DEFAULT_BASEMAP ? getConfig().tileUrl : basemap.url
+));
+const tilePath = /\/\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp)$/;
+registerRoute(
+  ({ request, url }) => tilePatterns.some(pattern => pattern.test(url.href)) ||
+    (request.destination === 'image' && tilePath.test(url.pathname)),
+  new CacheFirst({
+    cacheName: 'map-tiles',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      // Enough for a few areas at the usual zooms without crowding the API caches out of the quota
+      new ExpirationPlugin({ maxEntries: 300, maxAgeSeconds: 30 * 24 * 60 * 60, purgeOnQuotaError: true })
+    ]
+  })
+);
+
+// Lets a waiting worker take over straight away when the page asks it to
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
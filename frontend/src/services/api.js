@@ -1,23 +1,276 @@
 import axios from 'axios';
+import { getCachedReadings, readEntry, writeEntry, isNetworkError, RESPONSES_STORE } from './readingsCache';
+import { splitDateWindows, formatDay, ARCHIVE_PAGE_SIZE } from '../utils/archive';
+import { STATION_PAGE_SIZE, tileQuery, stationsInTile, parentTiles } from '../utils/stationTiles';
+import { READINGS_PAGE_SIZE } from '../utils/stationStatus';
+import { STATION_INDEX_PAGE_SIZE } from '../utils/stationFilters';
+import { getConfig } from './config';
 
-const API_URL = 'http://localhost:5000/api';
+// Read on every request so a change of profile applies without a rebuild
+const apiUrl = () => getConfig().apiUrl;
+
+// Concurrent identical requests share one in-flight promise
+const inFlightRequests = new Map();
+
+const requestKey = (url, params) =>
+  `${url}?${Object.keys(params).sort().map(name => `${name}=${params[name]}`).join('&')}`;
+
+const dedupe = (key, request) => {
+  if (!inFlightRequests.has(key)) {
+    const promise = request().finally(() => inFlightRequests.delete(key));
+    inFlightRequests.set(key, promise);
+  }
+  return inFlightRequests.get(key);
+};
+
+const fetchData = (url, params = {}) =>
+  dedupe(requestKey(url, params), async () => {
+    const response = await axios.get(url, { params });
+    return response.data;
+  });
+
+// Keeps the last good response so the request still returns data offline, marked
+// with `offline: true` and the `fetchedAt` time of the saved copy
+const withOfflineFallback = async (url, params = {}) => {
+  const key = requestKey(url, params);
+  try {
+    const data = await fetchData(url, params);
+    writeEntry({ key, data, fetchedAt: new Date().toISOString() }, RESPONSES_STORE)
+      .catch(err => console.error('Failed to save response for offline use:', err));
+    return data;
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+    const saved = await readEntry(key, RESPONSES_STORE);
+    if (!saved) throw error;
+    return { ...saved.data, offline: true, fetchedAt: saved.fetchedAt };
+  }
+};
 
 export const getStations = async (params = {}) => {
   try {
-    const response = await axios.get(`${API_URL}/stations`, { params });
-    return response.data;
+    return await withOfflineFallback(`${apiUrl()}/stations`, params);
   } catch (error) {
     console.error('Error fetching stations:', error);
     throw error;
   }
 };
 
+// Every station matching `params`, page by page with `_offset`. `offlineAsOf` is the
+// oldest saved copy used in place of a live page, if any.
+const fetchStationPages = async (params, pageSize) => {
+  const items = [];
+  let offlineAsOf = null;
+  let offset = 0;
+  let page;
+  do {
+    page = await withOfflineFallback(`${apiUrl()}/stations`, {
+      ...params,
+      _limit: pageSize,
+      ...(offset > 0 ? { _offset: offset } : {})
+    });
+    items.push(...(page.items || []));
+    if (page.offline && (!offlineAsOf || page.fetchedAt < offlineAsOf)) {
+      offlineAsOf = page.fetchedAt;
+    }
+    offset += pageSize;
+  } while ((page.items || []).length === pageSize);
+  return { items, offlineAsOf };
+};
+
+// Loaded station tiles, keyed by tile and filter params. Kept for the session, except
+// tiles answered from saved copies, which are fetched again once back online.
+const stationTiles = new Map();
+
+const tileCacheKey = (tile, params) => requestKey(`tile:${tile.key}`, params);
+
+// Stations within one map tile (see utils/stationTiles), paging through the EA results
+// for the circle around it. A loaded larger tile containing this one is used instead.
+export const getStationsInTile = async (tile, params = {}) => {
+  const key = tileCacheKey(tile, params);
+  if (stationTiles.has(key)) return stationTiles.get(key);
+
+  const parent = parentTiles(tile).find(candidate => stationTiles.has(tileCacheKey(candidate, params)));
+  if (parent) {
+    const result = { items: stationsInTile(stationTiles.get(tileCacheKey(parent, params)).items, tile) };
+    stationTiles.set(key, result);
+    return result;
+  }
+
+  try {
+    return await dedupe(key, async () => {
+      const { items, offlineAsOf } = await fetchStationPages({ ...params, ...tileQuery(tile) }, STATION_PAGE_SIZE);
+      const inTile = stationsInTile(items, tile);
+      if (offlineAsOf) return { items: inTile, offline: true, fetchedAt: offlineAsOf };
+      const result = { items: inTile };
+      stationTiles.set(key, result);
+      return result;
+    });
+  } catch (error) {
+    console.error('Error fetching stations for map tile:', error);
+    throw error;
+  }
+};
+
+// Station lists for free-text search, keyed by filter params and cached like the tiles
+const stationIndexes = new Map();
+
+// Every station matching the facet filters, wherever it is, so search isn't limited to
+// the tiles loaded for the current view
+export const getStationIndex = async (params = {}) => {
+  const key = requestKey('index', params);
+  if (stationIndexes.has(key)) return stationIndexes.get(key);
+
+  try {
+    return await dedupe(key, async () => {
+      const { items, offlineAsOf } = await fetchStationPages(params, STATION_INDEX_PAGE_SIZE);
+      if (offlineAsOf) return { items, offline: true, fetchedAt: offlineAsOf };
+      const result = { items };
+      stationIndexes.set(key, result);
+      return result;
+    });
+  } catch (error) {
+    console.error('Error fetching station index:', error);
+    throw error;
+  }
+};
+
+export const getStation = async (stationId) => {
+  try {
+    return await withOfflineFallback(`${apiUrl()}/stations/${stationId}`);
+  } catch (error) {
+    console.error('Error fetching station:', error);
+    throw error;
+  }
+};
+
 export const getStationReadings = async (stationId, params = {}) => {
   try {
-    const response = await axios.get(`${API_URL}/stations/${stationId}/readings`, { params });
-    return response.data;
+    const url = `${apiUrl()}/stations/${stationId}/readings`;
+    // Readings are served from the local cache where possible, fetching only the missing interval
+    return await dedupe(requestKey(`cache:${url}`, params), () =>
+      getCachedReadings(`station:${stationId}`, params, requestParams => fetchData(url, requestParams))
+    );
   } catch (error) {
     console.error('Error fetching station readings:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+// Past readings never change, so a saved page is used as is
+const fetchArchivePage = async (url, params, settled) => {
+  if (settled) {
+    const saved = await readEntry(requestKey(url, params), RESPONSES_STORE);
+    if (saved) return saved.data;
+  }
+  return withOfflineFallback(url, params);
+};
+
+// Rejects with an AbortError once `signal` (an AbortSignal) has been aborted
+const checkAborted = (signal) => {
+  if (signal && signal.aborted) {
+    throw Object.assign(new Error('Request aborted'), { name: 'AbortError' });
+  }
+};
+
+// Readings between two dates, however long the span: fetched a date window at a time,
+// and page by page with `_offset` when a window holds more than one page.
+// `onProgress(done, total)` is called after each date window. Aborting `signal` stops
+// before the next page.
+export const getArchivedReadings = async (stationId, { start, end }, onProgress = () => {}, signal = null) => {
+  try {
+    const url = `${apiUrl()}/stations/${stationId}/readings`;
+    const today = formatDay(new Date());
+    const windows = splitDateWindows(start, end);
+    const items = [];
+    // Oldest saved copy used in place of a live page, if any
+    let offlineAsOf = null;
+
+    for (const [index, dateWindow] of windows.entries()) {
+      const settled = formatDay(dateWindow.end) < today;
+      let offset = 0;
+      let page;
+      do {
+        const params = {
+          startdate: formatDay(dateWindow.start),
+          enddate: formatDay(dateWindow.end),
+          _limit: ARCHIVE_PAGE_SIZE,
+          ...(offset > 0 ? { _offset: offset } : {})
+        };
+        checkAborted(signal);
+        page = await fetchArchivePage(url, params, settled);
+        items.push(...(page.items || []));
+        if (page.offline && (!offlineAsOf || page.fetchedAt < offlineAsOf)) {
+          offlineAsOf = page.fetchedAt;
+        }
+        offset += ARCHIVE_PAGE_SIZE;
+      } while ((page.items || []).length === ARCHIVE_PAGE_SIZE);
+      onProgress(index + 1, windows.length);
+    }
+
+    return offlineAsOf ? { items, offline: true, fetchedAt: offlineAsOf } : { items };
+  } catch (error) {
+    if (error.name !== 'AbortError') console.error('Error fetching archived readings:', error);
+    throw error;
+  }
+};
+
+export const getLatestReadings = async (params = {}) => {
+  try {
+    return await fetchData(`${apiUrl()}/readings`, params);
+  } catch (error) {
+    console.error('Error fetching latest readings:', error);
+    throw error;
+  }
+};
+
+// Readings across stations for queries with more rows than one response holds
+// (e.g. every level reading since a time), paged with `_offset`
+export const getAllReadings = async (params = {}) => {
+  try {
+    const items = [];
+    let offset = 0;
+    let page;
+    do {
+      page = await fetchData(`${apiUrl()}/readings`, {
+        ...params,
+        _limit: READINGS_PAGE_SIZE,
+        ...(offset > 0 ? { _offset: offset } : {})
+      });
+      items.push(...(page.items || []));
+      offset += READINGS_PAGE_SIZE;
+    } while ((page.items || []).length === READINGS_PAGE_SIZE);
+    return { items };
+  } catch (error) {
+    console.error('Error fetching readings:', error);
+    throw error;
+  }
+};
+
+export const getFloodWarnings = async (params = {}) => {
+  try {
+    return await withOfflineFallback(`${apiUrl()}/floods`, params);
+  } catch (error) {
+    console.error('Error fetching flood warnings:', error);
+    throw error;
+  }
+};
+
+// GeoJSON boundary of a flood warning area
+export const getFloodAreaPolygon = async (areaId) => {
+  try {
+    return await withOfflineFallback(`${apiUrl()}/floods/areas/${encodeURIComponent(areaId)}/polygon`);
+  } catch (error) {
+    console.error('Error fetching flood area polygon:', error);
+    throw error;
+  }
+};
+
+// Static GeoJSON overlay such as the local river network, saved for offline use like the API responses
+export const getGeoJsonLayer = async (url) => {
+  try {
+    return await withOfflineFallback(url);
+  } catch (error) {
+    console.error('Error fetching map overlay:', error);
+    throw error;
+  }
+};
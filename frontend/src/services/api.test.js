@@ -0,0 +1,173 @@
+import axios from 'axios';
+import {
+  getAllReadings,
+  getArchivedReadings,
+  getFloodWarnings,
+  getStationIndex,
+  getStations,
+  getStationsInTile
+} from './api';
+import { ARCHIVE_PAGE_SIZE } from '../utils/archive';
+import { STATION_PAGE_SIZE, createTile } from '../utils/stationTiles';
+import { READINGS_PAGE_SIZE } from '../utils/stationStatus';
+import { STATION_INDEX_PAGE_SIZE } from '../utils/stationFilters';
+import floodsFixture from './__fixtures__/floods.json';
+
+// Axios rejects with this when the request never reaches the server
+const networkError = () => Object.assign(new Error('Network Error'), { isAxiosError: true });
+
+jest.mock('axios', () => ({
+  get: jest.fn(),
+}));
+
+afterEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('getFloodWarnings', () => {
+  test('requests the floods endpoint and returns the recorded payload', async () => {
+    axios.get.mockResolvedValue({ data: floodsFixture });
+
+    const data = await getFloodWarnings({ 'min-severity': 3 });
+
+    expect(axios.get).toHaveBeenCalledWith(
+      expect.stringMatching(/\/api\/floods$/),
+      { params: { 'min-severity': 3 } }
+    );
+    expect(data.items).toHaveLength(5);
+    expect(data.items[0].floodAreaID).toBe('122WAC953');
+  });
+
+  test('rethrows request errors', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    axios.get.mockRejectedValue(networkError());
+
+    await expect(getFloodWarnings()).rejects.toThrow('Network Error');
+  });
+});
+
+test('concurrent identical requests share one network call', async () => {
+  axios.get.mockResolvedValue({ data: { items: [] } });
+
+  const [first, second] = await Promise.all([
+    getStations({ _limit: 1000 }),
+    getStations({ _limit: 1000 }),
+  ]);
+
+  expect(axios.get).toHaveBeenCalledTimes(1);
+  expect(first).toBe(second);
+});
+
+test('falls back to the last saved station list when offline', async () => {
+  axios.get.mockResolvedValueOnce({ data: { items: [{ stationReference: '690510' }] } });
+  await getStations({ _view: 'full' });
+
+  axios.get.mockRejectedValueOnce(networkError());
+  const offline = await getStations({ _view: 'full' });
+
+  expect(offline.offline).toBe(true);
+  expect(offline.items).toEqual([{ stationReference: '690510' }]);
+  expect(offline.fetchedAt).toEqual(expect.any(String));
+});
+
+test('pages archived readings by date window and offset', async () => {
+  const fullPage = Array.from({ length: ARCHIVE_PAGE_SIZE }, (_, index) => ({ value: index }));
+  axios.get
+    .mockResolvedValueOnce({ data: { items: fullPage } })
+    .mockResolvedValueOnce({ data: { items: [{ value: -1 }] } })
+    .mockResolvedValueOnce({ data: { items: [{ value: -2 }] } });
+  const onProgress = jest.fn();
+
+  const data = await getArchivedReadings(
+    '690510',
+    { start: new Date(2020, 0, 1), end: new Date(2020, 0, 20) },
+    onProgress
+  );
+
+  const requested = axios.get.mock.calls.map(([, { params }]) => params);
+  expect(requested).toEqual([
+    { startdate: '2020-01-01', enddate: '2020-01-14', _limit: ARCHIVE_PAGE_SIZE },
+    { startdate: '2020-01-01', enddate: '2020-01-14', _limit: ARCHIVE_PAGE_SIZE, _offset: ARCHIVE_PAGE_SIZE },
+    { startdate: '2020-01-15', enddate: '2020-01-20', _limit: ARCHIVE_PAGE_SIZE }
+  ]);
+  expect(data.items).toHaveLength(ARCHIVE_PAGE_SIZE + 2);
+  expect(onProgress).toHaveBeenLastCalledWith(2, 2);
+});
+
+test('stops paging archived readings once aborted', async () => {
+  const fullPage = Array.from({ length: ARCHIVE_PAGE_SIZE }, (_, index) => ({ value: index }));
+  const controller = new AbortController();
+  axios.get.mockImplementationOnce(async () => {
+    controller.abort();
+    return { data: { items: fullPage } };
+  });
+
+  await expect(getArchivedReadings(
+    '690510',
+    // Dates no other test has saved pages for
+    { start: new Date(2019, 0, 1), end: new Date(2019, 0, 20) },
+    () => {},
+    controller.signal
+  )).rejects.toMatchObject({ name: 'AbortError' });
+  expect(axios.get).toHaveBeenCalledTimes(1);
+});
+
+test('pages stations for a map tile and reuses the tile for the tiles inside it', async () => {
+  const fullPage = Array.from({ length: STATION_PAGE_SIZE }, (_, index) => ({
+    stationReference: `far-${index}`,
+    lat: 51.2,
+    long: -1.5
+  }));
+  const inside = { stationReference: '690510', lat: 52.2, long: -1.8 };
+  axios.get
+    .mockResolvedValueOnce({ data: { items: fullPage } })
+    .mockResolvedValueOnce({ data: { items: [inside] } });
+
+  const data = await getStationsInTile(createTile(1, 52, -2), { _view: 'full' });
+
+  const requested = axios.get.mock.calls.map(([, { params }]) => params);
+  expect(requested).toEqual([
+    { _view: 'full', lat: 52.5, long: -1.5, dist: expect.any(Number), _limit: STATION_PAGE_SIZE },
+    { _view: 'full', lat: 52.5, long: -1.5, dist: expect.any(Number), _limit: STATION_PAGE_SIZE, _offset: STATION_PAGE_SIZE }
+  ]);
+  // Stations from the edge of the circle outside the tile are dropped
+  expect(data.items).toEqual([inside]);
+
+  const finer = await getStationsInTile(createTile(0.5, 104, -4), { _view: 'full' });
+  expect(axios.get).toHaveBeenCalledTimes(2);
+  expect(finer.items).toEqual([inside]);
+});
+
+test('pages readings across stations until a short page', async () => {
+  const fullPage = Array.from({ length: READINGS_PAGE_SIZE }, (_, index) => ({ value: index }));
+  axios.get
+    .mockResolvedValueOnce({ data: { items: fullPage } })
+    .mockResolvedValueOnce({ data: { items: [{ value: -1 }] } });
+
+  const data = await getAllReadings({ parameter: 'level', since: '2025-02-14T08:00:00Z' });
+
+  const requested = axios.get.mock.calls.map(([, { params }]) => params);
+  expect(requested).toEqual([
+    { parameter: 'level', since: '2025-02-14T08:00:00Z', _limit: READINGS_PAGE_SIZE },
+    { parameter: 'level', since: '2025-02-14T08:00:00Z', _limit: READINGS_PAGE_SIZE, _offset: READINGS_PAGE_SIZE }
+  ]);
+  expect(data.items).toHaveLength(READINGS_PAGE_SIZE + 1);
+});
+
+test('pages the station index once per set of filters', async () => {
+  const fullPage = Array.from({ length: STATION_INDEX_PAGE_SIZE }, (_, index) => ({ stationReference: `s-${index}` }));
+  axios.get
+    .mockResolvedValueOnce({ data: { items: fullPage } })
+    .mockResolvedValueOnce({ data: { items: [{ stationReference: '690510' }] } });
+
+  const data = await getStationIndex({ parameter: 'level' });
+  const again = await getStationIndex({ parameter: 'level' });
+
+  const requested = axios.get.mock.calls.map(([, { params }]) => params);
+  expect(requested).toEqual([
+    { parameter: 'level', _limit: STATION_INDEX_PAGE_SIZE },
+    { parameter: 'level', _limit: STATION_INDEX_PAGE_SIZE, _offset: STATION_INDEX_PAGE_SIZE }
+  ]);
+  expect(data.items).toHaveLength(STATION_INDEX_PAGE_SIZE + 1);
+  expect(again).toBe(data);
+});
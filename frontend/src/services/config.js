@@ -0,0 +1,191 @@
+// Runtime configuration. Values start from the build-time REACT_APP_* variables, are
+// overridden by /config.json fetched at start-up (shared settings plus named profiles such
+// as production, staging or a local mock), then by the profile and overrides chosen on the
+// settings screen, which are kept in localStorage.
+import axios from 'axios';
+import { BASEMAPS, DEFAULT_BASEMAP } from '../utils/mapLayers';
+
+export const SETTINGS_STORAGE_KEY = 'floodMonitor.settings';
+// Last config.json seen, so the app still starts with it offline
+export const CONFIG_FILE_STORAGE_KEY = 'floodMonitor.configFile';
+
+const CONFIG_FILE_URL = `${process.env.PUBLIC_URL || ''}/config.json`;
+const CONFIG_FILE_TIMEOUT = 5000;
+
+const MINUTE = 60 * 1000;
+
+const parseNumber = (value) => {
+  const number = Number(value);
+  return value === undefined || value === '' || Number.isNaN(number) ? undefined : number;
+};
+
+// "lat,long" as used by REACT_APP_MAP_CENTER
+const parseCenter = (value) => {
+  const parts = (value || '').split(',').map(Number);
+  return parts.length === 2 && !parts.some(Number.isNaN) ? parts : undefined;
+};
+
+// Settings that can be configured, with how to check a value for each
+export const CONFIG_FIELDS = [
+  { name: 'apiUrl', label: 'API base URL', type: 'url' },
+  { name: 'tileUrl', label: 'Map tile URL', type: 'url' },
+  { name: 'mapCenter', label: 'Default map centre (lat, long)', type: 'center' },
+  { name: 'mapZoom', label: 'Default map zoom', type: 'zoom' },
+  { name: 'readingsRefreshInterval', label: 'Readings refresh (ms)', type: 'interval' },
+  { name: 'warningsRefreshInterval', label: 'Flood warnings refresh (ms)', type: 'interval' },
+  { name: 'watchPollInterval', label: 'Watched stations check (ms)', type: 'interval' }
+];
+
+const withoutUndefined = (values) =>
+  Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+
+export const BUILD_DEFAULTS = {
+  apiUrl: 'http://localhost:5000/api',
+  tileUrl: BASEMAPS.find(basemap => basemap.id === DEFAULT_BASEMAP).url,
+  mapCenter: [52.4862, -1.8904],
+  mapZoom: 7,
+  readingsRefreshInterval: 5 * MINUTE,
+  warningsRefreshInterval: 5 * MINUTE,
+  watchPollInterval: 5 * MINUTE,
+  ...withoutUndefined({
+    apiUrl: process.env.REACT_APP_API_URL || undefined,
+    tileUrl: process.env.REACT_APP_TILE_URL || undefined,
+    mapCenter: parseCenter(process.env.REACT_APP_MAP_CENTER),
+    mapZoom: parseNumber(process.env.REACT_APP_MAP_ZOOM),
+    readingsRefreshInterval: parseNumber(process.env.REACT_APP_READINGS_REFRESH_MS),
+    warningsRefreshInterval: parseNumber(process.env.REACT_APP_WARNINGS_REFRESH_MS),
+    watchPollInterval: parseNumber(process.env.REACT_APP_WATCH_POLL_MS)
+  })
+};
+
+// The build's own settings, available even without a config.json
+export const DEFAULT_PROFILE = 'default';
+
+const BUILT_IN_PROFILES = {
+  [DEFAULT_PROFILE]: { label: 'Build defaults' }
+};
+
+const isValid = (type, value) => {
+  switch (type) {
+    case 'url':
+      return typeof value === 'string' && value.trim() !== '';
+    case 'center':
+      return Array.isArray(value) && value.length === 2 &&
+        value.every(part => typeof part === 'number' && Number.isFinite(part));
+    case 'zoom':
+      return Number.isInteger(value) && value >= 0 && value <= 19;
+    case 'interval':
+      // Anything under ten seconds would hammer the EA for no new data
+      return typeof value === 'number' && value >= 10 * 1000;
+    default:
+      return false;
+  }
+};
+
+// Only the known settings with usable values; anything else is dropped
+export const sanitizeConfig = (values) => {
+  if (!values || typeof values !== 'object') return {};
+  return Object.fromEntries(CONFIG_FIELDS
+    .filter(field => isValid(field.type, values[field.name]))
+    .map(field => [field.name, field.type === 'url' ? values[field.name].trim() : values[field.name]]));
+};
+
+// Settings screen text for a value, and the value for some text (undefined when unusable)
+export const formatFieldValue = (field, value) => {
+  if (value === undefined || value === null) return '';
+  return field.type === 'center' ? value.join(', ') : String(value);
+};
+
+export const parseFieldValue = (field, text) => {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return undefined;
+  const value = field.type === 'url' ? trimmed :
+    field.type === 'center' ? parseCenter(trimmed.replace(/\s/g, '')) :
+      parseNumber(trimmed);
+  return isValid(field.type, value) ? value : undefined;
+};
+
+// Profiles from the built-ins and config.json, as { name: { label, ...settings } }
+export const listProfiles = (configFile = {}) => {
+  const fileProfiles = configFile && typeof configFile.profiles === 'object' ? configFile.profiles : {};
+  return Object.fromEntries(Object.entries({ ...BUILT_IN_PROFILES, ...fileProfiles })
+    .filter(([, profile]) => profile && typeof profile === 'object')
+    .map(([name, profile]) => [name, { label: profile.label || name, ...sanitizeConfig(profile) }]));
+};
+
+// Settings in effect: build defaults < config.json < profile < the user's overrides
+export const resolveConfig = (configFile = {}, settings = {}) => {
+  const profiles = listProfiles(configFile);
+  // A saved profile that config.json no longer lists falls back to the file's default
+  const profile = [settings.profile, configFile && configFile.defaultProfile]
+    .find(name => name && profiles[name]) || DEFAULT_PROFILE;
+  const { label, ...profileValues } = profiles[profile];
+
+  return {
+    ...BUILD_DEFAULTS,
+    ...sanitizeConfig(configFile),
+    ...profileValues,
+    ...sanitizeConfig(settings.overrides),
+    profile
+  };
+};
+
+const readJson = (storage, key) => {
+  try {
+    return JSON.parse(storage.getItem(key)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+export const loadSettings = (storage = window.localStorage) => {
+  const saved = readJson(storage, SETTINGS_STORAGE_KEY);
+  return {
+    profile: typeof saved.profile === 'string' ? saved.profile : null,
+    overrides: sanitizeConfig(saved.overrides)
+  };
+};
+
+export const saveSettings = (settings, storage = window.localStorage) => {
+  try {
+    storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({
+      profile: settings.profile || null,
+      overrides: sanitizeConfig(settings.overrides)
+    }));
+  } catch (err) {
+    console.error('Failed to save settings:', err);
+  }
+};
+
+let configFile = {};
+let current = resolveConfig();
+
+// Settings in effect; read when used so nothing caches a stale value
+export const getConfig = () => current;
+
+export const getProfiles = () => listProfiles(configFile);
+
+// What a profile's settings would be, before the user's overrides
+export const previewProfile = (profile) => resolveConfig(configFile, { profile });
+
+// Fetches config.json and applies the saved settings. A missing or unreachable file
+// isn't an error: the last copy seen (or the build defaults) is used instead.
+export const loadRuntimeConfig = async (storage = window.localStorage) => {
+  try {
+    const response = await axios.get(CONFIG_FILE_URL, {
+      timeout: CONFIG_FILE_TIMEOUT,
+      headers: { 'Cache-Control': 'no-cache' }
+    });
+    configFile = response.data && typeof response.data === 'object' ? response.data : {};
+    try {
+      storage.setItem(CONFIG_FILE_STORAGE_KEY, JSON.stringify(configFile));
+    } catch (err) {
+      console.error('Failed to save config.json for offline use:', err);
+    }
+  } catch (error) {
+    configFile = readJson(storage, CONFIG_FILE_STORAGE_KEY);
+  }
+
+  current = resolveConfig(configFile, loadSettings(storage));
+  return current;
+};
@@ -0,0 +1,109 @@
+import axios from 'axios';
+import {
+  BUILD_DEFAULTS,
+  CONFIG_FIELDS,
+  SETTINGS_STORAGE_KEY,
+  CONFIG_FILE_STORAGE_KEY,
+  sanitizeConfig,
+  resolveConfig,
+  listProfiles,
+  loadSettings,
+  saveSettings,
+  parseFieldValue,
+  loadRuntimeConfig,
+  getConfig
+} from './config';
+
+jest.mock('axios', () => ({
+  get: jest.fn(),
+}));
+
+const memoryStorage = (initial = {}) => {
+  const values = { ...initial };
+  return {
+    getItem: key => (key in values ? values[key] : null),
+    setItem: (key, value) => {
+      values[key] = String(value);
+    },
+  };
+};
+
+const configFile = {
+  warningsRefreshInterval: 120000,
+  defaultProfile: 'production',
+  profiles: {
+    production: { label: 'Production', apiUrl: 'https://flood.example.org/api' },
+    mock: { label: 'Local mock', apiUrl: 'http://localhost:5001/api', mapZoom: 9 }
+  }
+};
+
+const field = (name) => CONFIG_FIELDS.find(item => item.name === name);
+
+afterEach(() => {
+  jest.resetAllMocks();
+});
+
+test('sanitizeConfig keeps only known settings with usable values', () => {
+  expect(sanitizeConfig({
+    apiUrl: ' https://flood.example.org/api ',
+    mapCenter: [53.8, 'north'],
+    mapZoom: 8,
+    watchPollInterval: 500,
+    unknown: true
+  })).toEqual({ apiUrl: 'https://flood.example.org/api', mapZoom: 8 });
+});
+
+test('resolveConfig layers build defaults, config.json, the profile and overrides', () => {
+  const config = resolveConfig(configFile, { profile: 'mock', overrides: { mapZoom: 11 } });
+
+  expect(config).toEqual({
+    ...BUILD_DEFAULTS,
+    warningsRefreshInterval: 120000,
+    apiUrl: 'http://localhost:5001/api',
+    mapZoom: 11,
+    profile: 'mock'
+  });
+});
+
+test('resolveConfig falls back to the file default, then the build defaults', () => {
+  expect(resolveConfig(configFile, {}).apiUrl).toBe('https://flood.example.org/api');
+  expect(resolveConfig(configFile, { profile: 'retired' }).profile).toBe('production');
+  expect(resolveConfig({}, { profile: 'staging' })).toEqual({ ...BUILD_DEFAULTS, profile: 'default' });
+});
+
+test('listProfiles includes the build defaults alongside the file profiles', () => {
+  expect(Object.keys(listProfiles(configFile))).toEqual(['default', 'production', 'mock']);
+  expect(listProfiles(configFile).mock.label).toBe('Local mock');
+});
+
+test('settings survive a save and load', () => {
+  const storage = memoryStorage();
+  saveSettings({ profile: 'mock', overrides: { mapCenter: [53.8, -1.55], apiUrl: '' } }, storage);
+
+  expect(loadSettings(storage)).toEqual({ profile: 'mock', overrides: { mapCenter: [53.8, -1.55] } });
+  expect(loadSettings(memoryStorage({ [SETTINGS_STORAGE_KEY]: 'not json' }))).toEqual({
+    profile: null,
+    overrides: {}
+  });
+});
+
+test('parseFieldValue reads settings screen text', () => {
+  expect(parseFieldValue(field('mapCenter'), '53.8, -1.55')).toEqual([53.8, -1.55]);
+  expect(parseFieldValue(field('mapZoom'), '9')).toBe(9);
+  expect(parseFieldValue(field('mapZoom'), 'far')).toBeUndefined();
+  expect(parseFieldValue(field('readingsRefreshInterval'), '1000')).toBeUndefined();
+  expect(parseFieldValue(field('apiUrl'), '  ')).toBeUndefined();
+});
+
+test('loadRuntimeConfig uses the last saved config.json when it cannot be fetched', async () => {
+  const storage = memoryStorage({ [SETTINGS_STORAGE_KEY]: JSON.stringify({ profile: 'mock' }) });
+  axios.get.mockResolvedValueOnce({ data: configFile });
+  await loadRuntimeConfig(storage);
+  expect(getConfig().apiUrl).toBe('http://localhost:5001/api');
+  expect(JSON.parse(storage.getItem(CONFIG_FILE_STORAGE_KEY))).toEqual(configFile);
+
+  axios.get.mockRejectedValueOnce(new Error('Network Error'));
+  const config = await loadRuntimeConfig(storage);
+  expect(config.apiUrl).toBe('http://localhost:5001/api');
+  expect(config.warningsRefreshInterval).toBe(120000);
+});
@@ -0,0 +1,263 @@
+// Persistent cache of station readings. Each station keeps one entry covering the
+// window [start, end], with its readings partitioned by measure; later requests only
+// fetch readings newer than `end` via the `since` parameter and merge them in. Falls
+// back to memory when IndexedDB is missing. When the network is unreachable the cached
+// readings are served, marked `offline`. Entries are trimmed to the longest range the
+// chart asks for, and stations not viewed for a while are evicted.
+
+const DB_NAME = 'flood-monitoring';
+// Version 3 partitions readings by measure; older entries are dropped on upgrade
+const DB_VERSION = 3;
+const STORE_NAME = 'readings';
+// Last good response of other requests (station list, warnings), for offline use
+export const RESPONSES_STORE = 'responses';
+const STORE_NAMES = [STORE_NAME, RESPONSES_STORE];
+// Readings entries by when they were last used, for eviction
+const USED_AT_INDEX = 'usedAt';
+
+// Only plain `since` window requests can be served from the cache
+const CACHEABLE_PARAMS = ['since', '_limit', '_sorted'];
+
+const DAY = 24 * 60 * 60 * 1000;
+// The longest preset range ReadingsChart requests with `since` ("Last Month")
+export const MAX_CACHED_RANGE = 31 * DAY;
+// Stations not viewed for this long are evicted, and only the most recently viewed are kept
+export const MAX_ENTRY_AGE = 14 * DAY;
+export const MAX_CACHED_STATIONS = 50;
+
+const memoryStores = new Map(STORE_NAMES.map(name => [name, new Map()]));
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  if (!databasePromise) {
+    databasePromise = new Promise(resolve => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        STORE_NAMES
+          .filter(name => !request.result.objectStoreNames.contains(name))
+          .forEach(name => request.result.createObjectStore(name, { keyPath: 'key' }));
+        const readings = request.transaction.objectStore(STORE_NAME);
+        if (event.oldVersion < 3) {
+          readings.clear();
+          readings.createIndex(USED_AT_INDEX, 'usedAt');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        // Private browsing and some embedded browsers block IndexedDB
+        console.error('IndexedDB unavailable, caching readings in memory:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return databasePromise;
+};
+
+const runTransaction = (db, storeName, mode, operation) =>
+  new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+
+export const readEntry = async (key, storeName = STORE_NAME) => {
+  const db = await openDatabase();
+  if (!db) return memoryStores.get(storeName).get(key) || null;
+  return (await runTransaction(db, storeName, 'readonly', store => store.get(key))) || null;
+};
+
+export const writeEntry = async (entry, storeName = STORE_NAME) => {
+  const db = await openDatabase();
+  if (!db) {
+    memoryStores.get(storeName).set(entry.key, entry);
+    return;
+  }
+  await runTransaction(db, storeName, 'readwrite', store => store.put(entry));
+};
+
+// Keys of readings entries, least recently used first, and those last used before `cutoff`
+const listEntryKeysByUse = async (cutoff) => {
+  const db = await openDatabase();
+  if (!db) {
+    const entries = [...memoryStores.get(STORE_NAME).values()]
+      .sort((a, b) => a.usedAt.localeCompare(b.usedAt));
+    return {
+      keys: entries.map(entry => entry.key),
+      staleKeys: entries.filter(entry => entry.usedAt < cutoff).map(entry => entry.key)
+    };
+  }
+  // Read through the index so the readings themselves aren't loaded
+  const [keys, staleKeys] = await Promise.all([
+    runTransaction(db, STORE_NAME, 'readonly', store => store.index(USED_AT_INDEX).getAllKeys()),
+    runTransaction(db, STORE_NAME, 'readonly', store =>
+      store.index(USED_AT_INDEX).getAllKeys(IDBKeyRange.upperBound(cutoff, true)))
+  ]);
+  return { keys, staleKeys };
+};
+
+const deleteEntries = async (keys) => {
+  if (keys.length === 0) return;
+  const db = await openDatabase();
+  if (!db) {
+    keys.forEach(key => memoryStores.get(STORE_NAME).delete(key));
+    return;
+  }
+  await runTransaction(db, STORE_NAME, 'readwrite', store => keys.map(key => store.delete(key)).pop());
+};
+
+// Evicts readings entries unused for MAX_ENTRY_AGE, then all but the MAX_CACHED_STATIONS
+// most recently used, so the store doesn't grow without bound on field laptops
+export const pruneReadingsCache = async (now = Date.now()) => {
+  const { keys, staleKeys } = await listEntryKeysByUse(new Date(now - MAX_ENTRY_AGE).toISOString());
+  const overflow = keys.slice(0, Math.max(0, keys.length - MAX_CACHED_STATIONS));
+  await deleteEntries([...new Set([...staleKeys, ...overflow])]);
+};
+
+export const clearReadingsCache = async () => {
+  memoryStores.forEach(store => store.clear());
+  const db = await openDatabase();
+  if (db) {
+    await Promise.all(STORE_NAMES.map(name => runTransaction(db, name, 'readwrite', store => store.clear())));
+  }
+};
+
+// Axios errors without a response mean the request never reached the server. Anything else,
+// such as a cancelled request or a bug in the response handling, is not a reason to go offline.
+export const isNetworkError = (error) =>
+  Boolean(error && error.isAxiosError) && !error.response && error.code !== 'ERR_CANCELED';
+
+const measureOf = (reading) => (reading.measure && typeof reading.measure === 'object' ?
+  reading.measure['@id'] : reading.measure);
+
+const readingKey = (reading) => `${measureOf(reading)}|${reading.dateTime}`;
+
+// Union of two reading lists, de-duplicated by measure and timestamp, newest first
+export const mergeReadings = (existing, incoming) => {
+  const merged = new Map();
+  [...existing, ...incoming].forEach(reading => merged.set(readingKey(reading), reading));
+  return [...merged.values()].sort((a, b) => new Date(b.dateTime) - new Date(a.dateTime));
+};
+
+// Readings grouped by measure ID, each list newest first
+export const partitionByMeasure = (readings) => {
+  const measures = {};
+  readings.forEach(reading => {
+    const measure = measureOf(reading);
+    measures[measure] = measures[measure] || [];
+    measures[measure].push(reading);
+  });
+  Object.keys(measures).forEach(measure => {
+    measures[measure] = mergeReadings([], measures[measure]);
+  });
+  return measures;
+};
+
+const mergeMeasures = (existing, incoming) => {
+  const merged = { ...existing };
+  Object.entries(partitionByMeasure(incoming)).forEach(([measure, readings]) => {
+    merged[measure] = mergeReadings(existing[measure] || [], readings);
+  });
+  return merged;
+};
+
+// All of an entry's readings as one list, newest first
+const entryReadings = (entry) =>
+  mergeReadings([], Object.values(entry.measures).flat());
+
+// Drops readings older than the longest range the chart asks for, and measures left empty
+export const trimEntry = (entry, now = Date.now()) => {
+  const cutoff = new Date(now - MAX_CACHED_RANGE).toISOString();
+  const measures = {};
+  Object.entries(entry.measures).forEach(([measure, readings]) => {
+    const kept = readings.filter(reading => new Date(reading.dateTime).toISOString() >= cutoff);
+    if (kept.length > 0) measures[measure] = kept;
+  });
+  return { ...entry, start: entry.start < cutoff ? cutoff : entry.start, measures };
+};
+
+export const isCacheable = (params) =>
+  Boolean(params.since) && Object.keys(params).every(name => CACHEABLE_PARAMS.includes(name));
+
+// Time span actually covered by a response. A response that hit `_limit` only holds
+// the newest readings, so its coverage starts at the oldest reading it returned.
+const coveredStart = (since, items, limit) => {
+  if (!limit || items.length < limit || items.length === 0) return since;
+  const oldest = items.reduce((min, reading) => Math.min(min, new Date(reading.dateTime).getTime()), Infinity);
+  return new Date(oldest).toISOString();
+};
+
+// Fetches whatever the cached entry is missing and returns the updated entry
+const fetchEntry = async (key, params, cached, fetcher) => {
+  const since = new Date(params.since).toISOString();
+  const requestedAt = new Date().toISOString();
+
+  if (cached && since >= cached.start) {
+    // Only the interval after the last fetch is missing
+    const data = await fetcher({ ...params, since: cached.end });
+    const items = data.items || [];
+    const start = coveredStart(cached.end, items, params._limit);
+    // If even the missing interval hit the limit there's a hole, so start afresh
+    const hasGap = start > cached.end;
+    return {
+      ...cached,
+      start: hasGap ? start : cached.start,
+      end: requestedAt,
+      measures: hasGap ? partitionByMeasure(items) : mergeMeasures(cached.measures, items),
+      fetchedAt: requestedAt
+    };
+  }
+
+  const data = await fetcher(params);
+  const items = data.items || [];
+  const start = coveredStart(since, items, params._limit);
+  // Keep older cached readings only if they join up with the new window
+  const keepCached = cached && cached.end >= start;
+  return {
+    key,
+    start: keepCached ? [start, cached.start].sort()[0] : start,
+    end: requestedAt,
+    measures: keepCached ? mergeMeasures(cached.measures, items) : partitionByMeasure(items),
+    fetchedAt: requestedAt
+  };
+};
+
+// Serve a readings request from the cache, fetching only what's missing.
+// `fetcher(params)` performs the actual request and resolves to { items }.
+export const getCachedReadings = async (key, params, fetcher) => {
+  if (!isCacheable(params)) return fetcher(params);
+
+  const since = new Date(params.since).toISOString();
+  const cached = await readEntry(key);
+  const inRange = reading => new Date(reading.dateTime).toISOString() >= since;
+
+  let entry;
+  try {
+    entry = await fetchEntry(key, params, cached, fetcher);
+  } catch (err) {
+    // Offline: fall back to the last readings fetched for this station
+    if (cached && isNetworkError(err)) {
+      return { items: entryReadings(cached).filter(inRange), fetchedAt: cached.fetchedAt, offline: true };
+    }
+    throw err;
+  }
+
+  // Readings are returned before trimming, so a custom range older than the cached
+  // window still gets everything it asked for
+  const items = entryReadings(entry).filter(inRange);
+
+  try {
+    await writeEntry({ ...trimEntry(entry), usedAt: new Date().toISOString() });
+    await pruneReadingsCache();
+  } catch (err) {
+    // A full or blocked store shouldn't stop the readings being shown
+    console.error('Failed to cache readings:', err);
+  }
+
+  return {
+    items,
+    fetchedAt: entry.fetchedAt
+  };
+};
@@ -0,0 +1,210 @@
+import { IDBFactory } from 'fake-indexeddb';
+import {
+  getCachedReadings,
+  mergeReadings,
+  clearReadingsCache,
+  readEntry,
+  writeEntry,
+  pruneReadingsCache,
+  isNetworkError,
+  MAX_CACHED_STATIONS,
+  MAX_ENTRY_AGE
+} from './readingsCache';
+
+const measure = 'http://environment.data.gov.uk/flood-monitoring/id/measures/690510-level-stage-i-15_min-mASD';
+const flowMeasure = 'http://environment.data.gov.uk/flood-monitoring/id/measures/690510-flow--i-15_min-m3_s';
+const reading = (dateTime, value) => ({ measure, dateTime, value });
+
+// Axios rejects with this when the request never reaches the server
+const networkError = () => Object.assign(new Error('Network Error'), { isAxiosError: true });
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+beforeEach(async () => {
+  await clearReadingsCache();
+});
+
+test('mergeReadings de-duplicates by measure and time, newest first', () => {
+  const merged = mergeReadings(
+    [reading('2025-02-14T10:00:00Z', 0.5), reading('2025-02-14T10:15:00Z', 0.6)],
+    [reading('2025-02-14T10:15:00Z', 0.6), reading('2025-02-14T10:30:00Z', 0.7)]
+  );
+  expect(merged.map(r => r.value)).toEqual([0.7, 0.6, 0.5]);
+});
+
+test('passes non-window requests straight through', async () => {
+  const fetcher = jest.fn().mockResolvedValue({ items: [] });
+  await getCachedReadings('station:690510', { startdate: '2024-01-01' }, fetcher);
+
+  expect(fetcher).toHaveBeenCalledWith({ startdate: '2024-01-01' });
+  expect(await readEntry('station:690510')).toBeNull();
+});
+
+test('only fetches the interval missing since the last request', async () => {
+  const fetcher = jest.fn()
+    .mockResolvedValueOnce({ items: [reading(hoursAgo(20), 0.4), reading(hoursAgo(2), 0.5)] })
+    .mockResolvedValueOnce({ items: [reading(hoursAgo(0.1), 0.6)] });
+
+  const since = hoursAgo(24);
+  const first = await getCachedReadings('station:690510', { since, _limit: 2000 }, fetcher);
+  expect(first.items).toHaveLength(2);
+
+  const entry = await readEntry('station:690510');
+  // A narrower window inside the cached one is served from cache plus the new readings
+  const second = await getCachedReadings('station:690510', { since: hoursAgo(6), _limit: 2000 }, fetcher);
+
+  expect(fetcher).toHaveBeenLastCalledWith({ since: entry.end, _limit: 2000 });
+  expect(second.items.map(r => r.value)).toEqual([0.6, 0.5]);
+});
+
+test('refetches the whole window when it starts before the cached one', async () => {
+  const fetcher = jest.fn()
+    .mockResolvedValueOnce({ items: [reading(hoursAgo(2), 0.5)] })
+    .mockResolvedValueOnce({ items: [reading(hoursAgo(40), 0.3), reading(hoursAgo(2), 0.5)] });
+
+  await getCachedReadings('station:690510', { since: hoursAgo(24) }, fetcher);
+  const since = hoursAgo(48);
+  const result = await getCachedReadings('station:690510', { since }, fetcher);
+
+  expect(fetcher).toHaveBeenLastCalledWith({ since });
+  expect(result.items.map(r => r.value)).toEqual([0.5, 0.3]);
+  expect((await readEntry('station:690510')).start).toBe(since);
+});
+
+test('a response that hits the limit only covers from its oldest reading', async () => {
+  const oldest = reading(hoursAgo(10), 0.4);
+  const fetcher = jest.fn().mockResolvedValue({ items: [reading(hoursAgo(5), 0.5), oldest] });
+
+  await getCachedReadings('station:690510', { since: hoursAgo(24), _limit: 2 }, fetcher);
+
+  expect((await readEntry('station:690510')).start).toBe(new Date(oldest.dateTime).toISOString());
+});
+
+test('serves cached readings marked offline when the network is unreachable', async () => {
+  const fetcher = jest.fn()
+    .mockResolvedValueOnce({ items: [reading(hoursAgo(2), 0.5)] })
+    .mockRejectedValueOnce(networkError());
+
+  const first = await getCachedReadings('station:690510', { since: hoursAgo(24) }, fetcher);
+  const offline = await getCachedReadings('station:690510', { since: hoursAgo(24) }, fetcher);
+
+  expect(offline).toEqual({ items: first.items, fetchedAt: first.fetchedAt, offline: true });
+});
+
+test('rethrows server errors and network errors with nothing cached', async () => {
+  const serverError = Object.assign(new Error('Server Error'), { response: { status: 500 } });
+  const fetcher = jest.fn()
+    .mockRejectedValueOnce(networkError())
+    .mockResolvedValueOnce({ items: [reading(hoursAgo(2), 0.5)] })
+    .mockRejectedValueOnce(serverError);
+
+  await expect(getCachedReadings('station:690510', { since: hoursAgo(24) }, fetcher)).rejects.toThrow('Network Error');
+  await getCachedReadings('station:690510', { since: hoursAgo(24) }, fetcher);
+  await expect(getCachedReadings('station:690510', { since: hoursAgo(24) }, fetcher)).rejects.toBe(serverError);
+});
+
+test('keeps readings partitioned by measure', async () => {
+  const fetcher = jest.fn().mockResolvedValue({
+    items: [reading(hoursAgo(1), 0.5), { measure: flowMeasure, dateTime: hoursAgo(1), value: 12 }]
+  });
+
+  const result = await getCachedReadings('station:690510', { since: hoursAgo(24) }, fetcher);
+
+  expect(Object.keys((await readEntry('station:690510')).measures).sort()).toEqual([measure, flowMeasure].sort());
+  expect(result.items).toHaveLength(2);
+});
+
+test('returns a long custom range but only stores the longest preset range', async () => {
+  const days = (count) => new Date(Date.now() - count * 24 * 60 * 60 * 1000).toISOString();
+  const fetcher = jest.fn().mockResolvedValue({ items: [reading(days(40), 0.3), reading(days(1), 0.5)] });
+
+  const since = days(45);
+  const result = await getCachedReadings('station:690510', { since }, fetcher);
+  const entry = await readEntry('station:690510');
+
+  expect(result.items).toHaveLength(2);
+  expect(entry.measures[measure].map(r => r.value)).toEqual([0.5]);
+  expect(entry.start > since).toBe(true);
+});
+
+const pruneTests = (cache) => {
+  test('evicts stations not used for a while', async () => {
+    const now = Date.now();
+    await cache.writeEntry({ key: 'station:old', measures: {}, usedAt: new Date(now - MAX_ENTRY_AGE - 1).toISOString() });
+    await cache.writeEntry({ key: 'station:new', measures: {}, usedAt: new Date(now).toISOString() });
+
+    await cache.pruneReadingsCache(now);
+
+    expect(await cache.readEntry('station:old')).toBeNull();
+    expect(await cache.readEntry('station:new')).not.toBeNull();
+  });
+
+  test('keeps only the most recently used stations', async () => {
+    const now = Date.now();
+    // Used one minute apart, station:0 least recently
+    await Promise.all(Array.from({ length: MAX_CACHED_STATIONS + 1 }, (_, index) => cache.writeEntry({
+      key: `station:${index}`,
+      measures: {},
+      usedAt: new Date(now - (MAX_CACHED_STATIONS + 1 - index) * 60000).toISOString()
+    })));
+
+    await cache.pruneReadingsCache(now);
+
+    expect(await cache.readEntry('station:0')).toBeNull();
+    expect(await cache.readEntry('station:1')).not.toBeNull();
+  });
+};
+
+describe('eviction in memory', () => {
+  pruneTests({ readEntry, writeEntry, pruneReadingsCache });
+});
+
+describe('with IndexedDB', () => {
+  const cache = {};
+
+  beforeAll(() => {
+    global.indexedDB = new IDBFactory();
+    global.IDBKeyRange = require('fake-indexeddb').IDBKeyRange;
+    jest.isolateModules(() => {
+      Object.assign(cache, require('./readingsCache'));
+    });
+  });
+
+  afterAll(() => {
+    delete global.indexedDB;
+    delete global.IDBKeyRange;
+  });
+
+  beforeEach(async () => {
+    await cache.clearReadingsCache();
+  });
+
+  test('stores and serves readings from the database', async () => {
+    const fetcher = jest.fn()
+      .mockResolvedValueOnce({ items: [reading(hoursAgo(2), 0.5)] })
+      .mockRejectedValueOnce(networkError());
+
+    await cache.getCachedReadings('station:690510', { since: hoursAgo(24) }, fetcher);
+    const entry = await cache.readEntry('station:690510');
+    const offline = await cache.getCachedReadings('station:690510', { since: hoursAgo(24) }, fetcher);
+
+    expect(entry.measures[measure].map(r => r.value)).toEqual([0.5]);
+    expect(entry.usedAt).toEqual(expect.any(String));
+    expect(offline.offline).toBe(true);
+    expect(offline.items.map(r => r.value)).toEqual([0.5]);
+  });
+
+  pruneTests(cache);
+});
+
+test('isNetworkError only counts axios errors that never got a response', () => {
+  const abortError = Object.assign(new Error('Request aborted'), { name: 'AbortError' });
+  const cancelled = Object.assign(new Error('canceled'), { isAxiosError: true, code: 'ERR_CANCELED' });
+  const serverError = Object.assign(new Error('Server Error'), { isAxiosError: true, response: { status: 500 } });
+
+  expect(isNetworkError(networkError())).toBe(true);
+  expect(isNetworkError(serverError)).toBe(false);
+  expect(isNetworkError(cancelled)).toBe(false);
+  expect(isNetworkError(abortError)).toBe(false);
+  expect(isNetworkError(new TypeError('items is undefined'))).toBe(false);
+});
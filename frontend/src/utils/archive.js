@@ -0,0 +1,119 @@
+// Helpers for archive mode: long date windows fetched page by page, and the same
+// calendar window in earlier years overlaid for comparison
+
+import { findPeak } from './readings';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Each request covers this many days, so a page stays well under the API's row limit
+export const ARCHIVE_WINDOW_DAYS = 14;
+export const ARCHIVE_PAGE_SIZE = 10000;
+
+export const ARCHIVE_YEAR_OPTIONS = [1, 3, 5, 10];
+export const DEFAULT_ARCHIVE_YEARS = 5;
+
+// Year-over-year overlays only make sense while the window fits inside a year
+export const MAX_OVERLAY_DAYS = 366;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+// Calendar date in the API's startdate/enddate format (local date, not UTC)
+export const formatDay = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// The last 30 days, compared against the previous five years
+export const defaultArchiveWindow = (now = new Date()) => ({
+  start: addDays(startOfDay(now), -30),
+  end: startOfDay(now),
+  years: DEFAULT_ARCHIVE_YEARS
+});
+
+export const windowDays = ({ start, end }) =>
+  Math.round((startOfDay(end) - startOfDay(start)) / DAY) + 1;
+
+export const canOverlayYears = (dateWindow) => windowDays(dateWindow) <= MAX_OVERLAY_DAYS;
+
+// Splits [start, end] into whole-day request windows of at most `days` days each.
+// Both ends are inclusive, matching the API's startdate and enddate.
+export const splitDateWindows = (start, end, days = ARCHIVE_WINDOW_DAYS) => {
+  const windows = [];
+  const last = startOfDay(end);
+  let windowStart = startOfDay(start);
+  while (windowStart <= last) {
+    const windowEnd = addDays(windowStart, days - 1);
+    windows.push({ start: windowStart, end: windowEnd < last ? windowEnd : last });
+    windowStart = addDays(windowStart, days);
+  }
+  return windows;
+};
+
+// Moves a date by whole years; 29 February becomes 28 February in other years
+export const shiftYears = (date, years) => {
+  const shifted = new Date(date);
+  shifted.setFullYear(shifted.getFullYear() + years);
+  if (shifted.getMonth() !== new Date(date).getMonth()) {
+    shifted.setDate(0);
+  }
+  return shifted;
+};
+
+// The same calendar window in each of the previous `years` years, most recent first
+export const previousYearWindows = ({ start, end }, years) =>
+  Array.from({ length: years }, (_, index) => ({
+    yearsBack: index + 1,
+    start: shiftYears(start, -(index + 1)),
+    end: shiftYears(end, -(index + 1))
+  }));
+
+// Moves an earlier year's readings forward onto the current window's time axis
+export const alignToCurrentYear = (readings, yearsBack) =>
+  readings.map(reading => ({
+    ...reading,
+    dateTime: shiftYears(new Date(reading.dateTime), yearsBack).toISOString(),
+    originalDateTime: reading.dateTime
+  }));
+
+// Coarser buckets for longer windows keep multi-year charts responsive
+export const archiveAggregationLevel = (dateWindow) => {
+  const days = windowDays(dateWindow);
+  if (days > 60) return 'daily';
+  if (days > 3) return 'hourly';
+  return 'none';
+};
+
+// Peak, mean and reading count for each year of the comparison
+export const summariseYears = (series) =>
+  series.map(({ label, yearsBack, readings }) => {
+    const peak = findPeak(readings);
+    const mean = readings.length > 0 ?
+      readings.reduce((sum, reading) => sum + reading.value, 0) / readings.length : null;
+    return {
+      label,
+      yearsBack,
+      count: readings.length,
+      peak: peak ? peak.value : null,
+      peakTime: peak ? peak.originalDateTime || peak.dateTime : null,
+      mean: mean === null ? null : Math.round(mean * 1000) / 1000
+    };
+  });
+
+// Where the current window's peak ranks among the years with data (1 = highest)
+export const rankCurrentPeak = (summaries) => {
+  const withData = summaries.filter(summary => summary.peak !== null);
+  const current = withData.find(summary => summary.yearsBack === 0);
+  if (!current) return null;
+  return {
+    rank: withData.filter(summary => summary.peak > current.peak).length + 1,
+    of: withData.length
+  };
+};
@@ -0,0 +1,62 @@
+import {
+  formatDay,
+  windowDays,
+  splitDateWindows,
+  shiftYears,
+  previousYearWindows,
+  alignToCurrentYear,
+  archiveAggregationLevel,
+  summariseYears,
+  rankCurrentPeak
+} from './archive';
+
+const day = (year, month, date) => new Date(year, month - 1, date);
+
+test('splitDateWindows covers the range in inclusive whole-day windows', () => {
+  const windows = splitDateWindows(day(2025, 2, 1), day(2025, 2, 28), 14);
+  expect(windows.map(dateWindow => [formatDay(dateWindow.start), formatDay(dateWindow.end)])).toEqual([
+    ['2025-02-01', '2025-02-14'],
+    ['2025-02-15', '2025-02-28']
+  ]);
+  expect(splitDateWindows(day(2025, 2, 1), day(2025, 2, 3), 14)).toHaveLength(1);
+  expect(windowDays({ start: day(2025, 2, 1), end: day(2025, 2, 28) })).toBe(28);
+});
+
+test('shiftYears moves a leap day to 28 February', () => {
+  expect(formatDay(shiftYears(day(2024, 2, 29), -1))).toBe('2023-02-28');
+  expect(formatDay(shiftYears(day(2025, 3, 1), -1))).toBe('2024-03-01');
+});
+
+test('previousYearWindows steps back one year at a time', () => {
+  const windows = previousYearWindows({ start: day(2025, 2, 1), end: day(2025, 2, 28) }, 2);
+  expect(windows.map(dateWindow => [dateWindow.yearsBack, formatDay(dateWindow.start), formatDay(dateWindow.end)])).toEqual([
+    [1, '2024-02-01', '2024-02-28'],
+    [2, '2023-02-01', '2023-02-28']
+  ]);
+});
+
+test('alignToCurrentYear moves readings forward and keeps the original time', () => {
+  const [aligned] = alignToCurrentYear([{ dateTime: '2023-02-10T12:00:00.000Z', value: 1 }], 2);
+  expect(aligned.dateTime).toBe('2025-02-10T12:00:00.000Z');
+  expect(aligned.originalDateTime).toBe('2023-02-10T12:00:00.000Z');
+});
+
+test('archiveAggregationLevel coarsens longer windows', () => {
+  expect(archiveAggregationLevel({ start: day(2025, 2, 1), end: day(2025, 2, 2) })).toBe('none');
+  expect(archiveAggregationLevel({ start: day(2025, 2, 1), end: day(2025, 2, 28) })).toBe('hourly');
+  expect(archiveAggregationLevel({ start: day(2020, 1, 1), end: day(2025, 1, 1) })).toBe('daily');
+});
+
+test('rankCurrentPeak ranks this year against the years with data', () => {
+  const summaries = summariseYears([
+    { label: '2025', yearsBack: 0, readings: [{ dateTime: '2025-02-10T00:00:00Z', value: 1.2 }] },
+    { label: '2024', yearsBack: 1, readings: [{ dateTime: '2025-02-11T00:00:00Z', value: 1.5 }] },
+    { label: '2023', yearsBack: 2, readings: [{ dateTime: '2025-02-12T00:00:00Z', value: 0.8 }] },
+    { label: '2022', yearsBack: 3, readings: [] }
+  ]);
+
+  expect(summaries[0]).toMatchObject({ count: 1, peak: 1.2, mean: 1.2 });
+  expect(summaries[3]).toMatchObject({ count: 0, peak: null, mean: null });
+  expect(rankCurrentPeak(summaries)).toEqual({ rank: 2, of: 3 });
+  expect(rankCurrentPeak(summaries.slice(1))).toBeNull();
+});
@@ -0,0 +1,144 @@
+// Data-quality checks for a measure's readings (sorted oldest first): missing periods,
+// suspect values caught by simple rules, and readings the EA itself has flagged
+
+import { getMeasureParameter } from './measures';
+
+const MINUTE = 60 * 1000;
+
+// Most gauges report every 15 minutes
+export const DEFAULT_INTERVAL = 15 * MINUTE;
+
+// A spacing more than this many times the usual interval counts as a gap
+export const GAP_FACTOR = 2;
+
+// Readings whose EA quality is anything other than these are marked
+const ACCEPTED_QUALITY = ['Good', 'Unchecked'];
+
+// Readings either side included in the jump check's window
+const NEIGHBOUR_COUNT = 2;
+
+export const FLAG_LABELS = {
+  invalid: 'No numeric value',
+  negative: 'Negative value',
+  belowMin: 'Below the minimum',
+  aboveMax: 'Above the maximum',
+  jump: 'Sudden jump from neighbouring readings',
+};
+
+// Stage jumps of over a metre between 15-minute readings are almost always sensor
+// faults. Flow and rainfall can legitimately change sharply, so they skip that check.
+export const defaultOutlierRules = (measureId) => ({
+  allowNegative: false,
+  minValue: null,
+  maxValue: null,
+  maxJump: getMeasureParameter(measureId) === 'level' ? 1 : null
+});
+
+// Usual spacing between readings: the median gap, so a few missing readings don't skew it
+export const expectedInterval = (readings) => {
+  const spacings = [];
+  for (let index = 1; index < readings.length; index += 1) {
+    const spacing = new Date(readings[index].dateTime) - new Date(readings[index - 1].dateTime);
+    if (spacing > 0) spacings.push(spacing);
+  }
+  if (spacings.length === 0) return DEFAULT_INTERVAL;
+  spacings.sort((a, b) => a - b);
+  return spacings[Math.floor(spacings.length / 2)];
+};
+
+// Periods with no readings, as { start, end } Dates. With a `range`, missing time before
+// the first and after the last reading counts too.
+export const findGaps = (readings, interval = expectedInterval(readings), range = null) => {
+  const threshold = interval * GAP_FACTOR;
+  const times = readings.map(reading => new Date(reading.dateTime));
+  const gaps = [];
+
+  if (range && range.start && (times.length === 0 || times[0] - range.start > threshold)) {
+    gaps.push({ start: new Date(range.start), end: times[0] || new Date(range.end) });
+  }
+  for (let index = 1; index < times.length; index += 1) {
+    if (times[index] - times[index - 1] > threshold) {
+      gaps.push({ start: times[index - 1], end: times[index] });
+    }
+  }
+  if (range && range.end && times.length > 0 && range.end - times[times.length - 1] > threshold) {
+    gaps.push({ start: times[times.length - 1], end: new Date(range.end) });
+  }
+  return gaps;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// The EA quality of a reading when it isn't a plain good or unchecked value
+export const qualityFlag = (reading) =>
+  reading.quality && !ACCEPTED_QUALITY.includes(reading.quality) ? reading.quality : null;
+
+// Reasons each reading looks wrong, keyed by dateTime. Rule flags come from `rules`
+// (see defaultOutlierRules); EA quality flags are listed as `quality`.
+export const flagReadings = (readings, rules) => {
+  const flags = new Map();
+  const add = (reading, reason) => {
+    const entry = flags.get(reading.dateTime) || { reasons: [], quality: null };
+    if (reason) entry.reasons.push(reason);
+    flags.set(reading.dateTime, entry);
+    return entry;
+  };
+
+  readings.forEach((reading, index) => {
+    const quality = qualityFlag(reading);
+    if (quality) add(reading).quality = quality;
+
+    const { value } = reading;
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      add(reading, 'invalid');
+      return;
+    }
+    if (!rules.allowNegative && value < 0) add(reading, 'negative');
+    if (rules.minValue !== null && rules.minValue !== undefined && value < rules.minValue) add(reading, 'belowMin');
+    if (rules.maxValue !== null && rules.maxValue !== undefined && value > rules.maxValue) add(reading, 'aboveMax');
+
+    if (rules.maxJump) {
+      // Compared with the median of a window around the reading, so one spike doesn't
+      // also flag the readings beside it
+      const nearby = readings
+        .slice(Math.max(0, index - NEIGHBOUR_COUNT), index + 1 + NEIGHBOUR_COUNT)
+        .map(neighbour => neighbour.value)
+        .filter(neighbour => typeof neighbour === 'number');
+      if (Math.abs(value - median(nearby)) > rules.maxJump) {
+        add(reading, 'jump');
+      }
+    }
+  });
+
+  return flags;
+};
+
+// Readings failing any rule; EA quality alone only marks a reading, it doesn't remove it
+export const isSuspect = (flags, reading) => {
+  const entry = flags.get(reading.dateTime);
+  return Boolean(entry && entry.reasons.length > 0);
+};
+
+export const describeFlags = (entry) => [
+  ...entry.reasons.map(reason => FLAG_LABELS[reason] || reason),
+  ...(entry.quality ? [`EA quality: ${entry.quality}`] : [])
+];
+
+// How much of the range has readings: received against expected at the usual interval
+export const summariseCompleteness = (readings, range, interval = expectedInterval(readings)) => {
+  const gaps = findGaps(readings, interval, range);
+  const expected = range && range.start && range.end ?
+    Math.max(readings.length, Math.floor((range.end - range.start) / interval) + 1) : readings.length;
+  return {
+    received: readings.length,
+    expected,
+    percent: expected > 0 ? Math.round((readings.length / expected) * 1000) / 10 : 100,
+    gaps: gaps.length,
+    // One usual interval of each gap would have passed between readings anyway
+    missingMs: gaps.reduce((total, gap) => total + Math.max(0, gap.end - gap.start - interval), 0)
+  };
+};
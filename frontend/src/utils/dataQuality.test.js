@@ -0,0 +1,65 @@
+import {
+  expectedInterval,
+  findGaps,
+  flagReadings,
+  isSuspect,
+  describeFlags,
+  defaultOutlierRules,
+  summariseCompleteness
+} from './dataQuality';
+
+const MINUTE = 60 * 1000;
+const at = (minutes) => new Date(Date.UTC(2025, 1, 14) + minutes * MINUTE);
+const reading = (minutes, value, extra = {}) => ({ dateTime: at(minutes).toISOString(), value, ...extra });
+const every15 = (values, from = 0) => values.map((value, index) => reading(from + index * 15, value));
+
+const levelRules = defaultOutlierRules('690510-level-stage-i-15_min-mASD');
+
+test('expectedInterval uses the typical spacing', () => {
+  const readings = [...every15([1, 1, 1, 1]), reading(120, 1)];
+  expect(expectedInterval(readings)).toBe(15 * MINUTE);
+  expect(expectedInterval([])).toBe(15 * MINUTE);
+});
+
+test('findGaps finds missing periods, including at the ends of the range', () => {
+  const readings = [...every15([1, 1, 1]), ...every15([1, 1], 120)];
+
+  expect(findGaps(readings, 15 * MINUTE)).toEqual([{ start: at(30), end: at(120) }]);
+  expect(findGaps(readings, 15 * MINUTE, { start: at(-60), end: at(240) })).toEqual([
+    { start: at(-60), end: at(0) },
+    { start: at(30), end: at(120) },
+    { start: at(135), end: at(240) }
+  ]);
+});
+
+test('flagReadings catches negative values and isolated spikes', () => {
+  const readings = every15([1.0, 1.02, 11.5, 1.03, 1.01, -0.5, 1.0]);
+  const flags = flagReadings(readings, levelRules);
+
+  expect(readings.filter(item => isSuspect(flags, item)).map(item => item.value)).toEqual([11.5, -0.5]);
+  expect(describeFlags(flags.get(readings[2].dateTime))).toEqual(['Sudden jump from neighbouring readings']);
+  expect(flags.get(readings[5].dateTime).reasons).toContain('negative');
+});
+
+test('flagReadings applies custom limits and skips the jump check when disabled', () => {
+  const readings = every15([0.2, 5, 0.3]);
+  const flags = flagReadings(readings, { allowNegative: true, minValue: 0.25, maxValue: null, maxJump: null });
+
+  expect(readings.filter(item => isSuspect(flags, item)).map(item => item.value)).toEqual([0.2]);
+});
+
+test('EA quality flags mark a reading without making it suspect', () => {
+  const readings = [reading(0, 1), reading(15, 1, { quality: 'Suspect' }), reading(30, 1, { quality: 'Good' })];
+  const flags = flagReadings(readings, levelRules);
+
+  expect(isSuspect(flags, readings[1])).toBe(false);
+  expect(describeFlags(flags.get(readings[1].dateTime))).toEqual(['EA quality: Suspect']);
+  expect(flags.has(readings[2].dateTime)).toBe(false);
+});
+
+test('summariseCompleteness compares received against expected readings', () => {
+  const readings = [...every15([1, 1, 1]), ...every15([1, 1], 120)];
+  const summary = summariseCompleteness(readings, { start: at(0), end: at(135) });
+
+  expect(summary).toEqual({ received: 5, expected: 10, percent: 50, gaps: 1, missingMs: 75 * MINUTE });
+});
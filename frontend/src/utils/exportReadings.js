@@ -0,0 +1,87 @@
+import { aggregateReadings, filterHalfHourly } from './readings';
+
+export const EXPORT_RESOLUTIONS = [
+  { value: 'raw', label: 'Raw readings' },
+  { value: 'halfHourly', label: '30-minute intervals' },
+  { value: 'hourly', label: 'Hourly averages' },
+  { value: 'daily', label: 'Daily averages' },
+];
+
+// Labels for the aggregated resolutions when readings are summed (rainfall)
+const TOTAL_LABELS = {
+  hourly: 'Hourly totals',
+  daily: 'Daily totals',
+};
+
+export const getResolutionOptions = (method = 'mean') =>
+  EXPORT_RESOLUTIONS.map(option => (
+    method === 'sum' && TOTAL_LABELS[option.value] ?
+      { ...option, label: TOTAL_LABELS[option.value] } : option
+  ));
+
+const CSV_COLUMNS = ['stationReference', 'measure', 'unit', 'dateTime', 'value', 'readingCount'];
+
+// Measure notation from the EA measure URL, e.g. 690510-level-stage-i-15_min-mASD
+const getMeasureNotation = (measure) => {
+  const measureUrl = measure && typeof measure === 'object' ? measure['@id'] : measure;
+  return measureUrl ? String(measureUrl).split('/').pop() : '';
+};
+
+export const selectResolution = (readings, resolution, method = 'mean') => {
+  switch (resolution) {
+    case 'halfHourly':
+      return filterHalfHourly(readings);
+    case 'hourly':
+    case 'daily':
+      return aggregateReadings(readings, resolution, method);
+    default:
+      return readings;
+  }
+};
+
+export const buildExportRows = (readings, { stationReference, unit }) =>
+  readings.map(reading => ({
+    stationReference,
+    measure: getMeasureNotation(reading.measure),
+    unit,
+    dateTime: new Date(reading.dateTime).toISOString(),
+    value: reading.value,
+    // Only aggregated rows carry the number of readings they summarise
+    readingCount: reading.originalReadings ? reading.originalReadings.length : 1
+  }));
+
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The byte order mark makes Excel read the file as UTF-8 (needed for m³/s)
+export const toCsv = (rows) => {
+  const lines = [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => escapeCsvValue(row[column])).join(','))
+  ];
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+export const toJson = (rows, meta = {}) =>
+  JSON.stringify({ ...meta, exportedAt: new Date().toISOString(), items: rows }, null, 2);
+
+export const downloadUrl = (url, filename) => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
+
+// Firefox and Safari start the download after the click returns, so the object URL
+// is only revoked once they have had time to read it
+const REVOKE_DELAY = 1000;
+
+export const downloadFile = (content, filename, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  downloadUrl(url, filename);
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+};
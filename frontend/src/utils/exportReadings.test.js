@@ -0,0 +1,99 @@
+import {
+  selectResolution,
+  getResolutionOptions,
+  buildExportRows,
+  toCsv,
+  toJson,
+  downloadFile
+} from './exportReadings';
+
+const measure = 'http://environment.data.gov.uk/flood-monitoring/id/measures/690510-level-stage-i-15_min-mASD';
+
+const readings = [
+  { dateTime: '2025-02-14T10:00:00Z', value: 0.5, measure },
+  { dateTime: '2025-02-14T10:15:00Z', value: 0.6, measure },
+  { dateTime: '2025-02-14T10:30:00Z', value: 0.7, measure },
+  { dateTime: '2025-02-14T10:45:00Z', value: 0.8, measure },
+  { dateTime: '2025-02-14T11:00:00Z', value: 0.9, measure },
+];
+
+describe('selectResolution', () => {
+  test('returns raw readings untouched', () => {
+    expect(selectResolution(readings, 'raw')).toBe(readings);
+  });
+
+  test('keeps 30-minute readings plus the first and last', () => {
+    expect(selectResolution(readings, 'halfHourly').map(r => r.value)).toEqual([0.5, 0.7, 0.9]);
+  });
+
+  test('aggregates into hourly buckets', () => {
+    const hourly = selectResolution(readings, 'hourly');
+    expect(hourly).toHaveLength(2);
+    expect(hourly[0].originalReadings).toHaveLength(4);
+  });
+
+  test('sums buckets for accumulated measures', () => {
+    const hourly = selectResolution(readings, 'hourly', 'sum');
+    expect(hourly[0].value).toBe(2.6);
+  });
+});
+
+test('getResolutionOptions labels summed resolutions as totals', () => {
+  const labels = getResolutionOptions('sum').map(option => option.label);
+  expect(labels).toContain('Hourly totals');
+  expect(getResolutionOptions().map(option => option.label)).toContain('Hourly averages');
+});
+
+test('buildExportRows adds station, measure notation, unit and ISO timestamps', () => {
+  const [row] = buildExportRows(readings.slice(0, 1), { stationReference: '690510', unit: 'mASD' });
+  expect(row).toEqual({
+    stationReference: '690510',
+    measure: '690510-level-stage-i-15_min-mASD',
+    unit: 'mASD',
+    dateTime: '2025-02-14T10:00:00.000Z',
+    value: 0.5,
+    readingCount: 1,
+  });
+});
+
+test('toCsv writes a header, escapes values and starts with a BOM', () => {
+  const csv = toCsv([{ stationReference: 'A,B', measure: 'm', unit: 'm³/s', dateTime: 't', value: 1, readingCount: 1 }]);
+  expect(csv.charAt(0)).toBe('\uFEFF');
+  expect(csv).toContain('stationReference,measure,unit,dateTime,value,readingCount\r\n');
+  expect(csv).toContain('"A,B",m,m³/s,t,1,1');
+});
+
+test('toJson wraps the rows with metadata', () => {
+  const parsed = JSON.parse(toJson([{ value: 1 }], { stationReference: '690510' }));
+  expect(parsed.stationReference).toBe('690510');
+  expect(parsed.items).toEqual([{ value: 1 }]);
+  expect(parsed.exportedAt).toBeDefined();
+});
+
+describe('downloadFile', () => {
+  // jsdom has no object URLs, so stub them and put back whatever was there before
+  const { createObjectURL, revokeObjectURL } = URL;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    URL.createObjectURL = jest.fn(() => 'blob:readings');
+    URL.revokeObjectURL = jest.fn();
+    jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    URL.createObjectURL = createObjectURL;
+    URL.revokeObjectURL = revokeObjectURL;
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('revokes the object URL only after the download has started', () => {
+    downloadFile('a,b', 'readings.csv', 'text/csv');
+
+    expect(HTMLAnchorElement.prototype.click).toHaveBeenCalled();
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+    jest.runAllTimers();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:readings');
+  });
+});
@@ -0,0 +1,18 @@
+// EA flood warning severity levels, 1 (most severe) to 4
+export const SEVERITY_LEVELS = {
+  1: { label: 'Severe Flood Warning', color: '#8b0000' },
+  2: { label: 'Flood Warning', color: '#e60000' },
+  3: { label: 'Flood Alert', color: '#ff8c00' },
+  4: { label: 'Warning no longer in force', color: '#808080' },
+};
+
+export const getSeverityInfo = (severityLevel) =>
+  SEVERITY_LEVELS[severityLevel] || { label: 'Unknown severity', color: '#808080' };
+
+// Most severe first; within a level, the most recently raised first
+export const sortBySeverity = (warnings) =>
+  [...warnings].sort((a, b) => {
+    const severityDiff = (a.severityLevel || 5) - (b.severityLevel || 5);
+    if (severityDiff !== 0) return severityDiff;
+    return new Date(b.timeRaised) - new Date(a.timeRaised);
+  });
@@ -0,0 +1,22 @@
+import { sortBySeverity, getSeverityInfo } from './floodWarnings';
+import floodsFixture from '../services/__fixtures__/floods.json';
+
+test('sortBySeverity orders the recorded feed from most to least severe', () => {
+  const sorted = sortBySeverity(floodsFixture.items);
+
+  expect(sorted.map(warning => warning.severityLevel)).toEqual([1, 2, 3, 3, 4]);
+  // Alerts at the same level are ordered newest first
+  expect(sorted[2].floodAreaID).toBe('122WAC952');
+  expect(sorted[3].floodAreaID).toBe('122WAC953');
+});
+
+test('sortBySeverity does not mutate its input', () => {
+  const items = [...floodsFixture.items];
+  sortBySeverity(items);
+  expect(items).toEqual(floodsFixture.items);
+});
+
+test('getSeverityInfo falls back for unknown levels', () => {
+  expect(getSeverityInfo(2).label).toBe('Flood Warning');
+  expect(getSeverityInfo(undefined).label).toBe('Unknown severity');
+});
@@ -0,0 +1,93 @@
+// Basemaps and overlays offered in the map's layer control. The Standard basemap's URL is the
+// tileUrl setting (see services/config.js); the others can be overridden at build time
+// (REACT_APP_* variables) to point at a self-hosted or offline tile server.
+
+export const BASEMAPS = [
+  {
+    id: 'standard',
+    name: 'Standard',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+  },
+  {
+    id: 'topo',
+    name: 'Topographic',
+    url: process.env.REACT_APP_BASEMAP_TOPO_URL || 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+    attribution: 'Map data &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, ' +
+      'style &copy; <a href="https://opentopomap.org">OpenTopoMap</a>',
+    maxZoom: 17
+  },
+  {
+    id: 'satellite',
+    name: 'Satellite',
+    url: process.env.REACT_APP_BASEMAP_SATELLITE_URL ||
+      'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    attribution: 'Imagery &copy; Esri, Maxar, Earthstar Geographics'
+  },
+  {
+    id: 'greyscale',
+    name: 'Greyscale',
+    url: process.env.REACT_APP_BASEMAP_GREYSCALE_URL || 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, ' +
+      '&copy; <a href="https://carto.com/attributions">CARTO</a>'
+  }
+];
+
+export const DEFAULT_BASEMAP = 'standard';
+
+export const BASEMAP_STORAGE_KEY = 'floodMonitor.basemap';
+
+// The basemap picked last time, if it is still on offer
+export const loadBasemap = (storage = window.localStorage) => {
+  try {
+    const saved = storage.getItem(BASEMAP_STORAGE_KEY);
+    return BASEMAPS.some(basemap => basemap.id === saved) ? saved : DEFAULT_BASEMAP;
+  } catch (err) {
+    return DEFAULT_BASEMAP;
+  }
+};
+
+export const saveBasemap = (id, storage = window.localStorage) => {
+  try {
+    storage.setItem(BASEMAP_STORAGE_KEY, id);
+  } catch (err) {
+    console.error('Failed to save basemap:', err);
+  }
+};
+
+// Static GeoJSON line and polygon overlays. There is no bundled data for these, so each one
+// is only offered once its URL is configured at build time.
+export const LOCAL_OVERLAYS = [
+  {
+    id: 'rivers',
+    name: 'Rivers',
+    url: process.env.REACT_APP_RIVERS_GEOJSON_URL || null,
+    style: { color: '#1f78b4', weight: 1.5, opacity: 0.8 }
+  },
+  {
+    id: 'catchments',
+    name: 'Catchments',
+    url: process.env.REACT_APP_CATCHMENTS_GEOJSON_URL || null,
+    style: { color: '#6a3d9a', weight: 1, fillOpacity: 0.05, dashArray: '4 4' }
+  }
+];
+
+export const configuredOverlays = (overlays = LOCAL_OVERLAYS) => overlays.filter(overlay => overlay.url);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches the tile requests a Leaflet URL template produces, e.g. for the service worker's
+// tile cache. {s} is a subdomain letter, {z}/{x}/{y} are numbers and {r} the retina suffix.
+export const tileUrlPattern = (template) => {
+  const placeholders = { s: '[a-z0-9]+', z: '\\d+', x: '\\d+', y: '\\d+', r: '(?:@2x)?' };
+  const pattern = template
+    .split(/(\{[a-z]\})/)
+    .map(part => {
+      const name = part.match(/^\{([a-z])\}$/);
+      return name && placeholders[name[1]] ? placeholders[name[1]] : escapeRegExp(part);
+    })
+    .join('');
+  // Templates without a scheme (e.g. a tile server on the app's own origin) match the URL's end
+  const anchor = /^[a-z]+:\/\//i.test(template) ? '^' : '';
+  return new RegExp(`${anchor}${pattern}(?:\\?.*)?$`);
+};
@@ -0,0 +1,48 @@
+import { BASEMAPS, DEFAULT_BASEMAP, BASEMAP_STORAGE_KEY, loadBasemap, saveBasemap, tileUrlPattern, configuredOverlays } from './mapLayers';
+
+const memoryStorage = (initial = {}) => {
+  const values = { ...initial };
+  return {
+    getItem: key => (key in values ? values[key] : null),
+    setItem: (key, value) => {
+      values[key] = String(value);
+    },
+  };
+};
+
+test('every basemap has a unique id and a tile URL template', () => {
+  expect(new Set(BASEMAPS.map(basemap => basemap.id)).size).toBe(BASEMAPS.length);
+  BASEMAPS.forEach(basemap => expect(basemap.url).toMatch(/\{z\}/));
+});
+
+test('tileUrlPattern matches tiles from a subdomain template', () => {
+  const pattern = tileUrlPattern('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png');
+
+  expect(pattern.test('https://a.tile.openstreetmap.org/12/2034/1355.png')).toBe(true);
+  expect(pattern.test('https://a.tile.openstreetmap.org/12/2034/1355.png.evil')).toBe(false);
+  expect(pattern.test('https://example.com/12/2034/1355.png')).toBe(false);
+});
+
+test('tileUrlPattern handles the retina suffix and relative templates', () => {
+  expect(tileUrlPattern('https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png')
+    .test('https://b.basemaps.cartocdn.com/light_all/9/250/165@2x.png')).toBe(true);
+  expect(tileUrlPattern('/tiles/{z}/{x}/{y}.png').test('http://localhost:3000/tiles/9/250/165.png')).toBe(true);
+});
+
+test('the chosen basemap is remembered, falling back to the default', () => {
+  const storage = memoryStorage();
+  expect(loadBasemap(storage)).toBe(DEFAULT_BASEMAP);
+
+  saveBasemap('satellite', storage);
+  expect(loadBasemap(storage)).toBe('satellite');
+
+  expect(loadBasemap(memoryStorage({ [BASEMAP_STORAGE_KEY]: 'retired' }))).toBe(DEFAULT_BASEMAP);
+});
+
+test('configuredOverlays leaves out overlays without a data URL', () => {
+  const overlays = [
+    { id: 'rivers', url: 'https://example.org/rivers.geojson' },
+    { id: 'catchments', url: null },
+  ];
+  expect(configuredOverlays(overlays).map(overlay => overlay.id)).toEqual(['rivers']);
+});
@@ -0,0 +1,82 @@
+// Helpers for stations that publish several measures (e.g. stage level and flow).
+// Measures are identified by their EA notation, the last segment of the measure URL,
+// e.g. 690510-level-stage-i-15_min-mASD.
+
+// Display forms for the unit codes the EA uses
+const UNIT_LABELS = {
+  'm3/s': 'm³/s',
+  m3_s: 'm³/s',
+};
+
+export const getMeasureId = (measure) => {
+  const measureUrl = measure && typeof measure === 'object' ? measure['@id'] : measure;
+  return measureUrl ? String(measureUrl).split('/').pop() : null;
+};
+
+// Stations embed `measures` as an array, or a single object when there is only one
+export const toMeasureList = (measures) => {
+  if (!measures) return [];
+  return Array.isArray(measures) ? measures : [measures];
+};
+
+// 'level', 'flow', 'rainfall', ... taken from the measure notation
+export const getMeasureParameter = (measureId) => {
+  const match = String(measureId || '').match(/-(level|flow|rainfall|temperature|wind)-/);
+  return match ? match[1] : null;
+};
+
+export const isRainfallMeasure = (measureId) => getMeasureParameter(measureId) === 'rainfall';
+
+// Readings grouped by measure, keeping each group in the input order
+export const groupReadingsByMeasure = (readings) => {
+  const groups = {};
+  readings.forEach(reading => {
+    const measureId = getMeasureId(reading.measure);
+    if (!measureId) return;
+    if (!groups[measureId]) {
+      groups[measureId] = [];
+    }
+    groups[measureId].push(reading);
+  });
+  return groups;
+};
+
+// Label and unit for a measure from the station's measures metadata, or null if unknown
+export const describeMeasure = (measureId, stationMeasures = []) => {
+  const measure = stationMeasures.find(item => getMeasureId(item) === measureId);
+  if (!measure) return null;
+
+  const parameterName = measure.parameterName || measure.parameter || 'Reading';
+  const unitName = UNIT_LABELS[measure.unitName] || measure.unitName || 'Value';
+  const qualifier = measure.qualifier ? ` (${measure.qualifier})` : '';
+
+  return {
+    label: `${parameterName}${qualifier}`,
+    parameterName: parameterName === 'Flow' ? 'Flow rate' : parameterName,
+    unitName
+  };
+};
+
+// Every measure the station publishes or that appears in the readings, metadata order first
+export const listMeasureIds = (stationMeasures = [], readingGroups = {}) => {
+  const ids = stationMeasures.map(getMeasureId).filter(Boolean);
+  Object.keys(readingGroups).forEach(id => {
+    if (!ids.includes(id)) ids.push(id);
+  });
+  return ids;
+};
+
+// Prefer the stage level measure, then anything that has readings
+export const pickDefaultMeasure = (measureIds, readingGroups = {}) => {
+  const withReadings = measureIds.filter(id => (readingGroups[id] || []).length > 0);
+  const candidates = withReadings.length > 0 ? withReadings : measureIds;
+  return candidates.find(id => id.includes('-level-stage-')) || candidates[0] || null;
+};
+
+// The measure in `readingGroups` that best matches a parameter, for comparing like with like
+export const pickMatchingMeasure = (readingGroups, parameter) => {
+  const ids = Object.keys(readingGroups);
+  return ids.find(id => getMeasureParameter(id) === parameter && id.includes('-stage-')) ||
+    ids.find(id => getMeasureParameter(id) === parameter) ||
+    pickDefaultMeasure(ids, readingGroups);
+};
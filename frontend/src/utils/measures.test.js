@@ -0,0 +1,84 @@
+import {
+  getMeasureId,
+  getMeasureParameter,
+  groupReadingsByMeasure,
+  describeMeasure,
+  listMeasureIds,
+  pickDefaultMeasure,
+  pickMatchingMeasure,
+  toMeasureList,
+  isRainfallMeasure,
+} from './measures';
+
+const BASE = 'http://environment.data.gov.uk/flood-monitoring/id/measures/';
+const STAGE = '690510-level-stage-i-15_min-mASD';
+const DOWNSTAGE = '690510-level-downstage-i-15_min-mASD';
+const FLOW = '690510-flow--i-15_min-m3_s';
+
+const stationMeasures = [
+  { '@id': BASE + FLOW, parameter: 'flow', parameterName: 'Flow', qualifier: '', unitName: 'm3/s' },
+  { '@id': BASE + STAGE, parameter: 'level', parameterName: 'Water Level', qualifier: 'Stage', unitName: 'mASD' },
+];
+
+test('getMeasureId returns the notation from URLs and measure objects', () => {
+  expect(getMeasureId(BASE + STAGE)).toBe(STAGE);
+  expect(getMeasureId({ '@id': BASE + FLOW })).toBe(FLOW);
+  expect(getMeasureId(undefined)).toBeNull();
+});
+
+test('toMeasureList normalizes single and missing measures', () => {
+  expect(toMeasureList(stationMeasures[0])).toEqual([stationMeasures[0]]);
+  expect(toMeasureList(stationMeasures)).toBe(stationMeasures);
+  expect(toMeasureList(undefined)).toEqual([]);
+});
+
+test('getMeasureParameter reads the parameter from the notation', () => {
+  expect(getMeasureParameter(STAGE)).toBe('level');
+  expect(getMeasureParameter(FLOW)).toBe('flow');
+  expect(getMeasureParameter('unknown')).toBeNull();
+});
+
+test('isRainfallMeasure recognises tipping bucket gauges', () => {
+  expect(isRainfallMeasure('E7050-rainfall-tipping_bucket_raingauge-t-15_min-mm')).toBe(true);
+  expect(isRainfallMeasure(STAGE)).toBe(false);
+});
+
+test('groupReadingsByMeasure splits mixed station readings', () => {
+  const groups = groupReadingsByMeasure([
+    { measure: BASE + STAGE, value: 0.5 },
+    { measure: BASE + FLOW, value: 12 },
+    { measure: BASE + STAGE, value: 0.6 },
+  ]);
+  expect(groups[STAGE].map(r => r.value)).toEqual([0.5, 0.6]);
+  expect(groups[FLOW].map(r => r.value)).toEqual([12]);
+});
+
+test('describeMeasure labels measures from station metadata', () => {
+  expect(describeMeasure(STAGE, stationMeasures)).toEqual({
+    label: 'Water Level (Stage)',
+    parameterName: 'Water Level',
+    unitName: 'mASD',
+  });
+  expect(describeMeasure(FLOW, stationMeasures)).toEqual({
+    label: 'Flow',
+    parameterName: 'Flow rate',
+    unitName: 'm³/s',
+  });
+  expect(describeMeasure(DOWNSTAGE, stationMeasures)).toBeNull();
+});
+
+test('listMeasureIds merges metadata and readings', () => {
+  expect(listMeasureIds(stationMeasures, { [DOWNSTAGE]: [{}] })).toEqual([FLOW, STAGE, DOWNSTAGE]);
+});
+
+test('pickDefaultMeasure prefers the stage level with readings', () => {
+  expect(pickDefaultMeasure([FLOW, STAGE], { [FLOW]: [{}], [STAGE]: [{}] })).toBe(STAGE);
+  expect(pickDefaultMeasure([FLOW, STAGE], { [FLOW]: [{}] })).toBe(FLOW);
+  expect(pickDefaultMeasure([])).toBeNull();
+});
+
+test('pickMatchingMeasure finds the same parameter at another station', () => {
+  const groups = { 'X-flow--i-15_min-m3_s': [{}], 'X-level-stage-i-15_min-mASD': [{}] };
+  expect(pickMatchingMeasure(groups, 'flow')).toBe('X-flow--i-15_min-m3_s');
+  expect(pickMatchingMeasure(groups, 'rainfall')).toBe('X-level-stage-i-15_min-mASD');
+});
@@ -0,0 +1,73 @@
+// Helpers for navigating between related stations: those on the same river, and the
+// nearest ones by straight-line distance
+
+// How far around a station to ask the API for neighbours, and how many to list
+export const NEARBY_RADIUS_KM = 20;
+export const NEARBY_COUNT_OPTIONS = [5, 10, 20];
+export const DEFAULT_NEARBY_COUNT = 5;
+
+const EARTH_RADIUS_KM = 6371;
+
+// Some EA fields (e.g. lat/long on moved gauges) come back as arrays; use the first value
+const firstValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+const toNumber = (value) => {
+  const number = Number(firstValue(value));
+  return value === null || value === undefined || Number.isNaN(number) ? null : number;
+};
+
+export const getPosition = (station) => {
+  const lat = toNumber(station && station.lat);
+  const long = toNumber(station && station.long);
+  return lat === null || long === null ? null : { lat, long };
+};
+
+// Great-circle distance in kilometres
+export const distanceKm = (from, to) => {
+  const radians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = radians(to.lat - from.lat);
+  const dLong = radians(to.long - from.long);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLong / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+const isSameStation = (a, b) => a.stationReference === b.stationReference;
+
+// The `count` closest stations to `station`, each as { station, distanceKm }
+export const nearestStations = (station, stations, count = DEFAULT_NEARBY_COUNT) => {
+  const origin = getPosition(station);
+  if (!origin) return [];
+  return stations
+    .filter(other => !isSameStation(other, station))
+    .map(other => {
+      const position = getPosition(other);
+      return position ? { station: other, distanceKm: distanceKm(origin, position) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, count);
+};
+
+// Height of the station's gauge datum above Ordnance Datum, if known
+export const getDatum = (station) => {
+  const stageScale = station && station.stageScale;
+  return toNumber(station && station.datumOffset) ??
+    (stageScale && typeof stageScale === 'object' ? toNumber(stageScale.datum) : null);
+};
+
+// Stations on a river ordered upstream to downstream. The EA doesn't publish positions
+// along a river, so the gauge datum stands in: rivers run downhill, so higher datums are
+// further upstream. Stations without a datum follow in label order.
+// Returns { stations, ordered } where `ordered` says whether at least two could be placed.
+export const orderAlongRiver = (stations) => {
+  const withDatum = stations.filter(station => getDatum(station) !== null)
+    .sort((a, b) => getDatum(b) - getDatum(a));
+  const withoutDatum = stations.filter(station => getDatum(station) === null)
+    .sort((a, b) => String(firstValue(a.label)).localeCompare(String(firstValue(b.label))));
+  return { stations: [...withDatum, ...withoutDatum], ordered: withDatum.length > 1 };
+};
+
+// Display name for a station in the lists
+export const stationName = (station) =>
+  String(firstValue(station.label) || station.stationReference);
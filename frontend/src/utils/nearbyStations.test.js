@@ -0,0 +1,43 @@
+import { distanceKm, getPosition, nearestStations, orderAlongRiver, getDatum } from './nearbyStations';
+
+const station = (stationReference, lat, long, extra = {}) => ({ stationReference, label: stationReference, lat, long, ...extra });
+
+test('distanceKm measures great-circle distance', () => {
+  // Birmingham to Manchester is roughly 113 km as the crow flies
+  expect(distanceKm({ lat: 52.4862, long: -1.8904 }, { lat: 53.4808, long: -2.2426 })).toBeCloseTo(113, 0);
+});
+
+test('getPosition accepts array coordinates and rejects missing ones', () => {
+  expect(getPosition({ lat: [52.1, 52.2], long: [-1.1, -1.2] })).toEqual({ lat: 52.1, long: -1.1 });
+  expect(getPosition({ lat: 52.1 })).toBeNull();
+});
+
+test('nearestStations lists the closest others in distance order', () => {
+  const origin = station('A', 52, -1);
+  const stations = [
+    origin,
+    station('far', 52.5, -1),
+    station('near', 52.01, -1),
+    station('middle', 52.1, -1),
+    station('nowhere', null, null)
+  ];
+
+  const nearest = nearestStations(origin, stations, 2);
+  expect(nearest.map(item => item.station.stationReference)).toEqual(['near', 'middle']);
+  expect(nearest[0].distanceKm).toBeCloseTo(1.1, 1);
+});
+
+test('orderAlongRiver puts higher datums upstream and unknown ones last', () => {
+  const { stations, ordered } = orderAlongRiver([
+    station('mouth', 0, 0, { datumOffset: 2.1 }),
+    station('Unknown B', 0, 0),
+    station('source', 0, 0, { stageScale: { datum: 120.5 } }),
+    station('Unknown A', 0, 0),
+    station('middle', 0, 0, { datumOffset: 40 })
+  ]);
+
+  expect(stations.map(item => item.stationReference)).toEqual(['source', 'middle', 'mouth', 'Unknown A', 'Unknown B']);
+  expect(ordered).toBe(true);
+  expect(orderAlongRiver([station('x', 0, 0)]).ordered).toBe(false);
+  expect(getDatum({ stageScale: 'http://example.com/stageScale' })).toBeNull();
+});
@@ -0,0 +1,75 @@
+// Summary statistics for the readings in view (sorted oldest first): extremes, mean,
+// net change, the fastest rises and the time spent above the typical high
+
+import { findPeak, findLowest } from './readings';
+import { expectedInterval, GAP_FACTOR } from './dataQuality';
+
+const HOUR = 60 * 60 * 1000;
+
+// Windows, in hours, for the largest rise
+export const RISE_WINDOWS = [1, 6];
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Largest increase from one reading to a later one no more than `hours` after it, as
+// { value, start, end }. Keeps the running minimum of the window in a deque, so it is a
+// single pass however many readings fall in each window.
+export const maxRise = (readings, hours) => {
+  const span = hours * HOUR;
+  const times = readings.map(reading => new Date(reading.dateTime).getTime());
+  // Indices of earlier readings, values increasing, that could still start the best rise
+  const lows = [];
+  let best = null;
+
+  readings.forEach((reading, index) => {
+    while (lows.length > 0 && times[index] - times[lows[0]] > span) lows.shift();
+    if (lows.length > 0) {
+      const from = readings[lows[0]];
+      const rise = reading.value - from.value;
+      if (!best || rise > best.value) {
+        best = { value: round(rise), start: from.dateTime, end: reading.dateTime };
+      }
+    }
+    while (lows.length > 0 && readings[lows[lows.length - 1]].value >= reading.value) lows.pop();
+    lows.push(index);
+  });
+
+  return best;
+};
+
+// Share of the time covered by readings spent above `threshold`, as a percentage. Each
+// reading stands for the time until the next; missing periods (see dataQuality) don't count.
+export const percentTimeAbove = (readings, threshold, interval = expectedInterval(readings)) => {
+  let covered = 0;
+  let above = 0;
+  for (let index = 0; index < readings.length - 1; index += 1) {
+    const duration = new Date(readings[index + 1].dateTime) - new Date(readings[index].dateTime);
+    if (duration > interval * GAP_FACTOR) continue;
+    covered += duration;
+    if (readings[index].value > threshold) above += duration;
+  }
+  return covered > 0 ? Math.round((above / covered) * 1000) / 10 : null;
+};
+
+// Everything shown in the summary card, or null when there are no numeric readings.
+// `typicalHigh` is the stage threshold, when the measure has one.
+export const summariseReadings = (readings, { typicalHigh = null } = {}) => {
+  const values = readings.filter(reading => typeof reading.value === 'number' && !Number.isNaN(reading.value));
+  if (values.length === 0) return null;
+
+  const total = values.reduce((sum, reading) => sum + reading.value, 0);
+  const first = values[0];
+  const latest = values[values.length - 1];
+
+  return {
+    count: values.length,
+    min: findLowest(values),
+    max: findPeak(values),
+    mean: round(total / values.length),
+    total: round(total),
+    latest,
+    netChange: round(latest.value - first.value),
+    rises: RISE_WINDOWS.map(hours => ({ hours, rise: maxRise(values, hours) })),
+    percentAboveTypicalHigh: typicalHigh !== null ? percentTimeAbove(values, typicalHigh) : null
+  };
+};
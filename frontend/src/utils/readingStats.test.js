@@ -0,0 +1,55 @@
+import { maxRise, percentTimeAbove, summariseReadings } from './readingStats';
+
+// Readings every 15 minutes from midnight
+const series = (values) => values.map((value, index) => ({
+  dateTime: new Date(Date.UTC(2024, 0, 1, 0, index * 15)).toISOString(),
+  value
+}));
+
+test('maxRise finds the largest increase within the window', () => {
+  // The 0.2 → 1.0 rise spans 1h 30m, so the best one-hour rise starts at 0.3
+  const readings = series([0.2, 0.5, 0.3, 0.4, 0.6, 0.9, 1.0]);
+
+  expect(maxRise(readings, 1)).toEqual({
+    value: 0.7,
+    start: readings[2].dateTime,
+    end: readings[6].dateTime
+  });
+  expect(maxRise(readings, 6).value).toBe(0.8);
+});
+
+test('maxRise reports a fall when the level only drops, and null for one reading', () => {
+  expect(maxRise(series([1, 0.9, 0.7]), 1).value).toBe(-0.1);
+  expect(maxRise(series([1]), 1)).toBeNull();
+});
+
+test('percentTimeAbove weights readings by time and skips gaps', () => {
+  expect(percentTimeAbove(series([1, 2, 2, 1, 1]), 1.5)).toBe(50);
+
+  const readings = [
+    ...series([2, 1, 1]),
+    { dateTime: new Date(Date.UTC(2024, 0, 1, 6)).toISOString(), value: 2 },
+    { dateTime: new Date(Date.UTC(2024, 0, 1, 6, 15)).toISOString(), value: 2 }
+  ];
+  // The 5.5 hour gap after the third reading counts neither way
+  expect(percentTimeAbove(readings, 1.5)).toBeCloseTo(66.7, 1);
+});
+
+test('summariseReadings collects the card values', () => {
+  const readings = series([0.5, 0.8, null, 0.6, 0.7]);
+  const summary = summariseReadings(readings, { typicalHigh: 0.65 });
+
+  expect(summary.count).toBe(4);
+  expect(summary.min).toBe(readings[0]);
+  expect(summary.max).toBe(readings[1]);
+  expect(summary.mean).toBe(0.65);
+  expect(summary.latest).toBe(readings[4]);
+  expect(summary.netChange).toBe(0.2);
+  expect(summary.rises.map(({ hours, rise }) => [hours, rise.value])).toEqual([[1, 0.3], [6, 0.3]]);
+  expect(summary.percentAboveTypicalHigh).toBeGreaterThan(0);
+});
+
+test('summariseReadings leaves out the threshold share without a typical high', () => {
+  expect(summariseReadings(series([1, 2])).percentAboveTypicalHigh).toBeNull();
+  expect(summariseReadings([])).toBeNull();
+});
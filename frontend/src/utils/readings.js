@@ -0,0 +1,117 @@
+// Shared helpers for working with EA readings arrays (sorted oldest first)
+
+// How each hourly/daily bucket is summarised. 'envelope' keeps the mean as the value and
+// the bucket's min and max for a shaded band. Rainfall buckets are summed instead ('sum').
+export const AGGREGATION_MODES = [
+  { value: 'mean', label: 'Mean' },
+  { value: 'max', label: 'Maximum' },
+  { value: 'min', label: 'Minimum' },
+  { value: 'envelope', label: 'Min–max range' },
+];
+
+// Avoids floating point noise such as 0.30000000000000004 in summed totals
+const roundTotal = (value) => Math.round(value * 1000) / 1000;
+
+// Highest reading of a group, e.g. the peak within an aggregated bucket
+export const findPeak = (readings = []) =>
+  readings.reduce((peak, reading) => (!peak || reading.value > peak.value ? reading : peak), null);
+
+export const findLowest = (readings = []) =>
+  readings.reduce((lowest, reading) => (!lowest || reading.value < lowest.value ? reading : lowest), null);
+
+const bucketValue = (method, { sum, avg, min, max }) => {
+  switch (method) {
+    case 'sum':
+      return roundTotal(sum);
+    case 'min':
+      return min;
+    case 'max':
+      return max;
+    default:
+      return avg;
+  }
+};
+
+// Function to aggregate readings by hour or day
+export const aggregateReadings = (readings, level, method = 'mean') => {
+  if (readings.length === 0) return [];
+
+  // Group readings by the desired time interval
+  const groups = {};
+
+  readings.forEach(reading => {
+    const date = new Date(reading.dateTime);
+    let key;
+
+    if (level === 'hourly') {
+      // Group by hour: YYYY-MM-DD-HH
+      // Add 1 to month and use padStart for consistent formatting
+      key = `${date.getFullYear()}-${String(date.getMonth()+1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}-${String(date.getHours()).padStart(2, '0')}`;
+    } else {
+      // Group by day: YYYY-MM-DD
+      key = `${date.getFullYear()}-${String(date.getMonth()+1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    if (!groups[key]) {
+      groups[key] = [];
+    }
+
+    groups[key].push(reading);
+  });
+
+  return Object.keys(groups).map(key => {
+    const group = groups[key];
+    const sum = group.reduce((acc, reading) => acc + reading.value, 0);
+    const avg = sum / group.length;
+    const min = findLowest(group).value;
+    const max = findPeak(group).value;
+
+    // Use the timestamp of the middle reading in the group
+    const midIndex = Math.floor(group.length / 2);
+
+    return {
+      ...group[midIndex],
+      value: bucketValue(method, { sum, avg, min, max }),
+      min,
+      max,
+      // Keep track of original readings for potential detailed view
+      originalReadings: group
+    };
+  }).sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
+};
+
+// Start and end of the hourly or daily bucket a reading was aggregated into (local time,
+// matching the bucket keys above)
+export const getBucketRange = (dateTime, level) => {
+  const start = new Date(dateTime);
+  if (level === 'hourly') {
+    start.setMinutes(0, 0, 0);
+  } else {
+    start.setHours(0, 0, 0, 0);
+  }
+  const end = new Date(start);
+  if (level === 'hourly') {
+    end.setHours(end.getHours() + 1);
+  } else {
+    end.setDate(end.getDate() + 1);
+  }
+  return { start, end };
+};
+
+// Running total of the readings, e.g. rainfall accumulated since the start of the range
+export const cumulativeTotals = (readings) => {
+  let total = 0;
+  return readings.map(reading => {
+    total += reading.value;
+    return { dateTime: reading.dateTime, value: roundTotal(total) };
+  });
+};
+
+// Thin readings out to 30-minute intervals, keeping the first and last reading
+export const filterHalfHourly = (readings) =>
+  readings.filter((reading, index) => {
+    if (index === 0 || index === readings.length - 1) return true;
+
+    const readingDate = new Date(reading.dateTime);
+    return readingDate.getMinutes() % 30 === 0;
+  });
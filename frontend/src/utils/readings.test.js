@@ -0,0 +1,53 @@
+import { aggregateReadings, cumulativeTotals, filterHalfHourly, findPeak, getBucketRange } from './readings';
+
+const readings = [
+  { dateTime: '2025-02-14T10:00:00Z', value: 0.2 },
+  { dateTime: '2025-02-14T10:15:00Z', value: 0.4 },
+  { dateTime: '2025-02-14T10:30:00Z', value: 0 },
+  { dateTime: '2025-02-14T10:45:00Z', value: 0.6 },
+  { dateTime: '2025-02-14T11:00:00Z', value: 0.1 },
+];
+
+test('aggregateReadings averages each bucket by default', () => {
+  const hourly = aggregateReadings(readings, 'hourly');
+  expect(hourly[0].value).toBeCloseTo(0.3);
+  expect(hourly[1].value).toBe(0.1);
+  expect(hourly[0].originalReadings).toHaveLength(4);
+});
+
+test('aggregateReadings sums each bucket for accumulated measures', () => {
+  const hourly = aggregateReadings(readings, 'hourly', 'sum');
+  expect(hourly.map(r => r.value)).toEqual([1.2, 0.1]);
+});
+
+test('aggregateReadings keeps the bucket min and max for every mode', () => {
+  const [mean] = aggregateReadings(readings, 'hourly', 'envelope');
+  expect(mean.value).toBeCloseTo(0.3);
+  expect(mean).toMatchObject({ min: 0, max: 0.6 });
+
+  expect(aggregateReadings(readings, 'hourly', 'max')[0].value).toBe(0.6);
+  expect(aggregateReadings(readings, 'hourly', 'min')[0].value).toBe(0);
+});
+
+test('findPeak returns the highest reading', () => {
+  expect(findPeak(readings)).toEqual({ dateTime: '2025-02-14T10:45:00Z', value: 0.6 });
+  expect(findPeak([])).toBeNull();
+});
+
+test('getBucketRange spans the hour or day of a bucket', () => {
+  const hour = getBucketRange(new Date(2025, 1, 14, 10, 45), 'hourly');
+  expect(hour.start).toEqual(new Date(2025, 1, 14, 10, 0));
+  expect(hour.end).toEqual(new Date(2025, 1, 14, 11, 0));
+
+  const day = getBucketRange(new Date(2025, 1, 14, 10, 45), 'daily');
+  expect(day.start).toEqual(new Date(2025, 1, 14));
+  expect(day.end).toEqual(new Date(2025, 1, 15));
+});
+
+test('cumulativeTotals keeps a running total', () => {
+  expect(cumulativeTotals(readings).map(r => r.value)).toEqual([0.2, 0.6, 0.6, 1.2, 1.3]);
+});
+
+test('filterHalfHourly keeps half-hour readings plus the ends', () => {
+  expect(filterHalfHourly(readings.slice(0, 4)).map(r => r.value)).toEqual([0.2, 0, 0.6]);
+});
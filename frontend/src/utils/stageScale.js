@@ -0,0 +1,112 @@
+// Helpers for the station stageScale metadata (typical range and record levels).
+// The EA publishes these against the stage datum, so they only apply to level readings.
+
+const toNumber = (value) => (typeof value === 'number' && !Number.isNaN(value) ? value : null);
+
+// Pull typical low/high, the highest recorded level and the highest recent level out of
+// a station record. Returns null when the station has no usable stage scale.
+export const getStageThresholds = (station) => {
+  const stageScale = station && station.stageScale;
+  if (!stageScale || typeof stageScale !== 'object') return null;
+
+  const typicalLow = toNumber(stageScale.typicalRangeLow);
+  const typicalHigh = toNumber(stageScale.typicalRangeHigh);
+  const record = stageScale.maxOnRecord || null;
+  const highestRecorded = record ? toNumber(record.value) : null;
+  // A recent high, not the record; kept apart so it is never labelled as one
+  const recent = stageScale.highestRecent || null;
+  const highestRecent = recent ? toNumber(recent.value) : null;
+
+  if (typicalLow === null && typicalHigh === null && highestRecorded === null && highestRecent === null) return null;
+
+  return {
+    typicalLow,
+    typicalHigh,
+    highestRecorded,
+    highestRecordedDate: record && record.dateTime ? record.dateTime : null,
+    highestRecent,
+    highestRecentDate: recent && recent.dateTime ? recent.dateTime : null,
+  };
+};
+
+export const isAboveTypicalHigh = (value, thresholds) =>
+  Boolean(thresholds) && thresholds.typicalHigh !== null && value > thresholds.typicalHigh;
+
+// chartjs-plugin-annotation entries for the typical range band and the recent and record level lines
+export const buildThresholdAnnotations = (thresholds) => {
+  if (!thresholds) return {};
+
+  const annotations = {};
+
+  if (thresholds.typicalLow !== null && thresholds.typicalHigh !== null) {
+    annotations.typicalRange = {
+      type: 'box',
+      yMin: thresholds.typicalLow,
+      yMax: thresholds.typicalHigh,
+      backgroundColor: 'rgba(76, 175, 80, 0.08)',
+      borderWidth: 0,
+      label: {
+        display: true,
+        content: 'Typical range',
+        position: { x: 'start', y: 'start' },
+        color: 'rgba(56, 142, 60, 0.9)',
+        font: { size: 11 }
+      }
+    };
+  }
+
+  if (thresholds.typicalHigh !== null) {
+    annotations.typicalHigh = {
+      type: 'line',
+      yMin: thresholds.typicalHigh,
+      yMax: thresholds.typicalHigh,
+      borderColor: 'rgba(255, 152, 0, 0.8)',
+      borderWidth: 1,
+      borderDash: [4, 4],
+      label: {
+        display: true,
+        content: `Typical high (${thresholds.typicalHigh})`,
+        position: 'end',
+        backgroundColor: 'rgba(255, 152, 0, 0.8)',
+        font: { size: 11 }
+      }
+    };
+  }
+
+  if (thresholds.highestRecent !== null) {
+    annotations.highestRecent = {
+      type: 'line',
+      yMin: thresholds.highestRecent,
+      yMax: thresholds.highestRecent,
+      borderColor: 'rgba(211, 47, 47, 0.6)',
+      borderWidth: 1,
+      borderDash: [6, 3],
+      label: {
+        display: true,
+        content: `Highest recent (${thresholds.highestRecent})`,
+        position: 'start',
+        backgroundColor: 'rgba(211, 47, 47, 0.6)',
+        font: { size: 11 }
+      }
+    };
+  }
+
+  if (thresholds.highestRecorded !== null) {
+    annotations.highestRecorded = {
+      type: 'line',
+      yMin: thresholds.highestRecorded,
+      yMax: thresholds.highestRecorded,
+      borderColor: 'rgba(139, 0, 0, 0.8)',
+      borderWidth: 2,
+      label: {
+        display: true,
+        content: `Highest recorded (${thresholds.highestRecorded})`,
+        position: 'end',
+        backgroundColor: 'rgba(139, 0, 0, 0.8)',
+        font: { size: 11 }
+      }
+    };
+  }
+
+  return annotations;
+};
@@ -0,0 +1,54 @@
+import { getStageThresholds, isAboveTypicalHigh, buildThresholdAnnotations } from './stageScale';
+
+const station = {
+  stationReference: '690510',
+  stageScale: {
+    typicalRangeLow: 0.15,
+    typicalRangeHigh: 0.9,
+    highestRecent: { dateTime: '2024-01-02T10:15:00Z', value: 1.42 },
+    maxOnRecord: { dateTime: '2019-10-01T06:30:00Z', value: 2.31 },
+  },
+};
+
+describe('getStageThresholds', () => {
+  test('reads typical range and the record level', () => {
+    expect(getStageThresholds(station)).toEqual({
+      typicalLow: 0.15,
+      typicalHigh: 0.9,
+      highestRecorded: 2.31,
+      highestRecordedDate: '2019-10-01T06:30:00Z',
+      highestRecent: 1.42,
+      highestRecentDate: '2024-01-02T10:15:00Z',
+    });
+  });
+
+  test('does not treat the highest recent level as the record', () => {
+    const stageScale = { highestRecent: station.stageScale.highestRecent };
+    expect(getStageThresholds({ stageScale })).toMatchObject({
+      highestRecorded: null,
+      highestRecordedDate: null,
+      highestRecent: 1.42,
+    });
+  });
+
+  test('returns null for unresolved or missing stage scales', () => {
+    expect(getStageThresholds({ stageScale: 'http://example/stageScale' })).toBeNull();
+    expect(getStageThresholds({})).toBeNull();
+    expect(getStageThresholds(null)).toBeNull();
+  });
+});
+
+test('isAboveTypicalHigh compares against the typical high', () => {
+  const thresholds = getStageThresholds(station);
+  expect(isAboveTypicalHigh(0.95, thresholds)).toBe(true);
+  expect(isAboveTypicalHigh(0.9, thresholds)).toBe(false);
+  expect(isAboveTypicalHigh(5, null)).toBe(false);
+});
+
+test('buildThresholdAnnotations creates the band and lines', () => {
+  const annotations = buildThresholdAnnotations(getStageThresholds(station));
+  expect(Object.keys(annotations)).toEqual(['typicalRange', 'typicalHigh', 'highestRecent', 'highestRecorded']);
+  expect(annotations.typicalRange).toMatchObject({ type: 'box', yMin: 0.15, yMax: 0.9 });
+  expect(annotations.highestRecent.label.content).toBe('Highest recent (1.42)');
+  expect(buildThresholdAnnotations(null)).toEqual({});
+});
@@ -0,0 +1,71 @@
+// Helpers for searching and filtering the station list shown on StationMap
+
+export const PARAMETER_OPTIONS = [
+  { value: '', label: 'All types' },
+  { value: 'level', label: 'Water level' },
+  { value: 'flow', label: 'Flow' },
+  { value: 'rainfall', label: 'Rainfall' },
+];
+
+export const DEFAULT_FILTERS = {
+  query: '',
+  parameter: '',
+  catchment: '',
+};
+
+// Fields checked by the free-text search box
+const SEARCH_FIELDS = ['label', 'town', 'riverName', 'stationReference'];
+
+// Stations requested per page when loading the search index
+export const STATION_INDEX_PAGE_SIZE = 2500;
+
+// Facet filters as EA query parameters, so the backend does the facet filtering
+const facetParams = (filters) => {
+  const params = {};
+
+  if (filters.parameter) {
+    params.parameter = filters.parameter;
+  }
+  if (filters.catchment) {
+    params.catchmentName = filters.catchment;
+  }
+
+  return params;
+};
+
+// Build the getStations params for the current filters. Free-text search stays
+// client-side because the EA `search` parameter only matches on label.
+export const buildStationParams = (filters = DEFAULT_FILTERS) => ({
+  // The full view includes each station's stageScale, needed for marker status colors.
+  // The map adds the area and paging for each tile it loads.
+  _view: 'full',
+  ...facetParams(filters)
+});
+
+// Params for the search index: every station matching the facets, across the whole
+// country rather than the tiles in view, in the EA's short view (label, town, river,
+// reference and position are all the search needs)
+export const buildStationIndexParams = (filters = DEFAULT_FILTERS) => facetParams(filters);
+
+export const matchesSearch = (station, query) => {
+  const term = (query || '').trim().toLowerCase();
+  if (!term) return true;
+
+  return SEARCH_FIELDS.some(field => {
+    const value = station[field];
+    // Some EA fields (e.g. label) occasionally come back as arrays
+    const text = Array.isArray(value) ? value.join(' ') : value;
+    return text && String(text).toLowerCase().includes(term);
+  });
+};
+
+// Sorted, de-duplicated list of catchment names for the catchment facet
+export const getCatchments = (stations) => {
+  const names = new Set();
+  stations.forEach(station => {
+    if (station.catchmentName) {
+      names.add(station.catchmentName);
+    }
+  });
+  return [...names].sort((a, b) => a.localeCompare(b));
+};
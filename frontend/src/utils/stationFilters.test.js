@@ -0,0 +1,61 @@
+import {
+  buildStationParams,
+  buildStationIndexParams,
+  matchesSearch,
+  getCatchments,
+  DEFAULT_FILTERS
+} from './stationFilters';
+
+const station = {
+  label: 'Prestbury',
+  town: 'Macclesfield',
+  riverName: 'River Bollin',
+  stationReference: '690510',
+  catchmentName: 'Mersey Upper',
+};
+
+describe('buildStationParams', () => {
+  test('only sends the view when no facets are set', () => {
+    expect(buildStationParams(DEFAULT_FILTERS)).toEqual({ _view: 'full' });
+  });
+
+  test('maps facets onto EA query parameters', () => {
+    expect(buildStationParams({ query: 'bollin', parameter: 'flow', catchment: 'Mersey Upper' })).toEqual({
+      _view: 'full',
+      parameter: 'flow',
+      catchmentName: 'Mersey Upper',
+    });
+  });
+});
+
+test('buildStationIndexParams keeps the facets but not the full view', () => {
+  expect(buildStationIndexParams(DEFAULT_FILTERS)).toEqual({});
+  expect(buildStationIndexParams({ query: 'bollin', parameter: 'flow', catchment: '' })).toEqual({ parameter: 'flow' });
+});
+
+describe('matchesSearch', () => {
+  test('matches label, town, river and reference case-insensitively', () => {
+    expect(matchesSearch(station, 'prest')).toBe(true);
+    expect(matchesSearch(station, 'MACCLES')).toBe(true);
+    expect(matchesSearch(station, 'bollin')).toBe(true);
+    expect(matchesSearch(station, '6905')).toBe(true);
+  });
+
+  test('treats an empty query as a match', () => {
+    expect(matchesSearch(station, '  ')).toBe(true);
+  });
+
+  test('rejects stations that match nothing', () => {
+    expect(matchesSearch(station, 'thames')).toBe(false);
+  });
+});
+
+test('getCatchments returns sorted unique names', () => {
+  const stations = [
+    { catchmentName: 'Trent' },
+    { catchmentName: 'Avon' },
+    { catchmentName: 'Trent' },
+    {},
+  ];
+  expect(getCatchments(stations)).toEqual(['Avon', 'Trent']);
+});
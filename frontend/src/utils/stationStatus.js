@@ -0,0 +1,101 @@
+import { getStageThresholds } from './stageScale';
+
+// Marker status for a station's latest level, ranked so clusters can show the worst child
+export const STATION_STATUS = {
+  unknown: { label: 'No recent data / no typical range', color: '#9e9e9e', rank: 0 },
+  normal: { label: 'Within typical range', color: '#2e7d32', rank: 1 },
+  high: { label: 'Above typical range', color: '#ff9800', rank: 2 },
+  severe: { label: 'Above highest recorded', color: '#c62828', rank: 3 },
+};
+
+export const TREND_ARROWS = {
+  rising: '▲',
+  falling: '▼',
+  steady: '►',
+};
+
+// Rows per request when paging recent level readings across all stations
+export const READINGS_PAGE_SIZE = 5000;
+
+// Number of most recent readings used to work out the trend
+const TREND_READINGS = 4;
+// Changes smaller than this (in metres) count as steady
+const TREND_TOLERANCE = 0.01;
+
+export const getStationStatus = (value, thresholds) => {
+  if (typeof value !== 'number' || !thresholds) return 'unknown';
+
+  if (thresholds.highestRecorded !== null && value > thresholds.highestRecorded) return 'severe';
+  if (thresholds.typicalHigh !== null && value > thresholds.typicalHigh) return 'high';
+  if (thresholds.typicalHigh === null) return 'unknown';
+  return 'normal';
+};
+
+// readings must be sorted oldest first
+export const getTrend = (readings) => {
+  const recent = readings.slice(-TREND_READINGS);
+  if (recent.length < 2) return null;
+
+  const change = recent[recent.length - 1].value - recent[0].value;
+  if (change > TREND_TOLERANCE) return 'rising';
+  if (change < -TREND_TOLERANCE) return 'falling';
+  return 'steady';
+};
+
+export const worstStatus = (statuses) =>
+  statuses.reduce((worst, status) => {
+    const info = STATION_STATUS[status];
+    return info && info.rank > STATION_STATUS[worst].rank ? status : worst;
+  }, 'unknown');
+
+// Station reference from an EA measure URL, e.g. .../measures/690510-level-stage-i-15_min-mASD
+const getMeasureStationReference = (measure) => {
+  const match = String(measure).match(/\/measures\/([^/]+?)-level-/);
+  return match ? match[1] : null;
+};
+
+// Group level readings from /data/readings by station, preferring the stage measure
+// where a station publishes both stage and downstream stage. Readings may come from
+// several requests (the latest readings plus recent history), so repeats are dropped.
+export const groupLevelReadingsByStation = (readings) => {
+  const byMeasure = {};
+  readings.forEach(reading => {
+    const measure = typeof reading.measure === 'object' ? reading.measure['@id'] : reading.measure;
+    const stationReference = getMeasureStationReference(measure);
+    if (!stationReference || typeof reading.value !== 'number') return;
+
+    if (!byMeasure[measure]) {
+      byMeasure[measure] = { stationReference, readings: [], times: new Set() };
+    }
+    if (byMeasure[measure].times.has(reading.dateTime)) return;
+    byMeasure[measure].times.add(reading.dateTime);
+    byMeasure[measure].readings.push(reading);
+  });
+
+  const byStation = {};
+  Object.keys(byMeasure).forEach(measure => {
+    const { stationReference, readings: measureReadings } = byMeasure[measure];
+    if (!byStation[stationReference] || measure.includes('-level-stage-')) {
+      byStation[stationReference] = measureReadings.sort((a, b) =>
+        new Date(a.dateTime) - new Date(b.dateTime)
+      );
+    }
+  });
+
+  return byStation;
+};
+
+// Status and trend for every station, keyed by stationReference
+export const buildStationStatuses = (stations, readingsByStation) => {
+  const statuses = {};
+  stations.forEach(station => {
+    const readings = readingsByStation[station.stationReference] || [];
+    const latest = readings[readings.length - 1];
+    statuses[station.stationReference] = {
+      status: getStationStatus(latest && latest.value, getStageThresholds(station)),
+      trend: getTrend(readings),
+      latest: latest || null,
+    };
+  });
+  return statuses;
+};
@@ -0,0 +1,89 @@
+import {
+  getStationStatus,
+  getTrend,
+  worstStatus,
+  groupLevelReadingsByStation,
+  buildStationStatuses,
+} from './stationStatus';
+
+const thresholds = { typicalLow: 0.2, typicalHigh: 1.0, highestRecorded: 2.0, highestRecordedDate: null };
+
+const reading = (measure, dateTime, value) => ({
+  measure: `http://environment.data.gov.uk/flood-monitoring/id/measures/${measure}`,
+  dateTime,
+  value,
+});
+
+describe('getStationStatus', () => {
+  test('classifies against the typical range and record', () => {
+    expect(getStationStatus(0.5, thresholds)).toBe('normal');
+    expect(getStationStatus(1.5, thresholds)).toBe('high');
+    expect(getStationStatus(2.5, thresholds)).toBe('severe');
+  });
+
+  test('is unknown without a value or thresholds', () => {
+    expect(getStationStatus(undefined, thresholds)).toBe('unknown');
+    expect(getStationStatus(0.5, null)).toBe('unknown');
+  });
+});
+
+describe('getTrend', () => {
+  test('compares the first and last of the recent readings', () => {
+    expect(getTrend([{ value: 1 }, { value: 1.1 }])).toBe('rising');
+    expect(getTrend([{ value: 1 }, { value: 0.9 }])).toBe('falling');
+    expect(getTrend([{ value: 1 }, { value: 1.005 }])).toBe('steady');
+  });
+
+  test('needs at least two readings', () => {
+    expect(getTrend([{ value: 1 }])).toBeNull();
+  });
+});
+
+test('worstStatus picks the highest ranked status', () => {
+  expect(worstStatus(['normal', 'high', 'unknown'])).toBe('high');
+  expect(worstStatus([])).toBe('unknown');
+});
+
+test('groupLevelReadingsByStation prefers the stage measure and sorts readings', () => {
+  const grouped = groupLevelReadingsByStation([
+    reading('690510-level-downstage-i-15_min-mASD', '2025-02-14T10:00:00Z', 3),
+    reading('690510-level-stage-i-15_min-mASD', '2025-02-14T10:15:00Z', 0.6),
+    reading('690510-level-stage-i-15_min-mASD', '2025-02-14T10:00:00Z', 0.5),
+    reading('690510-flow--i-15_min-m3_s', '2025-02-14T10:00:00Z', 12),
+  ]);
+
+  expect(Object.keys(grouped)).toEqual(['690510']);
+  expect(grouped['690510'].map(r => r.value)).toEqual([0.5, 0.6]);
+});
+
+test('groupLevelReadingsByStation drops readings repeated across requests', () => {
+  const grouped = groupLevelReadingsByStation([
+    reading('690510-level-stage-i-15_min-mASD', '2025-02-14T10:00:00Z', 0.5),
+    reading('690510-level-stage-i-15_min-mASD', '2025-02-14T10:15:00Z', 0.6),
+    reading('690510-level-stage-i-15_min-mASD', '2025-02-14T10:15:00Z', 0.6),
+  ]);
+
+  expect(grouped['690510'].map(r => r.value)).toEqual([0.5, 0.6]);
+});
+
+test('buildStationStatuses combines stage scale and latest reading', () => {
+  const stations = [{
+    stationReference: '690510',
+    stageScale: { typicalRangeLow: 0.2, typicalRangeHigh: 1.0 },
+  }];
+  const statuses = buildStationStatuses(stations, {
+    '690510': [{ value: 0.9 }, { value: 1.2 }],
+  });
+
+  expect(statuses['690510']).toMatchObject({ status: 'high', trend: 'rising' });
+});
+
+test('a recent high is not taken as the record for the severe status', () => {
+  const stations = [{
+    stationReference: '690510',
+    stageScale: { typicalRangeLow: 0.2, typicalRangeHigh: 1.0, highestRecent: { value: 1.4 } },
+  }];
+  const statuses = buildStationStatuses(stations, { '690510': [{ value: 1.6 }] });
+
+  expect(statuses['690510'].status).toBe('high');
+});
@@ -0,0 +1,106 @@
+// Splits the visible map into a fixed lat/long grid so stations can be loaded a tile at a
+// time with the EA lat/long/dist filters, and each tile cached on its own
+
+import { distanceKm, getPosition } from './nearbyStations';
+
+// Tile edge in degrees by zoom level. The sizes nest (each tile sits inside one tile of
+// every larger size), so a loaded coarse tile can answer for the finer tiles within it.
+export const TILE_SIZES = [
+  { minZoom: 10, size: 0.25 },
+  { minZoom: 9, size: 0.5 },
+  { minZoom: 8, size: 1 },
+  { minZoom: 0, size: 2 }
+];
+
+// Stations requested per page within a tile
+export const STATION_PAGE_SIZE = 500;
+
+// The EA only monitors England (plus a few gauges just over the borders), so there is
+// nothing to load outside this box however far the map is zoomed out
+export const COVERAGE_BOUNDS = { south: 49.8, west: -6.5, north: 56, east: 2 };
+
+export const tileSizeForZoom = (zoom) =>
+  TILE_SIZES.find(option => zoom >= option.minZoom).size;
+
+export const createTile = (size, row, col) => ({
+  key: `${size}:${row}:${col}`,
+  size,
+  south: row * size,
+  west: col * size,
+  north: (row + 1) * size,
+  east: (col + 1) * size
+});
+
+// The tile a key from createTile stands for
+export const tileFromKey = (key) => {
+  const [size, row, col] = key.split(':').map(Number);
+  return createTile(size, row, col);
+};
+
+// Tiles covering `bounds` ({ south, west, north, east }) at the grid size for `zoom`,
+// nearest the middle of the view first so the centre of the map fills in first
+export const tilesForBounds = (bounds, zoom) => {
+  const south = Math.max(bounds.south, COVERAGE_BOUNDS.south);
+  const north = Math.min(bounds.north, COVERAGE_BOUNDS.north);
+  const west = Math.max(bounds.west, COVERAGE_BOUNDS.west);
+  const east = Math.min(bounds.east, COVERAGE_BOUNDS.east);
+  if (south >= north || west >= east) return [];
+
+  const size = tileSizeForZoom(zoom);
+  const tiles = [];
+  for (let row = Math.floor(south / size); row * size < north; row += 1) {
+    for (let col = Math.floor(west / size); col * size < east; col += 1) {
+      tiles.push(createTile(size, row, col));
+    }
+  }
+
+  const middle = { lat: (bounds.south + bounds.north) / 2, long: (bounds.west + bounds.east) / 2 };
+  const offset = (tile) => Math.hypot(
+    (tile.south + tile.north) / 2 - middle.lat,
+    (tile.west + tile.east) / 2 - middle.long
+  );
+  return tiles.sort((a, b) => offset(a) - offset(b));
+};
+
+// lat/long/dist parameters for a circle just enclosing the tile. The southern corners
+// are the furthest from the centre, as lines of longitude spread apart going south.
+export const tileQuery = (tile) => {
+  const centre = { lat: (tile.south + tile.north) / 2, long: (tile.west + tile.east) / 2 };
+  const radius = distanceKm(centre, { lat: tile.south, long: tile.west });
+  return {
+    lat: centre.lat,
+    long: centre.long,
+    dist: Math.ceil(radius * 10) / 10
+  };
+};
+
+// Southern and western edges are inside the tile, so each station belongs to exactly one
+export const isInTile = (station, tile) => {
+  const position = getPosition(station);
+  return Boolean(position) &&
+    position.lat >= tile.south && position.lat < tile.north &&
+    position.long >= tile.west && position.long < tile.east;
+};
+
+// The circle query also returns stations from the neighbouring tiles; keep only this one's
+export const stationsInTile = (stations, tile) => stations.filter(station => isInTile(station, tile));
+
+// Larger tiles containing `tile`, smallest first
+export const parentTiles = (tile) => TILE_SIZES
+  .map(option => option.size)
+  .filter(size => size > tile.size)
+  .sort((a, b) => a - b)
+  .map(size => createTile(size, Math.floor(tile.south / size), Math.floor(tile.west / size)));
+
+// Stations from several tiles as one list, dropping duplicates from overlapping grid sizes
+export const mergeTileStations = (lists) => {
+  const byReference = new Map();
+  lists.forEach(list => {
+    list.forEach(station => {
+      if (!byReference.has(station.stationReference)) {
+        byReference.set(station.stationReference, station);
+      }
+    });
+  });
+  return [...byReference.values()];
+};
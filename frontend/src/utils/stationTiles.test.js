@@ -0,0 +1,72 @@
+import {
+  tileSizeForZoom,
+  createTile,
+  tileFromKey,
+  tilesForBounds,
+  tileQuery,
+  stationsInTile,
+  parentTiles,
+  mergeTileStations
+} from './stationTiles';
+import { distanceKm } from './nearbyStations';
+
+test('tileSizeForZoom uses smaller tiles as the map zooms in', () => {
+  expect(tileSizeForZoom(6)).toBe(2);
+  expect(tileSizeForZoom(8)).toBe(1);
+  expect(tileSizeForZoom(9)).toBe(0.5);
+  expect(tileSizeForZoom(14)).toBe(0.25);
+});
+
+test('tileFromKey recreates a tile from its key', () => {
+  const tile = createTile(0.25, 208, -6);
+  expect(tileFromKey(tile.key)).toEqual(tile);
+});
+
+test('tilesForBounds covers the view, centre first', () => {
+  const tiles = tilesForBounds({ south: 52.1, west: -1.9, north: 52.9, east: -0.1 }, 8);
+
+  expect(tiles.map(tile => tile.key).sort()).toEqual(['1:52:-1', '1:52:-2']);
+  expect(tilesForBounds({ south: 52.2, west: -1.4, north: 52.3, east: -1.1 }, 10)[0].key).toBe('0.25:208:-6');
+});
+
+test('tilesForBounds stops at the edge of EA coverage', () => {
+  expect(tilesForBounds({ south: 40, west: -20, north: 70, east: 20 }, 3)).toHaveLength(20);
+  expect(tilesForBounds({ south: 40, west: 10, north: 45, east: 12 }, 8)).toEqual([]);
+});
+
+test('tileQuery returns a circle reaching every corner of the tile', () => {
+  const tile = createTile(1, 52, -2);
+  const query = tileQuery(tile);
+
+  expect(query.lat).toBe(52.5);
+  expect(query.long).toBe(-1.5);
+  [[52, -2], [52, -1], [53, -2], [53, -1]].forEach(([lat, long]) => {
+    expect(distanceKm({ lat: query.lat, long: query.long }, { lat, long })).toBeLessThanOrEqual(query.dist);
+  });
+});
+
+test('stationsInTile keeps stations inside the tile, including its south-west edges', () => {
+  const tile = createTile(0.5, 104, -4);
+  const stations = [
+    { stationReference: 'inside', lat: 52.2, long: -1.8 },
+    { stationReference: 'edge', lat: 52, long: -2 },
+    { stationReference: 'north', lat: 52.5, long: -1.8 },
+    { stationReference: 'nowhere' }
+  ];
+
+  expect(stationsInTile(stations, tile).map(station => station.stationReference)).toEqual(['inside', 'edge']);
+});
+
+test('parentTiles lists the larger tiles containing a tile', () => {
+  expect(parentTiles(createTile(0.25, 209, -7)).map(tile => tile.key)).toEqual(['0.5:104:-4', '1:52:-2', '2:26:-1']);
+  expect(parentTiles(createTile(2, 26, -1))).toEqual([]);
+});
+
+test('mergeTileStations drops stations loaded by more than one tile', () => {
+  const merged = mergeTileStations([
+    [{ stationReference: 'A' }, { stationReference: 'B' }],
+    [{ stationReference: 'B' }, { stationReference: 'C' }]
+  ]);
+
+  expect(merged.map(station => station.stationReference)).toEqual(['A', 'B', 'C']);
+});
@@ -0,0 +1,81 @@
+// Derived series for judging how fast a river is moving: rate of change and a short
+// straight-line projection. Readings are sorted oldest first.
+
+const HOUR = 60 * 60 * 1000;
+
+// Smoothing windows for the rate of change, in hours
+export const RATE_WINDOWS = [
+  { value: 0.25, label: '15 min' },
+  { value: 1, label: '1 hour' },
+  { value: 3, label: '3 hours' },
+  { value: 6, label: '6 hours' },
+];
+export const DEFAULT_RATE_WINDOW = 1;
+
+// How far ahead the trend is projected, in hours
+export const PROJECTION_HORIZONS = [3, 6, 12];
+export const DEFAULT_PROJECTION_HORIZON = 3;
+
+// The projection is fitted to this much of the latest data
+const PROJECTION_FIT_HOURS = 3;
+const PROJECTION_STEP_MINUTES = 15;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Rate of change per hour at each reading. Consecutive changes are smoothed over the
+// trailing window, which comes to the change since the first reading inside the window
+// divided by the time between them (the same rate a "rise" watch uses).
+export const rateOfChange = (readings, windowHours = DEFAULT_RATE_WINDOW) => {
+  const rates = [];
+  let first = 0;
+  readings.forEach((reading, index) => {
+    const time = new Date(reading.dateTime).getTime();
+    while (new Date(readings[first].dateTime).getTime() < time - windowHours * HOUR) {
+      first += 1;
+    }
+    // With nothing earlier inside the window, fall back to the previous reading
+    const from = first < index ? first : index - 1;
+    if (from < 0) return;
+    const hours = (time - new Date(readings[from].dateTime).getTime()) / HOUR;
+    if (hours <= 0) return;
+    rates.push({ dateTime: reading.dateTime, value: round((reading.value - readings[from].value) / hours) });
+  });
+  return rates;
+};
+
+// Least-squares straight line through the readings: value = intercept + slope * hours,
+// with hours measured from the last reading. Null without at least two distinct times.
+export const fitLinearTrend = (readings) => {
+  if (readings.length < 2) return null;
+  const lastTime = new Date(readings[readings.length - 1].dateTime).getTime();
+  const points = readings.map(reading => ({
+    x: (new Date(reading.dateTime).getTime() - lastTime) / HOUR,
+    y: reading.value
+  }));
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  const spread = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+  if (spread === 0) return null;
+  const slope = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0) / spread;
+  return { slope, intercept: meanY - slope * meanX };
+};
+
+// Points extending the recent trend `horizonHours` past the last reading. The line
+// starts from the last reading itself so it joins on to the data.
+export const projectTrend = (readings, horizonHours = DEFAULT_PROJECTION_HORIZON) => {
+  if (readings.length === 0) return [];
+  const last = readings[readings.length - 1];
+  const lastTime = new Date(last.dateTime).getTime();
+  const recent = readings.filter(reading => new Date(reading.dateTime).getTime() >= lastTime - PROJECTION_FIT_HOURS * HOUR);
+  const trend = fitLinearTrend(recent);
+  if (!trend) return [];
+
+  const steps = Math.round(horizonHours * 60 / PROJECTION_STEP_MINUTES);
+  return Array.from({ length: steps + 1 }, (_, step) => {
+    const hours = step * PROJECTION_STEP_MINUTES / 60;
+    return {
+      dateTime: new Date(lastTime + hours * HOUR).toISOString(),
+      value: round(last.value + trend.slope * hours)
+    };
+  });
+};
@@ -0,0 +1,44 @@
+import { rateOfChange, fitLinearTrend, projectTrend } from './trend';
+
+const at = (minutes) => new Date(Date.UTC(2025, 1, 14) + minutes * 60 * 1000).toISOString();
+const reading = (minutes, value) => ({ dateTime: at(minutes), value });
+
+// Rising 0.1 m every 15 minutes, i.e. 0.4 m/h
+const rising = [0, 15, 30, 45, 60, 75].map((minutes, index) => reading(minutes, 1 + index * 0.1));
+
+test('rateOfChange gives the rise per hour at each reading', () => {
+  const rates = rateOfChange(rising, 1);
+  expect(rates).toHaveLength(5);
+  expect(rates[0]).toEqual({ dateTime: at(15), value: 0.4 });
+  rates.forEach(rate => expect(rate.value).toBeCloseTo(0.4));
+});
+
+test('rateOfChange smooths a spike over the window', () => {
+  const spiky = [reading(0, 1), reading(15, 1), reading(30, 1.4), reading(45, 1), reading(60, 1)];
+  const raw = rateOfChange(spiky, 0.25);
+  const smoothed = rateOfChange(spiky, 1);
+
+  expect(raw.map(rate => rate.value)).toEqual([0, 1.6, -1.6, 0]);
+  expect(smoothed[smoothed.length - 1].value).toBe(0);
+  expect(Math.max(...smoothed.map(rate => rate.value))).toBeLessThan(1.6);
+});
+
+test('rateOfChange skips readings that share a timestamp', () => {
+  expect(rateOfChange([reading(0, 1), reading(0, 1.2)])).toEqual([]);
+});
+
+test('fitLinearTrend needs two distinct times', () => {
+  expect(fitLinearTrend([reading(0, 1)])).toBeNull();
+  expect(fitLinearTrend([reading(0, 1), reading(0, 2)])).toBeNull();
+  expect(fitLinearTrend(rising).slope).toBeCloseTo(0.4);
+});
+
+test('projectTrend continues the recent slope from the last reading', () => {
+  const projection = projectTrend(rising, 1);
+
+  expect(projection).toHaveLength(5);
+  expect(projection[0]).toEqual({ dateTime: at(75), value: 1.5 });
+  expect(projection[4].dateTime).toBe(at(135));
+  expect(projection[4].value).toBeCloseTo(1.9);
+  expect(projectTrend([reading(0, 1)])).toEqual([]);
+});
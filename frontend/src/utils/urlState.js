@@ -0,0 +1,95 @@
+// Encodes the shareable view (station, comparison, time range, map viewport) in the
+// query string, e.g. ?station=690510&compare=690511&range=week&map=53.3,-2.1,11
+// Archive mode adds its window and comparison years: ?range=archive&from=…&to=…&years=5
+
+import { ARCHIVE_YEAR_OPTIONS, defaultArchiveWindow } from './archive';
+
+export const TIME_RANGES = ['24h', '48h', 'week', 'month', 'custom', 'archive'];
+export const DEFAULT_RANGE = '24h';
+export const DEFAULT_VIEWPORT = { center: [52.4862, -1.8904], zoom: 7 };
+
+// Coordinates are rounded so small map movements don't churn the URL
+const COORDINATE_PRECISION = 4;
+
+const roundCoordinate = (value) => Number(value.toFixed(COORDINATE_PRECISION));
+
+export const normalizeViewport = ({ center, zoom }) => ({
+  center: [roundCoordinate(center[0]), roundCoordinate(center[1])],
+  zoom: Math.round(zoom)
+});
+
+export const viewportsEqual = (a, b) =>
+  a.zoom === b.zoom && a.center[0] === b.center[0] && a.center[1] === b.center[1];
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const parseViewport = (value, defaultViewport) => {
+  const parts = (value || '').split(',').map(Number);
+  if (parts.length !== 3 || parts.some(Number.isNaN)) return defaultViewport;
+  return normalizeViewport({ center: [parts[0], parts[1]], zoom: parts[2] });
+};
+
+// `defaultViewport` is the configured starting view, used when the URL has no map position
+export const parseUrlState = (search, defaultViewport = DEFAULT_VIEWPORT) => {
+  const params = new URLSearchParams(search);
+
+  const start = parseDate(params.get('from'));
+  const end = parseDate(params.get('to'));
+  let range = TIME_RANGES.includes(params.get('range')) ? params.get('range') : DEFAULT_RANGE;
+  // A custom range without valid dates can't be reproduced, so fall back to the default
+  if (range === 'custom' && !(start && end)) {
+    range = DEFAULT_RANGE;
+  }
+
+  // An archive link without a valid window opens on the default one instead
+  let archive = null;
+  if (range === 'archive') {
+    const years = Number(params.get('years'));
+    archive = start && end ?
+      { start, end, years: ARCHIVE_YEAR_OPTIONS.includes(years) ? years : defaultArchiveWindow().years } :
+      defaultArchiveWindow();
+  }
+
+  return {
+    station: params.get('station') || null,
+    compare: (params.get('compare') || '').split(',').filter(Boolean),
+    range,
+    customDateRange: range === 'custom' ? { start, end } : null,
+    archive,
+    viewport: parseViewport(params.get('map'), defaultViewport)
+  };
+};
+
+// Builds the query string (including the leading '?', or '' when everything is default)
+export const buildUrlSearch = (
+  { station, compare = [], range, customDateRange, archive, viewport },
+  defaultViewport = DEFAULT_VIEWPORT
+) => {
+  const params = new URLSearchParams();
+
+  if (station) params.set('station', station);
+  if (compare.length > 0) params.set('compare', compare.join(','));
+  // 'custom' is only shareable once its dates have been applied
+  const shareableRange = range === 'custom' && !customDateRange ? DEFAULT_RANGE : range;
+  if (shareableRange && shareableRange !== DEFAULT_RANGE) params.set('range', shareableRange);
+  if (shareableRange === 'custom') {
+    params.set('from', customDateRange.start.toISOString());
+    params.set('to', customDateRange.end.toISOString());
+  }
+  if (shareableRange === 'archive' && archive) {
+    params.set('from', archive.start.toISOString());
+    params.set('to', archive.end.toISOString());
+    params.set('years', archive.years);
+  }
+  if (viewport && !viewportsEqual(normalizeViewport(viewport), normalizeViewport(defaultViewport))) {
+    const { center, zoom } = normalizeViewport(viewport);
+    params.set('map', `${center[0]},${center[1]},${zoom}`);
+  }
+
+  const search = params.toString();
+  return search ? `?${search.replace(/%2C/g, ',')}` : '';
+};
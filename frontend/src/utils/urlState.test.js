@@ -0,0 +1,95 @@
+import { parseUrlState, buildUrlSearch, DEFAULT_VIEWPORT } from './urlState';
+
+describe('parseUrlState', () => {
+  test('reads station, comparison, range and viewport', () => {
+    expect(parseUrlState('?station=690510&compare=690511,690512&range=week&map=53.3,-2.1,11')).toEqual({
+      station: '690510',
+      compare: ['690511', '690512'],
+      range: 'week',
+      customDateRange: null,
+      archive: null,
+      viewport: { center: [53.3, -2.1], zoom: 11 }
+    });
+  });
+
+  test('falls back to defaults for missing or invalid values', () => {
+    expect(parseUrlState('?range=decade&map=oops')).toEqual({
+      station: null,
+      compare: [],
+      range: '24h',
+      customDateRange: null,
+      archive: null,
+      viewport: DEFAULT_VIEWPORT
+    });
+  });
+
+  test('only accepts a custom range with both dates', () => {
+    expect(parseUrlState('?range=custom&from=2025-02-01T00:00:00.000Z').range).toBe('24h');
+
+    const { range, customDateRange } = parseUrlState(
+      '?range=custom&from=2025-02-01T00:00:00.000Z&to=2025-02-08T00:00:00.000Z'
+    );
+    expect(range).toBe('custom');
+    expect(customDateRange.start.toISOString()).toBe('2025-02-01T00:00:00.000Z');
+    expect(customDateRange.end.toISOString()).toBe('2025-02-08T00:00:00.000Z');
+  });
+
+  test('an archive link without dates opens the default window', () => {
+    const { range, archive } = parseUrlState('?range=archive');
+    expect(range).toBe('archive');
+    expect(archive.years).toBe(5);
+    expect(archive.end > archive.start).toBe(true);
+  });
+});
+
+describe('buildUrlSearch', () => {
+  test('omits defaults entirely', () => {
+    expect(buildUrlSearch({ range: '24h', viewport: DEFAULT_VIEWPORT })).toBe('');
+  });
+
+  test('treats the configured starting view as the default', () => {
+    const configured = { center: [53.8, -1.55], zoom: 9 };
+
+    expect(buildUrlSearch({ range: '24h', viewport: configured }, configured)).toBe('');
+    expect(parseUrlState('?range=week', configured).viewport).toBe(configured);
+  });
+
+  test('leaves out a custom range that has no dates yet', () => {
+    expect(buildUrlSearch({ station: '690510', range: 'custom', customDateRange: null })).toBe('?station=690510');
+  });
+
+  test('round-trips through parseUrlState', () => {
+    const state = {
+      station: '690510',
+      compare: ['690511'],
+      range: 'custom',
+      customDateRange: {
+        start: new Date('2025-02-01T00:00:00.000Z'),
+        end: new Date('2025-02-08T00:00:00.000Z')
+      },
+      archive: null,
+      viewport: { center: [53.123456, -2.987654], zoom: 11 }
+    };
+    const search = buildUrlSearch(state);
+
+    expect(search).toContain('compare=690511');
+    expect(search).toContain('map=53.1235,-2.9877,11');
+    expect(parseUrlState(search)).toEqual({
+      ...state,
+      viewport: { center: [53.1235, -2.9877], zoom: 11 }
+    });
+  });
+
+  test('round-trips an archive window', () => {
+    const archive = {
+      start: new Date('2025-02-01T00:00:00.000Z'),
+      end: new Date('2025-02-28T00:00:00.000Z'),
+      years: 3
+    };
+    const search = buildUrlSearch({ station: '690510', range: 'archive', archive });
+
+    expect(search).toContain('years=3');
+    expect(parseUrlState(search).archive).toEqual(archive);
+  });
+});
+
@@ -0,0 +1,61 @@
+// Helpers for the visible window ({ start, end } Dates) of the zoomable detail chart.
+// `bounds` is the full loaded range; windows are always kept inside it.
+
+// Don't zoom in past a single 15-minute interval either side of a reading
+export const MIN_VIEW_SPAN = 30 * 60 * 1000;
+
+const toRange = (start, end) => ({ start: new Date(start), end: new Date(end) });
+
+const spanOf = (range) => new Date(range.end).getTime() - new Date(range.start).getTime();
+
+// Moves the window back inside the bounds, shrinking it only if it is wider than them
+export const clampRange = (range, bounds) => {
+  const boundsStart = new Date(bounds.start).getTime();
+  const boundsEnd = new Date(bounds.end).getTime();
+  const span = Math.min(spanOf(range), boundsEnd - boundsStart);
+
+  let start = Math.max(new Date(range.start).getTime(), boundsStart);
+  if (start + span > boundsEnd) start = boundsEnd - span;
+  return toRange(start, start + span);
+};
+
+// Scales the window by `factor` (< 1 zooms in) around `anchor`, which stays at the same
+// position on screen
+export const zoomRange = (range, factor, anchor, bounds, minSpan = MIN_VIEW_SPAN) => {
+  const start = new Date(range.start).getTime();
+  const span = spanOf(range);
+  const boundsSpan = spanOf(bounds);
+  const nextSpan = Math.min(Math.max(span * factor, Math.min(minSpan, boundsSpan)), boundsSpan);
+
+  const anchorTime = Math.min(Math.max(new Date(anchor).getTime(), start), start + span);
+  const ratio = span > 0 ? (anchorTime - start) / span : 0.5;
+  const nextStart = anchorTime - ratio * nextSpan;
+  return clampRange(toRange(nextStart, nextStart + nextSpan), bounds);
+};
+
+// Shifts the window by `deltaMs` (positive moves later in time)
+export const panRange = (range, deltaMs, bounds) =>
+  clampRange(toRange(new Date(range.start).getTime() + deltaMs, new Date(range.end).getTime() + deltaMs), bounds);
+
+// Window between two brushed points, in either order, at least `minSpan` wide
+export const rangeFromPoints = (a, b, bounds, minSpan = MIN_VIEW_SPAN) => {
+  const first = Math.min(new Date(a).getTime(), new Date(b).getTime());
+  const last = Math.max(new Date(a).getTime(), new Date(b).getTime());
+  const span = Math.max(last - first, Math.min(minSpan, spanOf(bounds)));
+  const middle = (first + last) / 2;
+  return clampRange(toRange(middle - span / 2, middle + span / 2), bounds);
+};
+
+export const isFullRange = (range, bounds) =>
+  new Date(range.start).getTime() <= new Date(bounds.start).getTime() &&
+  new Date(range.end).getTime() >= new Date(bounds.end).getTime();
+
+// After the bounds slide forward (live updates), a window that was showing the latest
+// readings keeps following them; any other window stays where it is
+export const followRange = (range, previousBounds, nextBounds) => {
+  if (isFullRange(range, previousBounds)) return toRange(nextBounds.start, nextBounds.end);
+
+  const atLatest = new Date(range.end).getTime() >= new Date(previousBounds.end).getTime();
+  const shift = new Date(nextBounds.end).getTime() - new Date(previousBounds.end).getTime();
+  return atLatest ? panRange(range, shift, nextBounds) : clampRange(range, nextBounds);
+};
@@ -0,0 +1,45 @@
+import { clampRange, zoomRange, panRange, rangeFromPoints, isFullRange, followRange } from './viewRange';
+
+const HOUR = 60 * 60 * 1000;
+const at = (hours) => new Date(Date.UTC(2025, 1, 14) + hours * HOUR);
+const range = (start, end) => ({ start: at(start), end: at(end) });
+const bounds = range(0, 24);
+
+test('clampRange keeps the window inside the bounds', () => {
+  expect(clampRange(range(20, 30), bounds)).toEqual(range(14, 24));
+  expect(clampRange(range(-5, 1), bounds)).toEqual(range(0, 6));
+  expect(clampRange(range(-5, 40), bounds)).toEqual(bounds);
+});
+
+test('zoomRange keeps the anchor in place', () => {
+  expect(zoomRange(range(0, 24), 0.5, at(12), bounds)).toEqual(range(6, 18));
+  expect(zoomRange(range(0, 24), 0.5, at(0), bounds)).toEqual(range(0, 12));
+  expect(zoomRange(range(6, 18), 4, at(12), bounds)).toEqual(bounds);
+});
+
+test('zoomRange stops at the minimum span', () => {
+  const zoomed = zoomRange(range(0, 1), 0.01, at(0.5), bounds);
+  expect(zoomed.end - zoomed.start).toBe(30 * 60 * 1000);
+});
+
+test('panRange shifts the window without leaving the bounds', () => {
+  expect(panRange(range(6, 12), 3 * HOUR, bounds)).toEqual(range(9, 15));
+  expect(panRange(range(6, 12), 20 * HOUR, bounds)).toEqual(range(18, 24));
+});
+
+test('rangeFromPoints accepts points in either order', () => {
+  expect(rangeFromPoints(at(10), at(4), bounds)).toEqual(range(4, 10));
+});
+
+test('isFullRange compares against the bounds', () => {
+  expect(isFullRange(bounds, bounds)).toBe(true);
+  expect(isFullRange(range(1, 24), bounds)).toBe(false);
+});
+
+test('followRange keeps a window on the latest readings following them', () => {
+  const next = range(1, 25);
+  expect(followRange(bounds, bounds, next)).toEqual(next);
+  expect(followRange(range(18, 24), bounds, next)).toEqual(range(19, 25));
+  expect(followRange(range(4, 10), bounds, next)).toEqual(range(4, 10));
+  expect(followRange(range(0, 6), bounds, next)).toEqual(range(1, 7));
+});
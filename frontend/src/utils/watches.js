@@ -0,0 +1,103 @@
+// Helpers for watched stations: persisted thresholds and the checks that raise alerts.
+// A watch fires once when its condition starts to hold and re-arms when it clears.
+import { getStageThresholds } from './stageScale';
+import { groupReadingsByMeasure, pickDefaultMeasure } from './measures';
+
+export const WATCH_STORAGE_KEY = 'floodMonitor.watches';
+
+export const WATCH_TYPES = {
+  above: { label: 'Level above', unit: 'm' },
+  rise: { label: 'Rising faster than', unit: 'm/h' },
+};
+
+// Rise rates are measured over this window (or the readings available, if shorter)
+export const RISE_WINDOW_HOURS = 1;
+
+const DEFAULT_RISE_RATE = 0.1;
+
+export const loadWatches = (storage = window.localStorage) => {
+  try {
+    const saved = JSON.parse(storage.getItem(WATCH_STORAGE_KEY));
+    return Array.isArray(saved) ? saved.filter(watch => watch && watch.stationReference) : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+export const saveWatches = (watches, storage = window.localStorage) => {
+  try {
+    storage.setItem(WATCH_STORAGE_KEY, JSON.stringify(watches));
+  } catch (err) {
+    // Storage can be full or disabled; the watches still work for this session
+    console.error('Failed to save watches:', err);
+  }
+};
+
+// Starting threshold for a new watch: the typical high level when the station has one
+export const defaultThreshold = (station, type, latestValue = null) => {
+  if (type === 'rise') return DEFAULT_RISE_RATE;
+  const thresholds = getStageThresholds(station);
+  if (thresholds && thresholds.typicalHigh !== null) return thresholds.typicalHigh;
+  return latestValue !== null && latestValue !== undefined ? latestValue : 0;
+};
+
+export const createWatch = (station, { type = 'above', threshold } = {}) => ({
+  stationReference: station.stationReference,
+  label: station.label || station.stationReference,
+  riverName: station.riverName || null,
+  type,
+  threshold: Number(threshold ?? defaultThreshold(station, type)),
+  active: false,
+});
+
+// Readings of the stage measure (or the first with readings), oldest first
+export const selectWatchReadings = (readings) => {
+  const groups = groupReadingsByMeasure(readings);
+  const measureId = pickDefaultMeasure(Object.keys(groups), groups);
+  return (groups[measureId] || [])
+    .filter(reading => typeof reading.value === 'number')
+    .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
+};
+
+// Rise in metres per hour between the latest reading and the one closest to an hour before it
+export const riseRatePerHour = (readings) => {
+  if (readings.length < 2) return null;
+  const latest = readings[readings.length - 1];
+  const latestTime = new Date(latest.dateTime).getTime();
+  const windowStart = latestTime - RISE_WINDOW_HOURS * 60 * 60 * 1000;
+  const earlier = readings.find(reading => new Date(reading.dateTime).getTime() >= windowStart);
+  const hours = (latestTime - new Date(earlier.dateTime).getTime()) / (60 * 60 * 1000);
+  if (!hours) return null;
+  return (latest.value - earlier.value) / hours;
+};
+
+const formatNumber = (value) => Math.round(value * 1000) / 1000;
+
+// Checks a watch against the station's latest readings. Returns the watch's new
+// `active` flag and, when the condition has just started to hold, an alert.
+export const evaluateWatch = (watch, readings) => {
+  const latest = readings[readings.length - 1];
+  if (!latest) return { active: watch.active, alert: null };
+
+  const measured = watch.type === 'rise' ? riseRatePerHour(readings) : latest.value;
+  if (measured === null) return { active: watch.active, alert: null };
+
+  const active = measured > watch.threshold;
+  if (!active || watch.active) return { active, alert: null };
+
+  const { unit } = WATCH_TYPES[watch.type] || WATCH_TYPES.above;
+  const message = watch.type === 'rise' ?
+    `Rising at ${formatNumber(measured)} ${unit} (threshold ${watch.threshold} ${unit})` :
+    `Level ${formatNumber(measured)} ${unit} is above ${watch.threshold} ${unit}`;
+
+  return {
+    active,
+    alert: {
+      id: `${watch.stationReference}|${watch.type}|${latest.dateTime}`,
+      stationReference: watch.stationReference,
+      label: watch.label,
+      message,
+      dateTime: latest.dateTime,
+    },
+  };
+};
@@ -0,0 +1,77 @@
+import {
+  WATCH_STORAGE_KEY,
+  loadWatches,
+  saveWatches,
+  createWatch,
+  selectWatchReadings,
+  riseRatePerHour,
+  evaluateWatch,
+} from './watches';
+
+const BASE = 'http://environment.data.gov.uk/flood-monitoring/id/measures/';
+const STAGE = BASE + '1029TH-level-stage-i-15_min-mASD';
+const FLOW = BASE + '1029TH-flow--i-15_min-m3_s';
+
+const memoryStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    getItem: key => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = value; },
+  };
+};
+
+const reading = (minutes, value, measure = STAGE) => ({
+  dateTime: new Date(Date.UTC(2024, 0, 1, 12, minutes)).toISOString(),
+  value,
+  measure,
+});
+
+test('watches round-trip through storage', () => {
+  const storage = memoryStorage();
+  const watches = [createWatch({ stationReference: '1029TH', label: 'Bourton' }, { threshold: 1.2 })];
+  saveWatches(watches, storage);
+  expect(loadWatches(storage)).toEqual(watches);
+});
+
+test('loadWatches ignores missing or corrupt data', () => {
+  expect(loadWatches(memoryStorage())).toEqual([]);
+  expect(loadWatches(memoryStorage({ [WATCH_STORAGE_KEY]: '{oops' }))).toEqual([]);
+});
+
+test('createWatch defaults to the typical high level', () => {
+  const station = { stationReference: '1029TH', stageScale: { typicalRangeHigh: 0.9 } };
+  expect(createWatch(station).threshold).toBe(0.9);
+  expect(createWatch(station, { type: 'rise' }).threshold).toBe(0.1);
+});
+
+test('selectWatchReadings keeps the stage measure in time order', () => {
+  const readings = [reading(15, 0.6), reading(0, 12, FLOW), reading(0, 0.5)];
+  expect(selectWatchReadings(readings).map(r => r.value)).toEqual([0.5, 0.6]);
+});
+
+test('riseRatePerHour measures over the last hour', () => {
+  const readings = [reading(0, 0.2), reading(30, 0.3), reading(60, 0.4), reading(90, 0.7)];
+  expect(riseRatePerHour(readings)).toBeCloseTo(0.4);
+  expect(riseRatePerHour([reading(0, 0.2)])).toBeNull();
+});
+
+test('evaluateWatch alerts only when a threshold is first crossed', () => {
+  const watch = createWatch({ stationReference: '1029TH', label: 'Bourton' }, { threshold: 0.5 });
+  const readings = [reading(0, 0.4), reading(15, 0.6)];
+
+  const first = evaluateWatch(watch, readings);
+  expect(first.active).toBe(true);
+  expect(first.alert.message).toBe('Level 0.6 m is above 0.5 m');
+
+  const repeat = evaluateWatch({ ...watch, active: true }, readings);
+  expect(repeat).toEqual({ active: true, alert: null });
+
+  const cleared = evaluateWatch({ ...watch, active: true }, [reading(30, 0.45)]);
+  expect(cleared).toEqual({ active: false, alert: null });
+});
+
+test('evaluateWatch checks rise rate watches', () => {
+  const watch = createWatch({ stationReference: '1029TH' }, { type: 'rise', threshold: 0.2 });
+  const result = evaluateWatch(watch, [reading(0, 0.2), reading(60, 0.5)]);
+  expect(result.alert.message).toBe('Rising at 0.3 m/h (threshold 0.2 m/h)');
+});